@@ -2,11 +2,19 @@
 import { defineConfig } from "astro/config";
 import tailwindcss from "@tailwindcss/vite";
 import vercel from "@astrojs/vercel";
+import serviceWorker from "./src/integrations/serviceWorker.mjs";
 
 // https://astro.build/config
 export default defineConfig({
   output: "static",
   adapter: vercel(),
+  integrations: [serviceWorker()],
+  // Spanish at the root, the other interface languages under /en/, /fr/, /de/ (src/utils/i18n.js)
+  i18n: {
+    defaultLocale: "es",
+    locales: ["es", "en", "fr", "de"],
+    routing: { prefixDefaultLocale: false },
+  },
   vite: {
     plugins: [tailwindcss()],
   },
@@ -1,10 +1,16 @@
 /// <reference path="../.astro/types.d.ts" />
 /// <reference types="astro/client" />
 
+interface ImportMetaEnv {
+    readonly PUBLIC_API_URL?: string;
+    readonly PUBLIC_HF_API_URL?: string;
+}
+
 interface ImportMeta {
     readonly env: ImportMetaEnv;
 }
 
 interface Window {
     webkitAudioContext: typeof AudioContext;
+    webkitOfflineAudioContext: typeof OfflineAudioContext;
 }
@@ -0,0 +1,488 @@
+/**
+ * 🇩🇪 German catalogue for EpigrafIA
+ * Keys are the Spanish source strings (see utils/i18n.js); {name} placeholders are kept as is.
+ * Class labels follow the class order of the built-in label lists in utils/labels.js.
+ */
+export default {
+    messages: {
+        '+{count} sin liberar': '+{count} nicht freigegeben',
+        '1. Conjunto de datos': '1. Datensatz',
+        '140+ Idiomas': '140+ Sprachen',
+        '2. Versiones de los modelos': '2. Modellversionen',
+        '3. Resultados': '3. Ergebnisse',
+        '40 coeficientes MFCC con deltas y delta-deltas ({value}) para capturar patrones espectrales.': '40 MFCC-Koeffizienten mit Deltas und Delta-Deltas ({value}) zur Erfassung spektraler Muster.',
+        '99.2% Precisión': '99,2 % Genauigkeit',
+        'A partir de qué probabilidad un audio se considera sintético. Se guarda en este navegador y se aplica a todos los veredictos y exportaciones.': 'Ab welcher Wahrscheinlichkeit ein Audio als synthetisch gilt. Wird in diesem Browser gespeichert und auf alle Urteile und Exporte angewendet.',
+        'AUC y EER necesitan clips humanos y sintéticos.': 'AUC und EER brauchen menschliche und synthetische Clips.',
+        'Abrir menú': 'Menü öffnen',
+        'Accuracy (umbral {value})': 'Genauigkeit (Schwelle {value})',
+        'Acento': 'Akzent',
+        'Acento Detectado': 'Erkannter Akzent',
+        'Acercar': 'Vergrößern',
+        'Actualiza para usar la última versión de la aplicación.': 'Aktualisiere, um die neueste Version der App zu nutzen.',
+        'Actualizar': 'Aktualisieren',
+        'Agregación desconocida: {aggregation}': 'Unbekannte Aggregation: {aggregation}',
+        'Alejar': 'Verkleinern',
+        'Alerta tras': 'Alarm nach',
+        'Alto desde': 'Hoch ab',
+        'Americano (US)': 'Amerikanisch (US)',
+        'Analiza carpetas enteras de notas de voz con el motor seleccionado. Cada resultado se guarda también en el historial.': 'Analysiere ganze Ordner mit Sprachnachrichten mit der gewählten Engine. Jedes Ergebnis wird auch im Verlauf gespeichert.',
+        'Analiza siempre en el servidor': 'Immer auf dem Server analysieren',
+        'Analizando': 'Wird analysiert',
+        'Analizando audio con IA...': 'Audio wird mit KI analysiert...',
+        'Analizando en el navegador': 'Analyse im Browser',
+        'Analizando en el servidor...': 'Analyse auf dem Server...',
+        'Analizando segmento {index}/{total} en el servidor...': 'Segment {index}/{total} wird auf dem Server analysiert...',
+        'Analizando segmento {index}/{total}...': 'Segment {index}/{total} wird analysiert...',
+        'Analizando selección...': 'Auswahl wird analysiert...',
+        'Analizando variantes': 'Varianten werden analysiert',
+        'Analizando {index}/{total}: {name}': 'Analyse {index}/{total}: {name}',
+        'Analizar al cargar': 'Beim Laden analysieren',
+        'Analizar cada ventana desplazada y con ruido, y mostrar la dispersión (solo en el navegador, más lento)': 'Jedes Fenster verschoben und mit Rauschen analysieren und die Streuung anzeigen (nur im Browser, langsamer)',
+        'Analizar selección': 'Auswahl analysieren',
+        'Análisis Neural': 'Neuronale Analyse',
+        'Análisis cancelado': 'Analyse abgebrochen',
+        'Análisis de Audio': 'Audioanalyse',
+        'Análisis por lotes': 'Stapelanalyse',
+        'Apenas se detecta voz ({seconds} s). Habla más cerca del micrófono.': 'Kaum Sprache erkannt ({seconds} s). Sprich näher am Mikrofon.',
+        'Archivo': 'Datei',
+        'Archivos que se analizan a la vez': 'Gleichzeitig analysierte Dateien',
+        'Arrastra aquí archivos o carpetas de audio': 'Audiodateien oder -ordner hierher ziehen',
+        'Arrastra aquí una carpeta o': 'Ordner hierher ziehen oder',
+        'Artificial': 'Künstlich',
+        'Audio Humano': 'Menschliches Audio',
+        'Audio Sintético': 'Synthetisches Audio',
+        'Audio no apto para el análisis': 'Audio für die Analyse ungeeignet',
+        'Audios largos: análisis por segmentos': 'Lange Aufnahmen: Analyse in Segmenten',
+        'Auto': 'Auto',
+        'Autor': 'Autor',
+        'Baja frecuencia': 'Niedrige Abtastrate',
+        'Bajo hasta': 'Niedrig bis',
+        'Bandas de riesgo': 'Risikobereiche',
+        'Borrar todo': 'Alles löschen',
+        'Británico (UK)': 'Britisch (UK)',
+        'CNN con Atención SE': 'CNN mit SE-Attention',
+        'Cada': 'Alle',
+        'Cada cuánto se analiza una nueva ventana de 3 s': 'Wie oft ein neues 3-s-Fenster analysiert wird',
+        'Calculando el mapa de relevancia...': 'Relevanzkarte wird berechnet...',
+        'Calibración cancelada': 'Kalibrierung abgebrochen',
+        'Calibrado el {date} con {count} clips · EER {eer}': 'Kalibriert am {date} mit {count} Clips · EER {eer}',
+        'Calibrar': 'Kalibrieren',
+        'Calibrar con mis audios': 'Mit eigenen Aufnahmen kalibrieren',
+        'Calidad': 'Qualität',
+        'Calidad del audio': 'Audioqualität',
+        'Cambio de idioma': 'Sprachwechsel',
+        'Canal': 'Kanal',
+        'Cancelado': 'Abgebrochen',
+        'Cancelar': 'Abbrechen',
+        'Cancelar análisis': 'Analyse abbrechen',
+        'Cargando modelos': 'Modelle werden geladen',
+        'Cargando modelos locales...': 'Lokale Modelle werden geladen...',
+        'Castellano (ES)': 'Kastilisch (ES)',
+        'Cerrar': 'Schließen',
+        'Clase': 'Klasse',
+        'Clasificación de Español, Inglés, Francés y Alemán con un {value} de accuracy.': 'Klassifiziert Spanisch, Englisch, Französisch und Deutsch mit {value} Genauigkeit.',
+        'Clip completo · {seconds} s': 'Ganzer Clip · {seconds} s',
+        'Clips': 'Clips',
+        'Combinar': 'Kombinieren',
+        'Comparación': 'Vergleich',
+        'Comprueba las métricas de los modelos con tus propios audios. Los clips se analizan en este navegador con los modelos locales; nada se sube a ningún servidor.': 'Prüfe die Kennzahlen der Modelle mit deinen eigenen Aufnahmen. Die Clips werden in diesem Browser mit den lokalen Modellen analysiert; nichts wird auf einen Server hochgeladen.',
+        'Con avisos de calidad': 'Mit Qualitätswarnungen',
+        'Conectando con servidor...': 'Verbindung zum Server...',
+        'Conectando...': 'Verbinde...',
+        'Confianza': 'Konfidenz',
+        'Cuota no disponible': 'Kontingent nicht verfügbar',
+        'Curva ROC de la calibración': 'ROC-Kurve der Kalibrierung',
+        'Datasets Reales': 'Echte Datensätze',
+        'Declarado': 'Angegeben',
+        'Derecho': 'Rechts',
+        'Descargar JSON': 'JSON herunterladen',
+        'Desconocido': 'Unbekannt',
+        'Despertando el servidor (intento {attempt})...': 'Server wird geweckt (Versuch {attempt})...',
+        'Despertando el servidor...': 'Server wird geweckt...',
+        'Despertando el servidor... puede tardar hasta un minuto': 'Server wird geweckt... das kann bis zu einer Minute dauern',
+        'Desplazamiento DC': 'DC-Versatz',
+        'Desviación típica entre {variants} variantes del audio': 'Standardabweichung über {variants} Varianten des Audios',
+        'Detección de Idioma': 'Spracherkennung',
+        'Detección de Spoofing': 'Spoofing-Erkennung',
+        'Detección de Voz Artificial': 'Erkennung künstlicher Stimmen',
+        'Detección de spoofing no disponible': 'Spoofing-Erkennung nicht verfügbar',
+        'Detección de voz': 'Stimmerkennung',
+        'Detectados': 'Erkannt',
+        'Detectando idioma': 'Sprache wird erkannt',
+        'Detectando voz artificial': 'Künstliche Stimme wird erkannt',
+        'Detener': 'Stoppen',
+        'Detener grabación': 'Aufnahme beenden',
+        'Detenido': 'Gestoppt',
+        'Detenido: {message}': 'Gestoppt: {message}',
+        'Duración': 'Dauer',
+        'Duración de la grabación': 'Aufnahmedauer',
+        'El ancho de delta debe ser impar y >= 3': 'Die Delta-Breite muss ungerade und >= 3 sein',
+        'El audio está prácticamente en silencio. Comprueba el micrófono o el archivo.': 'Das Audio ist praktisch stumm. Prüfe das Mikrofon oder die Datei.',
+        'El audio está saturado ({ratio}% de muestras recortadas). Baja la ganancia y vuelve a grabar.': 'Das Audio ist übersteuert ({ratio} % der Samples abgeschnitten). Verringere die Verstärkung und nimm erneut auf.',
+        'El audio nunca sale de tu navegador': 'Das Audio verlässt nie deinen Browser',
+        'El audio se procesa en memoria volátil y nunca se almacena en disco.': 'Audio wird im flüchtigen Speicher verarbeitet und nie auf der Festplatte gespeichert.',
+        'El audio tiene un desplazamiento DC de {offset}; el micrófono podría estar mal calibrado.': 'Das Audio hat einen DC-Versatz von {offset}; das Mikrofon ist möglicherweise falsch kalibriert.',
+        'El fichero de etiquetas de acento debe ser una lista no vacía': 'Die Akzent-Labeldatei muss eine nicht leere Liste sein',
+        'El manifiesto CSV está vacío': 'Das CSV-Manifest ist leer',
+        'El manifiesto CSV necesita una columna "file" o "path"': 'Das CSV-Manifest braucht eine Spalte "file" oder "path"',
+        'El manifiesto CSV necesita una columna "language" o "spoofing"': 'Das CSV-Manifest braucht eine Spalte "language" oder "spoofing"',
+        'El manifiesto no incluye modelos de {kind}': 'Das Manifest enthält keine {kind}-Modelle',
+        'El manifiesto no incluye un modelo de idioma': 'Das Manifest enthält kein Sprachmodell',
+        'El manifiesto no incluye un modelo de spoofing': 'Das Manifest enthält kein Spoofing-Modell',
+        'El manifiesto no tiene hash para {path} ({kind} v{version})': 'Das Manifest enthält keinen Hash für {path} ({kind} v{version})',
+        'El micrófono está siendo usado por otra aplicación. Ciérrala e intenta de nuevo.': 'Das Mikrofon wird von einer anderen Anwendung verwendet. Schließe sie und versuche es erneut.',
+        'El micrófono se ha desconectado': 'Das Mikrofon wurde getrennt',
+        'El modelo de {kind} v{version} espera {expected}, pero el extractor produce {actual}': 'Das {kind}-Modell v{version} erwartet {expected}, der Extraktor liefert aber {actual}',
+        'El modelo local no incluye detección de spoofing': 'Das lokale Modell enthält keine Spoofing-Erkennung',
+        'El modelo solo ve los primeros {seconds} s.': 'Das Modell sieht nur die ersten {seconds} s.',
+        'El navegador bloqueó la ventana del informe': 'Der Browser hat das Berichtsfenster blockiert',
+        'El resultado puede no ser fiable': 'Das Ergebnis ist möglicherweise unzuverlässig',
+        'El servidor no despertó a tiempo': 'Der Server ist nicht rechtzeitig aufgewacht',
+        'El servidor no está listo': 'Der Server ist nicht bereit',
+        'El servidor se está iniciando': 'Der Server startet',
+        'El servidor solo devolvió la clase principal': 'Der Server hat nur die wahrscheinlichste Klasse geliefert',
+        'El servidor tardó demasiado en responder': 'Der Server hat zu lange für die Antwort gebraucht',
+        'El tamaño de la FFT debe ser potencia de 2 (recibido {n})': 'Die FFT-Größe muss eine Zweierpotenz sein (erhalten: {n})',
+        'El umbral debe estar entre 0 y 1': 'Die Schwelle muss zwischen 0 und 1 liegen',
+        'El veredicto mostrado viene del servidor; el mapa usa el modelo de spoofing local.': 'Das angezeigte Urteil stammt vom Server; die Karte verwendet das lokale Spoofing-Modell.',
+        'Elegir archivo': 'Datei wählen',
+        'Elegir archivos': 'Dateien wählen',
+        'Elegir carpeta': 'Ordner wählen',
+        'Elige una región y pulsa «Analizar selección»': 'Wähle einen Bereich und drücke „Auswahl analysieren“',
+        'Elige una versión, o dos para compararlas sobre los mismos clips. Las versiones salen de {file}.': 'Wähle eine Version oder zwei, um sie auf denselben Clips zu vergleichen. Die Versionen stammen aus {file}.',
+        'Eliminar': 'Löschen',
+        'En cola': 'In der Warteschlange',
+        'En directo': 'Live',
+        'En paralelo': 'Parallel',
+        'En rojo, las zonas que empujan hacia «sintético» (al ocultarlas la probabilidad baja); en azul, las que empujan hacia «humano».': 'Rot: Bereiche, die in Richtung „synthetisch“ drücken (ihr Ausblenden senkt die Wahrscheinlichkeit); blau: Bereiche, die in Richtung „menschlich“ drücken.',
+        'Entendido, Permitir': 'Verstanden, zulassen',
+        'Entrenado con ASVspoof 2019 para distinguir voz humana de sintética con un {value} de accuracy.': 'Mit ASVspoof 2019 trainiert, um menschliche von synthetischer Sprache mit {value} Genauigkeit zu unterscheiden.',
+        'Entrenado con Common Voice (Mozilla) y ASVspoof 2019 LA con más de {value} muestras de audio.': 'Mit Common Voice (Mozilla) und ASVspoof 2019 LA mit über {value} Audiobeispielen trainiert.',
+        'EpigrafIA - Detección Inteligente de Voz': 'EpigrafIA - Intelligente Stimmerkennung',
+        'EpigrafIA - Evaluación local de los modelos': 'EpigrafIA - Lokale Modellbewertung',
+        'EpigrafIA necesita acceso a tu micrófono para analizar tu voz. Por favor, permite el acceso cuando el navegador lo solicite.': 'EpigrafIA braucht Zugriff auf dein Mikrofon, um deine Stimme zu analysieren. Bitte erlaube den Zugriff, wenn der Browser danach fragt.',
+        'EpigrafIA · Informe de análisis': 'EpigrafIA · Analysebericht',
+        'Error': 'Fehler',
+        'Error accediendo al micrófono: {message}': 'Fehler beim Zugriff auf das Mikrofon: {message}',
+        'Error al analizar': 'Fehler bei der Analyse',
+        'Error al exportar': 'Fehler beim Export',
+        'Error al grabar': 'Fehler bei der Aufnahme',
+        'Error al procesar': 'Fehler bei der Verarbeitung',
+        'Error cargando modelo de idioma: {message}': 'Fehler beim Laden des Sprachmodells: {message}',
+        'Error decodificando archivo de audio: {message}': 'Fehler beim Dekodieren der Audiodatei: {message}',
+        'Error decodificando audio: {message}': 'Fehler beim Dekodieren des Audios: {message}',
+        'Error del servidor: {status}': 'Serverfehler: {status}',
+        'Error desconocido': 'Unbekannter Fehler',
+        'Error en MediaRecorder: {message}': 'MediaRecorder-Fehler: {message}',
+        'Error en el worker de análisis: {message}': 'Fehler im Analyse-Worker: {message}',
+        'Error en la evaluación': 'Fehler bei der Bewertung',
+        'Error: {message}': 'Fehler: {message}',
+        'Errores por archivo': 'Fehler pro Datei',
+        'Espacio usado por este sitio en el navegador': 'Von dieser Website im Browser belegter Speicher',
+        'Espectrograma mel con las regiones que influyen en la detección de spoofing': 'Mel-Spektrogramm mit den Bereichen, die die Spoofing-Erkennung beeinflussen',
+        'Esperado': 'Erwartet',
+        'Estado': 'Status',
+        'Este audio parece ser de una voz humana real': 'Dieses Audio scheint eine echte menschliche Stimme zu sein',
+        'Este audio podría ser generado por IA (deepfake)': 'Dieses Audio könnte KI-generiert sein (Deepfake)',
+        'Estrategia de mezcla desconocida: {strategy}': 'Unbekannte Downmix-Strategie: {strategy}',
+        'Evaluación': 'Bewertung',
+        'Evaluación cancelada': 'Bewertung abgebrochen',
+        'Evaluación local': 'Lokale Bewertung',
+        'Evaluar': 'Bewerten',
+        'Exhaustividad': 'Trefferquote',
+        'Exporta las entradas marcadas, o todas si no hay ninguna marcada': 'Exportiert die markierten Einträge oder alle, wenn keiner markiert ist',
+        'Exportar CSV': 'CSV exportieren',
+        'Exportar informe:': 'Bericht exportieren:',
+        'Exportar:': 'Exportieren:',
+        'Extracción MFCC': 'MFCC-Extraktion',
+        'Extrayendo MFCC': 'MFCC werden extrahiert',
+        'Fallidos o bloqueados': 'Fehlgeschlagen oder blockiert',
+        'Falsos positivos': 'Falsch-Positive',
+        'Fecha': 'Datum',
+        'Fecha de análisis': 'Analysedatum',
+        'Filtrar por nombre…': 'Nach Name filtern…',
+        'Finalizando': 'Wird abgeschlossen',
+        'Forense (sin procesar)': 'Forensisch (unbearbeitet)',
+        'Forma de entrada {actual} distinta de la del manifiesto {expected}': 'Eingabeform {actual} weicht vom Manifest ab ({expected})',
+        'Forma de onda': 'Wellenform',
+        'Forma de salida {actual} distinta de la del manifiesto {expected}': 'Ausgabeform {actual} weicht vom Manifest ab ({expected})',
+        'Formato de manifest.json no soportado': 'Nicht unterstütztes manifest.json-Format',
+        'Frecuencia de muestreo': 'Abtastrate',
+        'Frecuencia de muestreo baja ({rate} Hz); se recomiendan {recommended} Hz o más.': 'Niedrige Abtastrate ({rate} Hz); empfohlen sind {recommended} Hz oder mehr.',
+        'Frecuencia de muestreo demasiado baja ({rate} Hz).': 'Abtastrate zu niedrig ({rate} Hz).',
+        'Frecuencia desconocida': 'Unbekannte Abtastrate',
+        'Generado el {date} · {count} audio': 'Erstellt am {date} · {count} Aufnahme',
+        'Generado el {date} · {count} audios': 'Erstellt am {date} · {count} Aufnahmen',
+        'Grabando... {seconds} s': 'Aufnahme... {seconds} s',
+        'Grabar audio': 'Audio aufnehmen',
+        'Grabar {seconds} s': '{seconds} s aufnehmen',
+        'Guardado solo en este navegador. Marca dos entradas para compararlas o varias para exportarlas.': 'Nur in diesem Browser gespeichert. Markiere zwei Einträge zum Vergleichen oder mehrere zum Exportieren.',
+        'Hacen falta clips humanos y clips sintéticos para calibrar': 'Für die Kalibrierung braucht es menschliche und synthetische Clips',
+        'Hay saturación en el audio ({ratio}% de muestras recortadas).': 'Das Audio ist teilweise übersteuert ({ratio} % der Samples abgeschnitten).',
+        'Hay una nueva versión de EpigrafIA': 'Eine neue Version von EpigrafIA ist verfügbar',
+        'Hecho': 'Fertig',
+        'Historial': 'Verlauf',
+        'Historial de análisis': 'Analyseverlauf',
+        'Hochdeutsch (DE)': 'Hochdeutsch (DE)',
+        'Humano': 'Menschlich',
+        'Humanos marcados': 'Markierte menschliche',
+        'Identificación precisa de Idioma · Deepfakes': 'Präzise Spracherkennung · Deepfakes',
+        'Idioma': 'Sprache',
+        'Idioma Detectado': 'Erkannte Sprache',
+        'Idioma de la interfaz': 'Sprache der Oberfläche',
+        'Imprimir / PDF': 'Drucken / PDF',
+        'Incierto': 'Unsicher',
+        'Información': 'Info',
+        'Información del Modelo': 'Modellinformationen',
+        'Infraestructura Privada': 'Private Infrastruktur',
+        'Iniciar': 'Starten',
+        'Input de Audio': 'Audioeingabe',
+        'Integridad fallida en {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…': 'Integritätsprüfung fehlgeschlagen für {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…',
+        'Izquierdo': 'Links',
+        'La banda baja debe ser menor que la alta': 'Das untere Band muss unter dem oberen liegen',
+        'La etiqueta de acento {index} necesita "label" y "language"': 'Akzent-Label {index} braucht "label" und "language"',
+        'La ventana y el salto deben ser mayores que 0': 'Fenster und Schrittweite müssen größer als 0 sein',
+        'Las dos clases más probables están muy igualadas': 'Die zwei wahrscheinlichsten Klassen liegen sehr nah beieinander',
+        'Las etiquetas salen de los nombres de carpeta (p. ej. {example}) o de un manifiesto CSV con las columnas {columns}.': 'Die Labels stammen aus den Ordnernamen (z. B. {example}) oder aus einem CSV-Manifest mit den Spalten {columns}.',
+        'Limpiar': 'Leeren',
+        'Los modelos reciben el audio tal cual, sin ninguna modificación': 'Die Modelle erhalten das Audio unverändert',
+        'Manifiesto CSV (opcional)': 'CSV-Manifest (optional)',
+        'Manifiesto cargado ({count} filas). Elige la carpeta de los clips.': 'Manifest geladen ({count} Zeilen). Wähle den Ordner mit den Clips.',
+        'Mantiene el micrófono abierto y analiza en el navegador los últimos 3 s de forma continua. Útil para vigilar llamadas o emisiones.': 'Hält das Mikrofon offen und analysiert fortlaufend die letzten 3 s im Browser. Nützlich, um Anrufe oder Sendungen zu überwachen.',
+        'Mayoría': 'Mehrheit',
+        'Media': 'Mittelwert',
+        'Medido': 'Gemessen',
+        'Mezcla (promedio)': 'Mischung (Mittelwert)',
+        'Micrófono': 'Mikrofon',
+        'Modelo de spoofing local v{version}: {probability}% de probabilidad de audio sintético (umbral {threshold}%).': 'Lokales Spoofing-Modell v{version}: {probability} % Wahrscheinlichkeit für synthetisches Audio (Schwelle {threshold} %).',
+        'Modelo: {name}': 'Modell: {name}',
+        'Modo robusto': 'Robuster Modus',
+        'Monitor en vivo': 'Live-Monitor',
+        'Motor': 'Engine',
+        'Motor de análisis': 'Analyse-Engine',
+        'Motor desconocido: {engine}': 'Unbekannte Engine: {engine}',
+        'Motor: Navegador (TF.js)': 'Engine: Browser (TF.js)',
+        'Motor: Servidor': 'Engine: Server',
+        'Mucho ruido de fondo (SNR ≈ {snr} dB).': 'Viel Hintergrundrauschen (SNR ≈ {snr} dB).',
+        'Muestras saturadas': 'Übersteuerte Samples',
+        'Más tarde': 'Später',
+        'Máx. riesgo': 'Max. Risiko',
+        'Métricas de calidad no disponibles.': 'Qualitätsmetriken nicht verfügbar.',
+        'Navegador': 'Browser',
+        'Navegador (TF.js)': 'Browser (TF.js)',
+        'Ninguna región, por sí sola, aumenta la probabilidad de audio sintético.': 'Kein einzelner Bereich erhöht für sich allein die Wahrscheinlichkeit für synthetisches Audio.',
+        'Ningún archivo coincide con el filtro.': 'Keine Datei entspricht dem Filter.',
+        'Ningún error': 'Keine Fehler',
+        'Nivel': 'Pegel',
+        'Nivel RMS': 'RMS-Pegel',
+        'Nivel normalizado': 'Normalisierter Pegel',
+        'No analizado': 'Nicht analysiert',
+        'No concluyente': 'Nicht eindeutig',
+        'No disponible': 'Nicht verfügbar',
+        'No hay análisis que exportar': 'Keine Analysen zum Exportieren',
+        'No hay segmentos que combinar': 'Keine Segmente zum Zusammenführen',
+        'No registrado': 'Nicht erfasst',
+        'No se detectó ningún micrófono. Conecta un micrófono e intenta de nuevo.': 'Kein Mikrofon erkannt. Schließe ein Mikrofon an und versuche es erneut.',
+        'No se encontraron archivos de audio': 'Keine Audiodateien gefunden',
+        'No se encontró micrófono. Conecta un micrófono y recarga la página.': 'Kein Mikrofon gefunden. Schließe ein Mikrofon an und lade die Seite neu.',
+        'No se encontró ningún archivo de audio': 'Keine Audiodatei gefunden',
+        'No se encontró ningún micrófono. Por favor, conecta un micrófono.': 'Kein Mikrofon gefunden. Bitte schließe ein Mikrofon an.',
+        'No se pudo abrir el historial: {message}': 'Verlauf konnte nicht geöffnet werden: {message}',
+        'No se pudo acceder al micrófono. Verifica los permisos.': 'Kein Zugriff auf das Mikrofon. Prüfe die Berechtigungen.',
+        'No se pudo calcular el mapa': 'Karte konnte nicht berechnet werden',
+        'No se pudo calibrar': 'Kalibrierung fehlgeschlagen',
+        'No se pudo cargar el archivo de audio': 'Audiodatei konnte nicht geladen werden',
+        'No se pudo decodificar el audio en el navegador': 'Audio konnte im Browser nicht dekodiert werden',
+        'No se pudo iniciar el grabador: {message}': 'Rekorder konnte nicht gestartet werden: {message}',
+        'No se pudo iniciar: {message}': 'Start fehlgeschlagen: {message}',
+        'No se pudo leer el manifiesto de modelos: {message}': 'Das Modellmanifest konnte nicht gelesen werden: {message}',
+        'No se pudo leer la frecuencia de muestreo original del archivo; no se ha comprobado.': 'Die ursprüngliche Abtastrate konnte nicht aus der Datei gelesen werden; sie wurde nicht geprüft.',
+        'Nuestra red convolucional extrae MFCCs y analiza patrones espectrales imperceptibles al oído humano.': 'Unser Faltungsnetz extrahiert MFCCs und analysiert spektrale Muster, die das menschliche Ohr nicht wahrnimmt.',
+        'Nuevos modelos: {models}. Se descargarán ahora para poder usarlos sin conexión.': 'Neue Modelle: {models}. Sie werden jetzt heruntergeladen, damit sie offline nutzbar sind.',
+        'OfflineAudioContext no disponible': 'OfflineAudioContext nicht verfügbar',
+        'Offset DC': 'DC-Versatz',
+        'Onda y espectrograma: arrastra para elegir la región a analizar, espacio para reproducir': 'Wellenform und Spektrogramm: ziehen, um den zu analysierenden Bereich zu wählen, Leertaste zum Abspielen',
+        'Orden de delta no soportado: {order}': 'Nicht unterstützte Delta-Ordnung: {order}',
+        'Origen': 'Quelle',
+        'P(artificial)': 'P(künstlich)',
+        'Parar tras silencio': 'Nach Stille stoppen',
+        'Parisino (FR)': 'Pariserisch (FR)',
+        'Paso alto a 80 Hz, sonoridad a −23 LUFS, puerta de ruido a −50 dBFS y preénfasis 0,97': 'Hochpass bei 80 Hz, Lautheit −23 LUFS, Noise-Gate bei −50 dBFS und Preemphasis 0,97',
+        'Pausa': 'Pause',
+        'Pausar': 'Pausieren',
+        'Permiso de Micrófono': 'Mikrofonberechtigung',
+        'Permiso de micrófono denegado. Por favor, permite el acceso al micrófono.': 'Mikrofonberechtigung verweigert. Bitte erlaube den Zugriff auf das Mikrofon.',
+        'Permiso denegado. Haz clic en el 🔒 de la barra de direcciones para habilitarlo.': 'Berechtigung verweigert. Klicke auf das 🔒 in der Adressleiste, um sie zu aktivieren.',
+        'Personalizado · el modelo usa {value}': 'Benutzerdefiniert · das Modell verwendet {value}',
+        'Pico': 'Spitze',
+        'Poca voz': 'Wenig Sprache',
+        'Posible voz sintética: {windows} ventanas seguidas por encima del umbral desde el segundo {since} (última {probability}%)': 'Mögliche synthetische Stimme: {windows} Fenster in Folge über der Schwelle seit Sekunde {since} (zuletzt {probability} %)',
+        'Precisión': 'Präzision',
+        'Predicho': 'Vorhergesagt',
+        'Preparando audio...': 'Audio wird vorbereitet...',
+        'Preprocesado': 'Vorverarbeitung',
+        'Preprocesado desconocido: {id}': 'Unbekannte Vorverarbeitung: {id}',
+        'Probabilidad de spoof': 'Spoof-Wahrscheinlichkeit',
+        'Probabilidad de spoof e idioma detectado en el último minuto': 'Spoof-Wahrscheinlichkeit und erkannte Sprache der letzten Minute',
+        'Probar Ahora': 'Jetzt ausprobieren',
+        'Pulsa para analizar': 'Zum Analysieren drücken',
+        'Puntuación': 'Wert',
+        'Québécois (CA)': 'Québécois (CA)',
+        'Real \\ Predicho': 'Tatsächlich \\ Vorhergesagt',
+        'Reanudar': 'Fortsetzen',
+        'Receta de características incompatible para {kind} v{version}: {key}={value} (el extractor usa {expected})': 'Inkompatibles Merkmalsrezept für {kind} v{version}: {key}={value} (der Extraktor verwendet {expected})',
+        'Recibe un JSON con el desglose de probabilidades, origen geográfico y puntuación de autenticidad.': 'Erhalte ein JSON mit der Aufschlüsselung der Wahrscheinlichkeiten, der geografischen Herkunft und dem Echtheitswert.',
+        'Red convolucional con bloques Squeeze-and-Excitation y conexiones residuales para máxima precisión.': 'Faltungsnetz mit Squeeze-and-Excitation-Blöcken und Residualverbindungen für maximale Genauigkeit.',
+        'Región más influyente: {start}–{end} s, {fMin}–{fMax} (ocultarla resta {delta} puntos).': 'Einflussreichster Bereich: {start}–{end} s, {fMin}–{fMax} (Ausblenden zieht {delta} Punkte ab).',
+        'Reintentar fallidos': 'Fehlgeschlagene wiederholen',
+        'Reproducir': 'Abspielen',
+        'Respuesta del servidor no válida ({field}: {detail})': 'Ungültige Serverantwort ({field}: {detail})',
+        'Restablecer': 'Zurücksetzen',
+        'Resultado Instantáneo': 'Sofortiges Ergebnis',
+        'Rioplatense (AR/UY)': 'Rioplatensisch (AR/UY)',
+        'Ruido': 'Rauschen',
+        'SNR estimada': 'Geschätztes SNR',
+        'Salto': 'Schritt',
+        'Saturación': 'Übersteuerung',
+        'Se esperaba un Blob o un AudioBuffer': 'Erwartet wurde ein Blob oder ein AudioBuffer',
+        'Se explica la ventana más sospechosa ({start}–{end} s).': 'Erklärt wird das verdächtigste Fenster ({start}–{end} s).',
+        'Segmentos': 'Segmente',
+        'Seleccionar para comparar o exportar': 'Zum Vergleichen oder Exportieren auswählen',
+        'Servidor': 'Server',
+        'Servidor listo': 'Server bereit',
+        'Servidor no disponible': 'Server nicht verfügbar',
+        'Servidor no disponible · se analizará en el navegador': 'Server nicht verfügbar · Analyse erfolgt im Browser',
+        'Si bloqueaste el permiso, haz clic en el icono 🔒 de la barra de direcciones para habilitarlo.': 'Wenn du die Berechtigung blockiert hast, klicke auf das 🔒-Symbol in der Adressleiste, um sie zu aktivieren.',
+        'Silencio': 'Stille',
+        'Sin clips con idioma etiquetado que el modelo conozca.': 'Keine Clips mit einer Sprache, die das Modell kennt.',
+        'Sin clips con origen (humano/sintético) etiquetado.': 'Keine Clips mit gelabelter Herkunft (menschlich/synthetisch).',
+        'Sin componente continua, paso alto a 50 Hz y pico a −1 dBFS: el nivel de grabación no cambia la entrada de los modelos': 'Gleichanteil entfernt, Hochpass bei 50 Hz und Spitze bei −1 dBFS: der Aufnahmepegel ändert die Eingabe der Modelle nicht',
+        'Sin conexión': 'Offline',
+        'Sin conexión · el análisis en el navegador sigue disponible': 'Offline · die Analyse im Browser ist weiterhin verfügbar',
+        'Sin conexión · se analizará en el navegador': 'Offline · Analyse erfolgt im Browser',
+        'Sin incidencias.': 'Keine Auffälligkeiten.',
+        'Sin preprocesado registrado': 'Keine Vorverarbeitung erfasst',
+        'Sin voz': 'Keine Sprache',
+        'Sintético': 'Synthetisch',
+        'Sintéticos detectados': 'Erkannte synthetische',
+        'Sobre el umbral de spoofing': 'Über der Spoofing-Schwelle',
+        'Solo el {ratio}% del audio contiene voz.': 'Nur {ratio} % des Audios enthalten Sprache.',
+        'Solo local': 'Nur lokal',
+        'Spoofing': 'Spoofing',
+        'Sube clips cuyo origen conoces. Se analizan en el navegador con el modelo de spoofing local y se calcula la curva ROC, la tasa de error igual (EER) y un umbral sugerido.': 'Lade Clips hoch, deren Herkunft du kennst. Sie werden im Browser mit dem lokalen Spoofing-Modell analysiert, um die ROC-Kurve, die Equal Error Rate (EER) und eine empfohlene Schwelle zu berechnen.',
+        'Sube un archivo o graba en tiempo real. Soportamos WAV, MP3 y flujos Opus de baja latencia.': 'Lade eine Datei hoch oder nimm in Echtzeit auf. Unterstützt werden WAV, MP3 und Opus-Streams mit geringer Latenz.',
+        'Subir archivo de audio': 'Audiodatei hochladen',
+        'Suelta el audio para cargarlo': 'Audio zum Laden ablegen',
+        'Superposición': 'Überlagerung',
+        'Tarea': 'Aufgabe',
+        'Tecnología': 'Technologie',
+        'Todavía no hay análisis guardados.': 'Noch keine gespeicherten Analysen.',
+        'Todos': 'Alle',
+        'Tu navegador no soporta grabación': 'Dein Browser unterstützt keine Aufnahme',
+        'Tu navegador no soporta grabación con AudioWorklet': 'Dein Browser unterstützt keine Aufnahme mit AudioWorklet',
+        'Umbral': 'Schwelle',
+        'Umbral de decisión': 'Entscheidungsschwelle',
+        'Umbral de spoofing': 'Spoofing-Schwelle',
+        'Umbral del modelo ({value})': 'Schwelle des Modells ({value})',
+        'Umbral sugerido': 'Empfohlene Schwelle',
+        'Umbral: {threshold} · P(artificial) {probability}': 'Schwelle: {threshold} · P(künstlich) {probability}',
+        'Umbral: {value}%': 'Schwelle: {value} %',
+        'Usa el servidor y, si no responde, analiza en el navegador': 'Nutzt den Server und analysiert im Browser, wenn er nicht antwortet',
+        'Usar este umbral': 'Diese Schwelle verwenden',
+        'Ventana': 'Fenster',
+        'Ventanas seguidas por encima del umbral antes de avisar': 'Aufeinanderfolgende Fenster über der Schwelle vor dem Alarm',
+        'Ver Documentación': 'Dokumentation ansehen',
+        'Ver el clip completo': 'Ganzen Clip anzeigen',
+        'Ver el detalle': 'Details anzeigen',
+        'Versiones de los modelos locales': 'Versionen der lokalen Modelle',
+        'Versiones de spoofing a combinar': 'Zu kombinierende Spoofing-Versionen',
+        'Versión': 'Version',
+        'Versión A': 'Version A',
+        'Versión B': 'Version B',
+        'Versión {name}': 'Version {name}',
+        'Versión {version} del modelo de {kind} no encontrada en el manifiesto': 'Version {version} des {kind}-Modells nicht im Manifest gefunden',
+        'Voces humanas': 'Menschliche Stimmen',
+        'Voces sintéticas': 'Synthetische Stimmen',
+        'Volver a analizar': 'Erneut analysieren',
+        'Volviendo a analizar...': 'Wird erneut analysiert...',
+        'Voz artificial': 'Künstliche Stimme',
+        'Voz detectada': 'Erkannte Stimme',
+        'Voz realzada': 'Verstärkte Stimme',
+        'Workflow Simplificado': 'Vereinfachter Ablauf',
+        'Ya hay una grabación en curso': 'Es läuft bereits eine Aufnahme',
+        'Zoom': 'Zoom',
+        'acento': 'Akzent',
+        'calibrado': 'kalibriert',
+        'cargando modelos...': 'Modelle werden geladen...',
+        'clip completo · {seconds} s': 'ganzer Clip · {seconds} s',
+        'el servidor no respondió': 'der Server hat nicht geantwortet',
+        'el servidor se está despertando': 'der Server wacht auf',
+        'en pausa': 'pausiert',
+        'ensamblado: {versions}': 'Ensemble: {versions}',
+        'fuera de language_probabilities': 'außerhalb von language_probabilities',
+        'idioma': 'Sprache',
+        'inteligente': 'mit KI',
+        'latencia {ms} ms': 'Latenz {ms} ms',
+        'manifiesto: {count} filas': 'Manifest: {count} Zeilen',
+        'modelo: {value}%': 'Modell: {value} %',
+        'modelos: {version}': 'Modelle: {version}',
+        'no es JSON': 'kein JSON',
+        'no es un objeto JSON': 'kein JSON-Objekt',
+        'o': 'oder',
+        'o arrastra un audio aquí / pégalo con Ctrl+V': 'oder ziehe ein Audio hierher / füge es mit Strg+V ein',
+        'personalizado': 'benutzerdefiniert',
+        'pico': 'Spitze',
+        'preprocesado: {name}': 'Vorverarbeitung: {name}',
+        'punto de EER': 'EER-Punkt',
+        're-analizado {count}×': '{count}× erneut analysiert',
+        'respuesta': 'Antwort',
+        'retirado': 'entfernt',
+        'robusto: {variants} variantes': 'robust: {variants} Varianten',
+        'se esperaba un booleano': 'Boolescher Wert erwartet',
+        'se esperaba un texto': 'Text erwartet',
+        'se esperaba un índice de clase': 'Klassenindex erwartet',
+        'se esperaba un índice de clase o null': 'Klassenindex oder null erwartet',
+        'se esperaba una lista de probabilidades': 'Liste von Wahrscheinlichkeiten erwartet',
+        'se esperaba una probabilidad': 'Wahrscheinlichkeit erwartet',
+        'servidor no disponible': 'Server nicht verfügbar',
+        'silencio': 'Stille',
+        'spoofing': 'Spoofing',
+        'valor no válido': 'ungültiger Wert',
+        'voz': 'Sprache',
+        'v{version} (predeterminada)': 'v{version} (Standard)',
+        '{count} bloqueados por calidad': '{count} wegen Qualität blockiert',
+        '{count} cambios de idioma': '{count} Sprachwechsel',
+        '{count} cancelados': '{count} abgebrochen',
+        '{count} clips etiquetados': '{count} gelabelte Clips',
+        '{count} clips evaluados': '{count} Clips bewertet',
+        '{count} clips no analizados (calidad o formato)': '{count} Clips nicht analysiert (Qualität oder Format)',
+        '{count} con error': '{count} mit Fehler',
+        '{count} descartados por calidad': '{count} wegen Qualität verworfen',
+        '{count} errores': '{count} Fehler',
+        '{count} humanos': '{count} menschliche',
+        '{count} idiomas': '{count} Sprachen',
+        '{count} segmentos': '{count} Segmente',
+        '{count} sin etiqueta (se omiten)': '{count} ohne Label (übersprungen)',
+        '{count} sintéticos': '{count} synthetische',
+        '{count} sospechosos': '{count} verdächtig',
+        '{count} tensores': '{count} Tensoren',
+        '{count} variantes · spoofing: {versions}': '{count} Varianten · Spoofing: {versions}',
+        '{count} ventanas': '{count} Fenster',
+        '{count} ventanas omitidas': '{count} Fenster übersprungen',
+        '{finished}/{total} procesados': '{finished}/{total} verarbeitet',
+        '{labels} etiquetas para {outputs} salidas en el modelo de {kind}': '{labels} Labels für {outputs} Ausgaben im {kind}-Modell',
+        '{rate} Hz (análisis)': '{rate} Hz (Analyse)',
+        '{rate} Hz (original)': '{rate} Hz (Original)',
+        '{suspicious} de {analysed} sobre el umbral de spoofing': '{suspicious} von {analysed} über der Spoofing-Schwelle',
+        '{used} de {quota}': '{used} von {quota}',
+        '{value}% artificial': '{value} % künstlich',
+        '¿Borrar todo el historial de análisis? Esta acción no se puede deshacer.': 'Den gesamten Analyseverlauf löschen? Dies kann nicht rückgängig gemacht werden.',
+        '¿Por qué? Mapa de relevancia': 'Warum? Relevanzkarte',
+        'Österreichisch (AT)': 'Österreichisch (AT)'
+    },
+    classLabels: {
+        language: ['Spanisch', 'Englisch', 'Französisch', 'Deutsch'],
+        spoofing: ['Menschlich', 'Künstlich']
+    }
+};
@@ -0,0 +1,488 @@
+/**
+ * 🇬🇧 English catalogue for EpigrafIA
+ * Keys are the Spanish source strings (see utils/i18n.js); {name} placeholders are kept as is.
+ * Class labels follow the class order of the built-in label lists in utils/labels.js.
+ */
+export default {
+    messages: {
+        '+{count} sin liberar': '+{count} not released',
+        '1. Conjunto de datos': '1. Dataset',
+        '140+ Idiomas': '140+ Languages',
+        '2. Versiones de los modelos': '2. Model versions',
+        '3. Resultados': '3. Results',
+        '40 coeficientes MFCC con deltas y delta-deltas ({value}) para capturar patrones espectrales.': '40 MFCC coefficients with deltas and delta-deltas ({value}) to capture spectral patterns.',
+        '99.2% Precisión': '99.2% Accuracy',
+        'A partir de qué probabilidad un audio se considera sintético. Se guarda en este navegador y se aplica a todos los veredictos y exportaciones.': 'The probability above which a clip counts as synthetic. It is saved in this browser and applied to every verdict and export.',
+        'AUC y EER necesitan clips humanos y sintéticos.': 'AUC and EER need both human and synthetic clips.',
+        'Abrir menú': 'Open menu',
+        'Accuracy (umbral {value})': 'Accuracy (threshold {value})',
+        'Acento': 'Accent',
+        'Acento Detectado': 'Detected Accent',
+        'Acercar': 'Zoom in',
+        'Actualiza para usar la última versión de la aplicación.': 'Update to use the latest version of the app.',
+        'Actualizar': 'Update',
+        'Agregación desconocida: {aggregation}': 'Unknown aggregation: {aggregation}',
+        'Alejar': 'Zoom out',
+        'Alerta tras': 'Alert after',
+        'Alto desde': 'High from',
+        'Americano (US)': 'American (US)',
+        'Analiza carpetas enteras de notas de voz con el motor seleccionado. Cada resultado se guarda también en el historial.': 'Analyse whole folders of voice notes with the selected engine. Every result is also saved to the history.',
+        'Analiza siempre en el servidor': 'Always analyse on the server',
+        'Analizando': 'Analysing',
+        'Analizando audio con IA...': 'Analysing audio with AI...',
+        'Analizando en el navegador': 'Analysing in the browser',
+        'Analizando en el servidor...': 'Analysing on the server...',
+        'Analizando segmento {index}/{total} en el servidor...': 'Analysing segment {index}/{total} on the server...',
+        'Analizando segmento {index}/{total}...': 'Analysing segment {index}/{total}...',
+        'Analizando selección...': 'Analysing selection...',
+        'Analizando variantes': 'Analysing variants',
+        'Analizando {index}/{total}: {name}': 'Analysing {index}/{total}: {name}',
+        'Analizar al cargar': 'Analyse on load',
+        'Analizar cada ventana desplazada y con ruido, y mostrar la dispersión (solo en el navegador, más lento)': 'Analyse each window shifted and with noise, and show the spread (browser only, slower)',
+        'Analizar selección': 'Analyse selection',
+        'Análisis Neural': 'Neural Analysis',
+        'Análisis cancelado': 'Analysis cancelled',
+        'Análisis de Audio': 'Audio Analysis',
+        'Análisis por lotes': 'Batch analysis',
+        'Apenas se detecta voz ({seconds} s). Habla más cerca del micrófono.': 'Hardly any speech detected ({seconds} s). Speak closer to the microphone.',
+        'Archivo': 'File',
+        'Archivos que se analizan a la vez': 'Files analysed at the same time',
+        'Arrastra aquí archivos o carpetas de audio': 'Drag audio files or folders here',
+        'Arrastra aquí una carpeta o': 'Drag a folder here or',
+        'Artificial': 'Artificial',
+        'Audio Humano': 'Human Audio',
+        'Audio Sintético': 'Synthetic Audio',
+        'Audio no apto para el análisis': 'Audio not suitable for analysis',
+        'Audios largos: análisis por segmentos': 'Long audio: analysis by segments',
+        'Auto': 'Auto',
+        'Autor': 'Author',
+        'Baja frecuencia': 'Low sample rate',
+        'Bajo hasta': 'Low up to',
+        'Bandas de riesgo': 'Risk bands',
+        'Borrar todo': 'Delete all',
+        'Británico (UK)': 'British (UK)',
+        'CNN con Atención SE': 'CNN with SE Attention',
+        'Cada': 'Every',
+        'Cada cuánto se analiza una nueva ventana de 3 s': 'How often a new 3 s window is analysed',
+        'Calculando el mapa de relevancia...': 'Computing the relevance map...',
+        'Calibración cancelada': 'Calibration cancelled',
+        'Calibrado el {date} con {count} clips · EER {eer}': 'Calibrated on {date} with {count} clips · EER {eer}',
+        'Calibrar': 'Calibrate',
+        'Calibrar con mis audios': 'Calibrate with my audio',
+        'Calidad': 'Quality',
+        'Calidad del audio': 'Audio quality',
+        'Cambio de idioma': 'Language change',
+        'Canal': 'Channel',
+        'Cancelado': 'Cancelled',
+        'Cancelar': 'Cancel',
+        'Cancelar análisis': 'Cancel analysis',
+        'Cargando modelos': 'Loading models',
+        'Cargando modelos locales...': 'Loading local models...',
+        'Castellano (ES)': 'Castilian (ES)',
+        'Cerrar': 'Close',
+        'Clase': 'Class',
+        'Clasificación de Español, Inglés, Francés y Alemán con un {value} de accuracy.': 'Classifies Spanish, English, French and German with {value} accuracy.',
+        'Clip completo · {seconds} s': 'Whole clip · {seconds} s',
+        'Clips': 'Clips',
+        'Combinar': 'Combine',
+        'Comparación': 'Comparison',
+        'Comprueba las métricas de los modelos con tus propios audios. Los clips se analizan en este navegador con los modelos locales; nada se sube a ningún servidor.': 'Check the models\' metrics against your own audio. Clips are analysed in this browser with the local models; nothing is uploaded to any server.',
+        'Con avisos de calidad': 'With quality warnings',
+        'Conectando con servidor...': 'Connecting to server...',
+        'Conectando...': 'Connecting...',
+        'Confianza': 'Confidence',
+        'Cuota no disponible': 'Quota unavailable',
+        'Curva ROC de la calibración': 'Calibration ROC curve',
+        'Datasets Reales': 'Real Datasets',
+        'Declarado': 'Declared',
+        'Derecho': 'Right',
+        'Descargar JSON': 'Download JSON',
+        'Desconocido': 'Unknown',
+        'Despertando el servidor (intento {attempt})...': 'Waking the server (attempt {attempt})...',
+        'Despertando el servidor...': 'Waking the server...',
+        'Despertando el servidor... puede tardar hasta un minuto': 'Waking the server... this can take up to a minute',
+        'Desplazamiento DC': 'DC offset',
+        'Desviación típica entre {variants} variantes del audio': 'Standard deviation across {variants} variants of the audio',
+        'Detección de Idioma': 'Language Detection',
+        'Detección de Spoofing': 'Spoofing Detection',
+        'Detección de Voz Artificial': 'Artificial Voice Detection',
+        'Detección de spoofing no disponible': 'Spoofing detection unavailable',
+        'Detección de voz': 'Voice detection',
+        'Detectados': 'Detected',
+        'Detectando idioma': 'Detecting language',
+        'Detectando voz artificial': 'Detecting artificial voice',
+        'Detener': 'Stop',
+        'Detener grabación': 'Stop recording',
+        'Detenido': 'Stopped',
+        'Detenido: {message}': 'Stopped: {message}',
+        'Duración': 'Duration',
+        'Duración de la grabación': 'Recording length',
+        'El ancho de delta debe ser impar y >= 3': 'The delta width must be odd and >= 3',
+        'El audio está prácticamente en silencio. Comprueba el micrófono o el archivo.': 'The audio is almost silent. Check the microphone or the file.',
+        'El audio está saturado ({ratio}% de muestras recortadas). Baja la ganancia y vuelve a grabar.': 'The audio is clipped ({ratio}% of samples clipped). Lower the gain and record again.',
+        'El audio nunca sale de tu navegador': 'The audio never leaves your browser',
+        'El audio se procesa en memoria volátil y nunca se almacena en disco.': 'Audio is processed in volatile memory and never stored on disk.',
+        'El audio tiene un desplazamiento DC de {offset}; el micrófono podría estar mal calibrado.': 'The audio has a DC offset of {offset}; the microphone may be badly calibrated.',
+        'El fichero de etiquetas de acento debe ser una lista no vacía': 'The accent labels file must be a non-empty list',
+        'El manifiesto CSV está vacío': 'The CSV manifest is empty',
+        'El manifiesto CSV necesita una columna "file" o "path"': 'The CSV manifest needs a "file" or "path" column',
+        'El manifiesto CSV necesita una columna "language" o "spoofing"': 'The CSV manifest needs a "language" or "spoofing" column',
+        'El manifiesto no incluye modelos de {kind}': 'The manifest lists no {kind} models',
+        'El manifiesto no incluye un modelo de idioma': 'The manifest lists no language model',
+        'El manifiesto no incluye un modelo de spoofing': 'The manifest lists no spoofing model',
+        'El manifiesto no tiene hash para {path} ({kind} v{version})': 'The manifest has no hash for {path} ({kind} v{version})',
+        'El micrófono está siendo usado por otra aplicación. Ciérrala e intenta de nuevo.': 'The microphone is being used by another application. Close it and try again.',
+        'El micrófono se ha desconectado': 'The microphone was disconnected',
+        'El modelo de {kind} v{version} espera {expected}, pero el extractor produce {actual}': 'The {kind} model v{version} expects {expected}, but the extractor produces {actual}',
+        'El modelo local no incluye detección de spoofing': 'The local model does not include spoofing detection',
+        'El modelo solo ve los primeros {seconds} s.': 'The model only sees the first {seconds} s.',
+        'El navegador bloqueó la ventana del informe': 'The browser blocked the report window',
+        'El resultado puede no ser fiable': 'The result may not be reliable',
+        'El servidor no despertó a tiempo': 'The server did not wake up in time',
+        'El servidor no está listo': 'The server is not ready',
+        'El servidor se está iniciando': 'The server is starting',
+        'El servidor solo devolvió la clase principal': 'The server only returned the top class',
+        'El servidor tardó demasiado en responder': 'The server took too long to respond',
+        'El tamaño de la FFT debe ser potencia de 2 (recibido {n})': 'The FFT size must be a power of 2 (got {n})',
+        'El umbral debe estar entre 0 y 1': 'The threshold must be between 0 and 1',
+        'El veredicto mostrado viene del servidor; el mapa usa el modelo de spoofing local.': 'The verdict shown comes from the server; the map uses the local spoofing model.',
+        'Elegir archivo': 'Choose file',
+        'Elegir archivos': 'Choose files',
+        'Elegir carpeta': 'Choose folder',
+        'Elige una región y pulsa «Analizar selección»': 'Pick a region and press “Analyse selection”',
+        'Elige una versión, o dos para compararlas sobre los mismos clips. Las versiones salen de {file}.': 'Choose one version, or two to compare them on the same clips. Versions come from {file}.',
+        'Eliminar': 'Delete',
+        'En cola': 'Queued',
+        'En directo': 'Live',
+        'En paralelo': 'In parallel',
+        'En rojo, las zonas que empujan hacia «sintético» (al ocultarlas la probabilidad baja); en azul, las que empujan hacia «humano».': 'In red, the regions pushing towards “synthetic” (hiding them lowers the probability); in blue, those pushing towards “human”.',
+        'Entendido, Permitir': 'Got it, Allow',
+        'Entrenado con ASVspoof 2019 para distinguir voz humana de sintética con un {value} de accuracy.': 'Trained on ASVspoof 2019 to tell human from synthetic speech with {value} accuracy.',
+        'Entrenado con Common Voice (Mozilla) y ASVspoof 2019 LA con más de {value} muestras de audio.': 'Trained on Common Voice (Mozilla) and ASVspoof 2019 LA with more than {value} audio samples.',
+        'EpigrafIA - Detección Inteligente de Voz': 'EpigrafIA - Intelligent Voice Detection',
+        'EpigrafIA - Evaluación local de los modelos': 'EpigrafIA - Local model evaluation',
+        'EpigrafIA necesita acceso a tu micrófono para analizar tu voz. Por favor, permite el acceso cuando el navegador lo solicite.': 'EpigrafIA needs access to your microphone to analyse your voice. Please allow access when the browser asks.',
+        'EpigrafIA · Informe de análisis': 'EpigrafIA · Analysis report',
+        'Error': 'Error',
+        'Error accediendo al micrófono: {message}': 'Error accessing the microphone: {message}',
+        'Error al analizar': 'Analysis error',
+        'Error al exportar': 'Export error',
+        'Error al grabar': 'Recording error',
+        'Error al procesar': 'Processing error',
+        'Error cargando modelo de idioma: {message}': 'Error loading the language model: {message}',
+        'Error decodificando archivo de audio: {message}': 'Error decoding audio file: {message}',
+        'Error decodificando audio: {message}': 'Error decoding audio: {message}',
+        'Error del servidor: {status}': 'Server error: {status}',
+        'Error desconocido': 'Unknown error',
+        'Error en MediaRecorder: {message}': 'MediaRecorder error: {message}',
+        'Error en el worker de análisis: {message}': 'Analysis worker error: {message}',
+        'Error en la evaluación': 'Evaluation error',
+        'Error: {message}': 'Error: {message}',
+        'Errores por archivo': 'Errors per file',
+        'Espacio usado por este sitio en el navegador': 'Space used by this site in the browser',
+        'Espectrograma mel con las regiones que influyen en la detección de spoofing': 'Mel spectrogram with the regions that drive the spoofing detection',
+        'Esperado': 'Expected',
+        'Estado': 'Status',
+        'Este audio parece ser de una voz humana real': 'This audio appears to be a real human voice',
+        'Este audio podría ser generado por IA (deepfake)': 'This audio may be AI-generated (deepfake)',
+        'Estrategia de mezcla desconocida: {strategy}': 'Unknown downmix strategy: {strategy}',
+        'Evaluación': 'Evaluation',
+        'Evaluación cancelada': 'Evaluation cancelled',
+        'Evaluación local': 'Local evaluation',
+        'Evaluar': 'Evaluate',
+        'Exhaustividad': 'Recall',
+        'Exporta las entradas marcadas, o todas si no hay ninguna marcada': 'Exports the ticked entries, or all of them if none is ticked',
+        'Exportar CSV': 'Export CSV',
+        'Exportar informe:': 'Export report:',
+        'Exportar:': 'Export:',
+        'Extracción MFCC': 'MFCC Extraction',
+        'Extrayendo MFCC': 'Extracting MFCC',
+        'Fallidos o bloqueados': 'Failed or blocked',
+        'Falsos positivos': 'False positives',
+        'Fecha': 'Date',
+        'Fecha de análisis': 'Analysis date',
+        'Filtrar por nombre…': 'Filter by name…',
+        'Finalizando': 'Finishing',
+        'Forense (sin procesar)': 'Forensic (unprocessed)',
+        'Forma de entrada {actual} distinta de la del manifiesto {expected}': 'Input shape {actual} differs from the manifest\'s {expected}',
+        'Forma de onda': 'Waveform',
+        'Forma de salida {actual} distinta de la del manifiesto {expected}': 'Output shape {actual} differs from the manifest\'s {expected}',
+        'Formato de manifest.json no soportado': 'Unsupported manifest.json format',
+        'Frecuencia de muestreo': 'Sample rate',
+        'Frecuencia de muestreo baja ({rate} Hz); se recomiendan {recommended} Hz o más.': 'Low sample rate ({rate} Hz); {recommended} Hz or more is recommended.',
+        'Frecuencia de muestreo demasiado baja ({rate} Hz).': 'Sample rate too low ({rate} Hz).',
+        'Frecuencia desconocida': 'Unknown sample rate',
+        'Generado el {date} · {count} audio': 'Generated on {date} · {count} clip',
+        'Generado el {date} · {count} audios': 'Generated on {date} · {count} clips',
+        'Grabando... {seconds} s': 'Recording... {seconds} s',
+        'Grabar audio': 'Record audio',
+        'Grabar {seconds} s': 'Record {seconds} s',
+        'Guardado solo en este navegador. Marca dos entradas para compararlas o varias para exportarlas.': 'Stored only in this browser. Tick two entries to compare them, or several to export them.',
+        'Hacen falta clips humanos y clips sintéticos para calibrar': 'Calibration needs both human and synthetic clips',
+        'Hay saturación en el audio ({ratio}% de muestras recortadas).': 'The audio has some clipping ({ratio}% of samples clipped).',
+        'Hay una nueva versión de EpigrafIA': 'A new version of EpigrafIA is available',
+        'Hecho': 'Done',
+        'Historial': 'History',
+        'Historial de análisis': 'Analysis history',
+        'Hochdeutsch (DE)': 'Standard German (DE)',
+        'Humano': 'Human',
+        'Humanos marcados': 'Humans flagged',
+        'Identificación precisa de Idioma · Deepfakes': 'Accurate Language Identification · Deepfakes',
+        'Idioma': 'Language',
+        'Idioma Detectado': 'Detected Language',
+        'Idioma de la interfaz': 'Interface language',
+        'Imprimir / PDF': 'Print / PDF',
+        'Incierto': 'Uncertain',
+        'Información': 'About',
+        'Información del Modelo': 'Model Information',
+        'Infraestructura Privada': 'Private Infrastructure',
+        'Iniciar': 'Start',
+        'Input de Audio': 'Audio Input',
+        'Integridad fallida en {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…': 'Integrity check failed for {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…',
+        'Izquierdo': 'Left',
+        'La banda baja debe ser menor que la alta': 'The low band must be below the high band',
+        'La etiqueta de acento {index} necesita "label" y "language"': 'Accent label {index} needs "label" and "language"',
+        'La ventana y el salto deben ser mayores que 0': 'The window and hop must be greater than 0',
+        'Las dos clases más probables están muy igualadas': 'The two most likely classes are very close',
+        'Las etiquetas salen de los nombres de carpeta (p. ej. {example}) o de un manifiesto CSV con las columnas {columns}.': 'Labels come from folder names (e.g. {example}) or from a CSV manifest with the columns {columns}.',
+        'Limpiar': 'Clear',
+        'Los modelos reciben el audio tal cual, sin ninguna modificación': 'The models get the audio as is, without any change',
+        'Manifiesto CSV (opcional)': 'CSV manifest (optional)',
+        'Manifiesto cargado ({count} filas). Elige la carpeta de los clips.': 'Manifest loaded ({count} rows). Choose the clips folder.',
+        'Mantiene el micrófono abierto y analiza en el navegador los últimos 3 s de forma continua. Útil para vigilar llamadas o emisiones.': 'Keeps the microphone open and continuously analyses the last 3 s in the browser. Useful for monitoring calls or broadcasts.',
+        'Mayoría': 'Majority',
+        'Media': 'Mean',
+        'Medido': 'Measured',
+        'Mezcla (promedio)': 'Mix (average)',
+        'Micrófono': 'Microphone',
+        'Modelo de spoofing local v{version}: {probability}% de probabilidad de audio sintético (umbral {threshold}%).': 'Local spoofing model v{version}: {probability}% probability of synthetic audio (threshold {threshold}%).',
+        'Modelo: {name}': 'Model: {name}',
+        'Modo robusto': 'Robust mode',
+        'Monitor en vivo': 'Live monitor',
+        'Motor': 'Engine',
+        'Motor de análisis': 'Analysis engine',
+        'Motor desconocido: {engine}': 'Unknown engine: {engine}',
+        'Motor: Navegador (TF.js)': 'Engine: Browser (TF.js)',
+        'Motor: Servidor': 'Engine: Server',
+        'Mucho ruido de fondo (SNR ≈ {snr} dB).': 'Lots of background noise (SNR ≈ {snr} dB).',
+        'Muestras saturadas': 'Clipped samples',
+        'Más tarde': 'Later',
+        'Máx. riesgo': 'Max. risk',
+        'Métricas de calidad no disponibles.': 'Quality metrics unavailable.',
+        'Navegador': 'Browser',
+        'Navegador (TF.js)': 'Browser (TF.js)',
+        'Ninguna región, por sí sola, aumenta la probabilidad de audio sintético.': 'No single region increases the probability of synthetic audio on its own.',
+        'Ningún archivo coincide con el filtro.': 'No file matches the filter.',
+        'Ningún error': 'No errors',
+        'Nivel': 'Level',
+        'Nivel RMS': 'RMS level',
+        'Nivel normalizado': 'Normalised level',
+        'No analizado': 'Not analysed',
+        'No concluyente': 'Inconclusive',
+        'No disponible': 'Not available',
+        'No hay análisis que exportar': 'There are no analyses to export',
+        'No hay segmentos que combinar': 'No segments to combine',
+        'No registrado': 'Not recorded',
+        'No se detectó ningún micrófono. Conecta un micrófono e intenta de nuevo.': 'No microphone detected. Connect a microphone and try again.',
+        'No se encontraron archivos de audio': 'No audio files found',
+        'No se encontró micrófono. Conecta un micrófono y recarga la página.': 'No microphone found. Connect a microphone and reload the page.',
+        'No se encontró ningún archivo de audio': 'No audio file found',
+        'No se encontró ningún micrófono. Por favor, conecta un micrófono.': 'No microphone found. Please connect a microphone.',
+        'No se pudo abrir el historial: {message}': 'Could not open the history: {message}',
+        'No se pudo acceder al micrófono. Verifica los permisos.': 'Could not access the microphone. Check the permissions.',
+        'No se pudo calcular el mapa': 'Could not compute the map',
+        'No se pudo calibrar': 'Could not calibrate',
+        'No se pudo cargar el archivo de audio': 'Could not load the audio file',
+        'No se pudo decodificar el audio en el navegador': 'Could not decode the audio in the browser',
+        'No se pudo iniciar el grabador: {message}': 'Could not start the recorder: {message}',
+        'No se pudo iniciar: {message}': 'Could not start: {message}',
+        'No se pudo leer el manifiesto de modelos: {message}': 'Could not read the model manifest: {message}',
+        'No se pudo leer la frecuencia de muestreo original del archivo; no se ha comprobado.': 'The original sample rate could not be read from the file; it was not checked.',
+        'Nuestra red convolucional extrae MFCCs y analiza patrones espectrales imperceptibles al oído humano.': 'Our convolutional network extracts MFCCs and analyses spectral patterns the human ear cannot perceive.',
+        'Nuevos modelos: {models}. Se descargarán ahora para poder usarlos sin conexión.': 'New models: {models}. They will be downloaded now so they can be used offline.',
+        'OfflineAudioContext no disponible': 'OfflineAudioContext unavailable',
+        'Offset DC': 'DC offset',
+        'Onda y espectrograma: arrastra para elegir la región a analizar, espacio para reproducir': 'Waveform and spectrogram: drag to choose the region to analyse, space to play',
+        'Orden de delta no soportado: {order}': 'Unsupported delta order: {order}',
+        'Origen': 'Source',
+        'P(artificial)': 'P(artificial)',
+        'Parar tras silencio': 'Stop after silence',
+        'Parisino (FR)': 'Parisian (FR)',
+        'Paso alto a 80 Hz, sonoridad a −23 LUFS, puerta de ruido a −50 dBFS y preénfasis 0,97': '80 Hz high-pass, −23 LUFS loudness, −50 dBFS noise gate and 0.97 pre-emphasis',
+        'Pausa': 'Pause',
+        'Pausar': 'Pause',
+        'Permiso de Micrófono': 'Microphone Permission',
+        'Permiso de micrófono denegado. Por favor, permite el acceso al micrófono.': 'Microphone permission denied. Please allow access to the microphone.',
+        'Permiso denegado. Haz clic en el 🔒 de la barra de direcciones para habilitarlo.': 'Permission denied. Click the 🔒 in the address bar to enable it.',
+        'Personalizado · el modelo usa {value}': 'Custom · the model uses {value}',
+        'Pico': 'Peak',
+        'Poca voz': 'Little speech',
+        'Posible voz sintética: {windows} ventanas seguidas por encima del umbral desde el segundo {since} (última {probability}%)': 'Possible synthetic voice: {windows} windows in a row above the threshold since second {since} (last {probability}%)',
+        'Precisión': 'Precision',
+        'Predicho': 'Predicted',
+        'Preparando audio...': 'Preparing audio...',
+        'Preprocesado': 'Preprocessing',
+        'Preprocesado desconocido: {id}': 'Unknown preprocessing: {id}',
+        'Probabilidad de spoof': 'Spoof probability',
+        'Probabilidad de spoof e idioma detectado en el último minuto': 'Spoof probability and detected language over the last minute',
+        'Probar Ahora': 'Try It Now',
+        'Pulsa para analizar': 'Press to analyse',
+        'Puntuación': 'Score',
+        'Québécois (CA)': 'Québécois (CA)',
+        'Real \\ Predicho': 'Actual \\ Predicted',
+        'Reanudar': 'Resume',
+        'Receta de características incompatible para {kind} v{version}: {key}={value} (el extractor usa {expected})': 'Incompatible feature recipe for {kind} v{version}: {key}={value} (the extractor uses {expected})',
+        'Recibe un JSON con el desglose de probabilidades, origen geográfico y puntuación de autenticidad.': 'Get a JSON with the probability breakdown, geographic origin and authenticity score.',
+        'Red convolucional con bloques Squeeze-and-Excitation y conexiones residuales para máxima precisión.': 'Convolutional network with Squeeze-and-Excitation blocks and residual connections for maximum accuracy.',
+        'Región más influyente: {start}–{end} s, {fMin}–{fMax} (ocultarla resta {delta} puntos).': 'Most influential region: {start}–{end} s, {fMin}–{fMax} (hiding it removes {delta} points).',
+        'Reintentar fallidos': 'Retry failed',
+        'Reproducir': 'Play',
+        'Respuesta del servidor no válida ({field}: {detail})': 'Invalid server response ({field}: {detail})',
+        'Restablecer': 'Reset',
+        'Resultado Instantáneo': 'Instant Result',
+        'Rioplatense (AR/UY)': 'Rioplatense (AR/UY)',
+        'Ruido': 'Noise',
+        'SNR estimada': 'Estimated SNR',
+        'Salto': 'Hop',
+        'Saturación': 'Clipping',
+        'Se esperaba un Blob o un AudioBuffer': 'Expected a Blob or an AudioBuffer',
+        'Se explica la ventana más sospechosa ({start}–{end} s).': 'The most suspicious window is explained ({start}–{end} s).',
+        'Segmentos': 'Segments',
+        'Seleccionar para comparar o exportar': 'Select to compare or export',
+        'Servidor': 'Server',
+        'Servidor listo': 'Server ready',
+        'Servidor no disponible': 'Server unavailable',
+        'Servidor no disponible · se analizará en el navegador': 'Server unavailable · will analyse in the browser',
+        'Si bloqueaste el permiso, haz clic en el icono 🔒 de la barra de direcciones para habilitarlo.': 'If you blocked the permission, click the 🔒 icon in the address bar to enable it.',
+        'Silencio': 'Silence',
+        'Sin clips con idioma etiquetado que el modelo conozca.': 'No clips labelled with a language the model knows.',
+        'Sin clips con origen (humano/sintético) etiquetado.': 'No clips with a labelled origin (human/synthetic).',
+        'Sin componente continua, paso alto a 50 Hz y pico a −1 dBFS: el nivel de grabación no cambia la entrada de los modelos': 'DC removed, 50 Hz high-pass and −1 dBFS peak: the recording level does not change what the models get',
+        'Sin conexión': 'Offline',
+        'Sin conexión · el análisis en el navegador sigue disponible': 'Offline · analysis in the browser is still available',
+        'Sin conexión · se analizará en el navegador': 'Offline · will analyse in the browser',
+        'Sin incidencias.': 'No issues.',
+        'Sin preprocesado registrado': 'No preprocessing recorded',
+        'Sin voz': 'No speech',
+        'Sintético': 'Synthetic',
+        'Sintéticos detectados': 'Synthetic detected',
+        'Sobre el umbral de spoofing': 'Above the spoofing threshold',
+        'Solo el {ratio}% del audio contiene voz.': 'Only {ratio}% of the audio contains speech.',
+        'Solo local': 'Local only',
+        'Spoofing': 'Spoofing',
+        'Sube clips cuyo origen conoces. Se analizan en el navegador con el modelo de spoofing local y se calcula la curva ROC, la tasa de error igual (EER) y un umbral sugerido.': 'Upload clips whose origin you know. They are analysed in the browser with the local spoofing model to compute the ROC curve, the equal error rate (EER) and a suggested threshold.',
+        'Sube un archivo o graba en tiempo real. Soportamos WAV, MP3 y flujos Opus de baja latencia.': 'Upload a file or record in real time. We support WAV, MP3 and low-latency Opus streams.',
+        'Subir archivo de audio': 'Upload audio file',
+        'Suelta el audio para cargarlo': 'Drop the audio to load it',
+        'Superposición': 'Overlay',
+        'Tarea': 'Task',
+        'Tecnología': 'Technology',
+        'Todavía no hay análisis guardados.': 'No saved analyses yet.',
+        'Todos': 'All',
+        'Tu navegador no soporta grabación': 'Your browser does not support recording',
+        'Tu navegador no soporta grabación con AudioWorklet': 'Your browser does not support recording with AudioWorklet',
+        'Umbral': 'Threshold',
+        'Umbral de decisión': 'Decision threshold',
+        'Umbral de spoofing': 'Spoofing threshold',
+        'Umbral del modelo ({value})': 'Model threshold ({value})',
+        'Umbral sugerido': 'Suggested threshold',
+        'Umbral: {threshold} · P(artificial) {probability}': 'Threshold: {threshold} · P(artificial) {probability}',
+        'Umbral: {value}%': 'Threshold: {value}%',
+        'Usa el servidor y, si no responde, analiza en el navegador': 'Uses the server and, if it does not respond, analyses in the browser',
+        'Usar este umbral': 'Use this threshold',
+        'Ventana': 'Window',
+        'Ventanas seguidas por encima del umbral antes de avisar': 'Consecutive windows above the threshold before alerting',
+        'Ver Documentación': 'View Documentation',
+        'Ver el clip completo': 'Show the whole clip',
+        'Ver el detalle': 'Show details',
+        'Versiones de los modelos locales': 'Local model versions',
+        'Versiones de spoofing a combinar': 'Spoofing versions to combine',
+        'Versión': 'Version',
+        'Versión A': 'Version A',
+        'Versión B': 'Version B',
+        'Versión {name}': 'Version {name}',
+        'Versión {version} del modelo de {kind} no encontrada en el manifiesto': 'Version {version} of the {kind} model not found in the manifest',
+        'Voces humanas': 'Human voices',
+        'Voces sintéticas': 'Synthetic voices',
+        'Volver a analizar': 'Analyse again',
+        'Volviendo a analizar...': 'Analysing again...',
+        'Voz artificial': 'Artificial voice',
+        'Voz detectada': 'Detected speech',
+        'Voz realzada': 'Enhanced voice',
+        'Workflow Simplificado': 'Simplified Workflow',
+        'Ya hay una grabación en curso': 'A recording is already in progress',
+        'Zoom': 'Zoom',
+        'acento': 'accent',
+        'calibrado': 'calibrated',
+        'cargando modelos...': 'loading models...',
+        'clip completo · {seconds} s': 'whole clip · {seconds} s',
+        'el servidor no respondió': 'the server did not respond',
+        'el servidor se está despertando': 'the server is waking up',
+        'en pausa': 'paused',
+        'ensamblado: {versions}': 'ensemble: {versions}',
+        'fuera de language_probabilities': 'outside language_probabilities',
+        'idioma': 'language',
+        'inteligente': 'powered by AI',
+        'latencia {ms} ms': 'latency {ms} ms',
+        'manifiesto: {count} filas': 'manifest: {count} rows',
+        'modelo: {value}%': 'model: {value}%',
+        'modelos: {version}': 'models: {version}',
+        'no es JSON': 'not JSON',
+        'no es un objeto JSON': 'not a JSON object',
+        'o': 'or',
+        'o arrastra un audio aquí / pégalo con Ctrl+V': 'or drag an audio file here / paste it with Ctrl+V',
+        'personalizado': 'custom',
+        'pico': 'peak',
+        'preprocesado: {name}': 'preprocessing: {name}',
+        'punto de EER': 'EER point',
+        're-analizado {count}×': 're-analysed {count}×',
+        'respuesta': 'response',
+        'retirado': 'removed',
+        'robusto: {variants} variantes': 'robust: {variants} variants',
+        'se esperaba un booleano': 'expected a boolean',
+        'se esperaba un texto': 'expected a string',
+        'se esperaba un índice de clase': 'expected a class index',
+        'se esperaba un índice de clase o null': 'expected a class index or null',
+        'se esperaba una lista de probabilidades': 'expected a list of probabilities',
+        'se esperaba una probabilidad': 'expected a probability',
+        'servidor no disponible': 'server unavailable',
+        'silencio': 'silence',
+        'spoofing': 'spoofing',
+        'valor no válido': 'invalid value',
+        'voz': 'speech',
+        'v{version} (predeterminada)': 'v{version} (default)',
+        '{count} bloqueados por calidad': '{count} blocked by quality',
+        '{count} cambios de idioma': '{count} language changes',
+        '{count} cancelados': '{count} cancelled',
+        '{count} clips etiquetados': '{count} labelled clips',
+        '{count} clips evaluados': '{count} clips evaluated',
+        '{count} clips no analizados (calidad o formato)': '{count} clips not analysed (quality or format)',
+        '{count} con error': '{count} failed',
+        '{count} descartados por calidad': '{count} discarded for quality',
+        '{count} errores': '{count} errors',
+        '{count} humanos': '{count} human',
+        '{count} idiomas': '{count} languages',
+        '{count} segmentos': '{count} segments',
+        '{count} sin etiqueta (se omiten)': '{count} unlabelled (skipped)',
+        '{count} sintéticos': '{count} synthetic',
+        '{count} sospechosos': '{count} suspicious',
+        '{count} tensores': '{count} tensors',
+        '{count} variantes · spoofing: {versions}': '{count} variants · spoofing: {versions}',
+        '{count} ventanas': '{count} windows',
+        '{count} ventanas omitidas': '{count} windows skipped',
+        '{finished}/{total} procesados': '{finished}/{total} processed',
+        '{labels} etiquetas para {outputs} salidas en el modelo de {kind}': '{labels} labels for {outputs} outputs in the {kind} model',
+        '{rate} Hz (análisis)': '{rate} Hz (analysis)',
+        '{rate} Hz (original)': '{rate} Hz (original)',
+        '{suspicious} de {analysed} sobre el umbral de spoofing': '{suspicious} of {analysed} above the spoofing threshold',
+        '{used} de {quota}': '{used} of {quota}',
+        '{value}% artificial': '{value}% artificial',
+        '¿Borrar todo el historial de análisis? Esta acción no se puede deshacer.': 'Delete the whole analysis history? This cannot be undone.',
+        '¿Por qué? Mapa de relevancia': 'Why? Relevance map',
+        'Österreichisch (AT)': 'Austrian (AT)'
+    },
+    classLabels: {
+        language: ['Spanish', 'English', 'French', 'German'],
+        spoofing: ['Human', 'Artificial']
+    }
+};
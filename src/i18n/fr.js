@@ -0,0 +1,488 @@
+/**
+ * 🇫🇷 French catalogue for EpigrafIA
+ * Keys are the Spanish source strings (see utils/i18n.js); {name} placeholders are kept as is.
+ * Class labels follow the class order of the built-in label lists in utils/labels.js.
+ */
+export default {
+    messages: {
+        '+{count} sin liberar': '+{count} non libérés',
+        '1. Conjunto de datos': '1. Jeu de données',
+        '140+ Idiomas': '140+ langues',
+        '2. Versiones de los modelos': '2. Versions des modèles',
+        '3. Resultados': '3. Résultats',
+        '40 coeficientes MFCC con deltas y delta-deltas ({value}) para capturar patrones espectrales.': '40 coefficients MFCC avec deltas et delta-deltas ({value}) pour capturer les motifs spectraux.',
+        '99.2% Precisión': '99,2 % de précision',
+        'A partir de qué probabilidad un audio se considera sintético. Se guarda en este navegador y se aplica a todos los veredictos y exportaciones.': 'Probabilité à partir de laquelle un audio est considéré comme synthétique. Elle est enregistrée dans ce navigateur et appliquée à tous les verdicts et exports.',
+        'AUC y EER necesitan clips humanos y sintéticos.': 'L\'AUC et l\'EER nécessitent des clips humains et synthétiques.',
+        'Abrir menú': 'Ouvrir le menu',
+        'Accuracy (umbral {value})': 'Exactitude (seuil {value})',
+        'Acento': 'Accent',
+        'Acento Detectado': 'Accent détecté',
+        'Acercar': 'Zoom avant',
+        'Actualiza para usar la última versión de la aplicación.': 'Mettez à jour pour utiliser la dernière version de l\'application.',
+        'Actualizar': 'Mettre à jour',
+        'Agregación desconocida: {aggregation}': 'Agrégation inconnue : {aggregation}',
+        'Alejar': 'Zoom arrière',
+        'Alerta tras': 'Alerte après',
+        'Alto desde': 'Élevé à partir de',
+        'Americano (US)': 'Américain (US)',
+        'Analiza carpetas enteras de notas de voz con el motor seleccionado. Cada resultado se guarda también en el historial.': 'Analysez des dossiers entiers de notes vocales avec le moteur sélectionné. Chaque résultat est aussi enregistré dans l\'historique.',
+        'Analiza siempre en el servidor': 'Analyse toujours sur le serveur',
+        'Analizando': 'Analyse en cours',
+        'Analizando audio con IA...': 'Analyse de l\'audio par IA...',
+        'Analizando en el navegador': 'Analyse dans le navigateur',
+        'Analizando en el servidor...': 'Analyse sur le serveur...',
+        'Analizando segmento {index}/{total} en el servidor...': 'Analyse du segment {index}/{total} sur le serveur...',
+        'Analizando segmento {index}/{total}...': 'Analyse du segment {index}/{total}...',
+        'Analizando selección...': 'Analyse de la sélection...',
+        'Analizando variantes': 'Analyse des variantes',
+        'Analizando {index}/{total}: {name}': 'Analyse {index}/{total} : {name}',
+        'Analizar al cargar': 'Analyser au chargement',
+        'Analizar cada ventana desplazada y con ruido, y mostrar la dispersión (solo en el navegador, más lento)': 'Analyser chaque fenêtre décalée et avec du bruit, et afficher la dispersion (navigateur uniquement, plus lent)',
+        'Analizar selección': 'Analyser la sélection',
+        'Análisis Neural': 'Analyse neuronale',
+        'Análisis cancelado': 'Analyse annulée',
+        'Análisis de Audio': 'Analyse audio',
+        'Análisis por lotes': 'Analyse par lots',
+        'Apenas se detecta voz ({seconds} s). Habla más cerca del micrófono.': 'Presque aucune voix détectée ({seconds} s). Parlez plus près du micro.',
+        'Archivo': 'Fichier',
+        'Archivos que se analizan a la vez': 'Fichiers analysés simultanément',
+        'Arrastra aquí archivos o carpetas de audio': 'Glissez ici des fichiers ou dossiers audio',
+        'Arrastra aquí una carpeta o': 'Glissez un dossier ici ou',
+        'Artificial': 'Artificiel',
+        'Audio Humano': 'Audio humain',
+        'Audio Sintético': 'Audio synthétique',
+        'Audio no apto para el análisis': 'Audio inadapté à l\'analyse',
+        'Audios largos: análisis por segmentos': 'Audios longs : analyse par segments',
+        'Auto': 'Auto',
+        'Autor': 'Auteur',
+        'Baja frecuencia': 'Fréquence basse',
+        'Bajo hasta': 'Faible jusqu\'à',
+        'Bandas de riesgo': 'Niveaux de risque',
+        'Borrar todo': 'Tout effacer',
+        'Británico (UK)': 'Britannique (UK)',
+        'CNN con Atención SE': 'CNN avec attention SE',
+        'Cada': 'Toutes les',
+        'Cada cuánto se analiza una nueva ventana de 3 s': 'Fréquence d\'analyse d\'une nouvelle fenêtre de 3 s',
+        'Calculando el mapa de relevancia...': 'Calcul de la carte de pertinence...',
+        'Calibración cancelada': 'Calibration annulée',
+        'Calibrado el {date} con {count} clips · EER {eer}': 'Calibré le {date} avec {count} clips · EER {eer}',
+        'Calibrar': 'Calibrer',
+        'Calibrar con mis audios': 'Calibrer avec mes audios',
+        'Calidad': 'Qualité',
+        'Calidad del audio': 'Qualité de l\'audio',
+        'Cambio de idioma': 'Changement de langue',
+        'Canal': 'Canal',
+        'Cancelado': 'Annulé',
+        'Cancelar': 'Annuler',
+        'Cancelar análisis': 'Annuler l\'analyse',
+        'Cargando modelos': 'Chargement des modèles',
+        'Cargando modelos locales...': 'Chargement des modèles locaux...',
+        'Castellano (ES)': 'Castillan (ES)',
+        'Cerrar': 'Fermer',
+        'Clase': 'Classe',
+        'Clasificación de Español, Inglés, Francés y Alemán con un {value} de accuracy.': 'Classification de l\'espagnol, l\'anglais, le français et l\'allemand avec une exactitude de {value}.',
+        'Clip completo · {seconds} s': 'Clip complet · {seconds} s',
+        'Clips': 'Clips',
+        'Combinar': 'Combiner',
+        'Comparación': 'Comparaison',
+        'Comprueba las métricas de los modelos con tus propios audios. Los clips se analizan en este navegador con los modelos locales; nada se sube a ningún servidor.': 'Vérifiez les métriques des modèles avec vos propres audios. Les clips sont analysés dans ce navigateur avec les modèles locaux ; rien n\'est envoyé à un serveur.',
+        'Con avisos de calidad': 'Avec avertissements de qualité',
+        'Conectando con servidor...': 'Connexion au serveur...',
+        'Conectando...': 'Connexion...',
+        'Confianza': 'Confiance',
+        'Cuota no disponible': 'Quota indisponible',
+        'Curva ROC de la calibración': 'Courbe ROC de la calibration',
+        'Datasets Reales': 'Jeux de données réels',
+        'Declarado': 'Déclaré',
+        'Derecho': 'Droit',
+        'Descargar JSON': 'Télécharger le JSON',
+        'Desconocido': 'Inconnu',
+        'Despertando el servidor (intento {attempt})...': 'Réveil du serveur (tentative {attempt})...',
+        'Despertando el servidor...': 'Réveil du serveur...',
+        'Despertando el servidor... puede tardar hasta un minuto': 'Réveil du serveur... cela peut prendre jusqu\'à une minute',
+        'Desplazamiento DC': 'Décalage DC',
+        'Desviación típica entre {variants} variantes del audio': 'Écart type entre {variants} variantes de l\'audio',
+        'Detección de Idioma': 'Détection de la langue',
+        'Detección de Spoofing': 'Détection de spoofing',
+        'Detección de Voz Artificial': 'Détection de voix artificielle',
+        'Detección de spoofing no disponible': 'Détection d\'usurpation indisponible',
+        'Detección de voz': 'Détection vocale',
+        'Detectados': 'Détectés',
+        'Detectando idioma': 'Détection de la langue',
+        'Detectando voz artificial': 'Détection de voix artificielle',
+        'Detener': 'Arrêter',
+        'Detener grabación': 'Arrêter l\'enregistrement',
+        'Detenido': 'Arrêté',
+        'Detenido: {message}': 'Arrêté : {message}',
+        'Duración': 'Durée',
+        'Duración de la grabación': 'Durée de l\'enregistrement',
+        'El ancho de delta debe ser impar y >= 3': 'La largeur du delta doit être impaire et >= 3',
+        'El audio está prácticamente en silencio. Comprueba el micrófono o el archivo.': 'L\'audio est pratiquement silencieux. Vérifiez le micro ou le fichier.',
+        'El audio está saturado ({ratio}% de muestras recortadas). Baja la ganancia y vuelve a grabar.': 'L\'audio est saturé ({ratio} % d\'échantillons écrêtés). Baissez le gain et réenregistrez.',
+        'El audio nunca sale de tu navegador': 'L\'audio ne quitte jamais votre navigateur',
+        'El audio se procesa en memoria volátil y nunca se almacena en disco.': 'L\'audio est traité en mémoire volatile et n\'est jamais stocké sur disque.',
+        'El audio tiene un desplazamiento DC de {offset}; el micrófono podría estar mal calibrado.': 'L\'audio a un décalage DC de {offset} ; le micro est peut-être mal calibré.',
+        'El fichero de etiquetas de acento debe ser una lista no vacía': 'Le fichier d\'étiquettes d\'accent doit être une liste non vide',
+        'El manifiesto CSV está vacío': 'Le manifeste CSV est vide',
+        'El manifiesto CSV necesita una columna "file" o "path"': 'Le manifeste CSV doit contenir une colonne « file » ou « path »',
+        'El manifiesto CSV necesita una columna "language" o "spoofing"': 'Le manifeste CSV doit contenir une colonne « language » ou « spoofing »',
+        'El manifiesto no incluye modelos de {kind}': 'Le manifeste ne contient aucun modèle de {kind}',
+        'El manifiesto no incluye un modelo de idioma': 'Le manifeste ne contient pas de modèle de langue',
+        'El manifiesto no incluye un modelo de spoofing': 'Le manifeste ne contient pas de modèle d\'usurpation',
+        'El manifiesto no tiene hash para {path} ({kind} v{version})': 'Le manifeste n\'a pas d\'empreinte pour {path} ({kind} v{version})',
+        'El micrófono está siendo usado por otra aplicación. Ciérrala e intenta de nuevo.': 'Le micro est utilisé par une autre application. Fermez-la et réessayez.',
+        'El micrófono se ha desconectado': 'Le micro a été déconnecté',
+        'El modelo de {kind} v{version} espera {expected}, pero el extractor produce {actual}': 'Le modèle de {kind} v{version} attend {expected}, mais l\'extracteur produit {actual}',
+        'El modelo local no incluye detección de spoofing': 'Le modèle local n\'inclut pas la détection de spoofing',
+        'El modelo solo ve los primeros {seconds} s.': 'Le modèle ne voit que les {seconds} premières secondes.',
+        'El navegador bloqueó la ventana del informe': 'Le navigateur a bloqué la fenêtre du rapport',
+        'El resultado puede no ser fiable': 'Le résultat peut ne pas être fiable',
+        'El servidor no despertó a tiempo': 'Le serveur ne s\'est pas réveillé à temps',
+        'El servidor no está listo': 'Le serveur n\'est pas prêt',
+        'El servidor se está iniciando': 'Le serveur démarre',
+        'El servidor solo devolvió la clase principal': 'Le serveur n\'a renvoyé que la classe principale',
+        'El servidor tardó demasiado en responder': 'Le serveur a mis trop de temps à répondre',
+        'El tamaño de la FFT debe ser potencia de 2 (recibido {n})': 'La taille de la FFT doit être une puissance de 2 (reçu {n})',
+        'El umbral debe estar entre 0 y 1': 'Le seuil doit être compris entre 0 et 1',
+        'El veredicto mostrado viene del servidor; el mapa usa el modelo de spoofing local.': 'Le verdict affiché vient du serveur ; la carte utilise le modèle de spoofing local.',
+        'Elegir archivo': 'Choisir un fichier',
+        'Elegir archivos': 'Choisir des fichiers',
+        'Elegir carpeta': 'Choisir un dossier',
+        'Elige una región y pulsa «Analizar selección»': 'Choisissez une zone et appuyez sur « Analyser la sélection »',
+        'Elige una versión, o dos para compararlas sobre los mismos clips. Las versiones salen de {file}.': 'Choisissez une version, ou deux pour les comparer sur les mêmes clips. Les versions proviennent de {file}.',
+        'Eliminar': 'Supprimer',
+        'En cola': 'En attente',
+        'En directo': 'En direct',
+        'En paralelo': 'En parallèle',
+        'En rojo, las zonas que empujan hacia «sintético» (al ocultarlas la probabilidad baja); en azul, las que empujan hacia «humano».': 'En rouge, les zones qui poussent vers « synthétique » (les masquer fait baisser la probabilité) ; en bleu, celles qui poussent vers « humain ».',
+        'Entendido, Permitir': 'Compris, autoriser',
+        'Entrenado con ASVspoof 2019 para distinguir voz humana de sintética con un {value} de accuracy.': 'Entraîné sur ASVspoof 2019 pour distinguer la voix humaine de la voix synthétique avec une exactitude de {value}.',
+        'Entrenado con Common Voice (Mozilla) y ASVspoof 2019 LA con más de {value} muestras de audio.': 'Entraîné sur Common Voice (Mozilla) et ASVspoof 2019 LA avec plus de {value} échantillons audio.',
+        'EpigrafIA - Detección Inteligente de Voz': 'EpigrafIA - Détection vocale intelligente',
+        'EpigrafIA - Evaluación local de los modelos': 'EpigrafIA - Évaluation locale des modèles',
+        'EpigrafIA necesita acceso a tu micrófono para analizar tu voz. Por favor, permite el acceso cuando el navegador lo solicite.': 'EpigrafIA a besoin d\'accéder à votre micro pour analyser votre voix. Autorisez l\'accès lorsque le navigateur le demande.',
+        'EpigrafIA · Informe de análisis': 'EpigrafIA · Rapport d\'analyse',
+        'Error': 'Erreur',
+        'Error accediendo al micrófono: {message}': 'Erreur d\'accès au micro : {message}',
+        'Error al analizar': 'Erreur d\'analyse',
+        'Error al exportar': 'Erreur d\'export',
+        'Error al grabar': 'Erreur d\'enregistrement',
+        'Error al procesar': 'Erreur de traitement',
+        'Error cargando modelo de idioma: {message}': 'Erreur de chargement du modèle de langue : {message}',
+        'Error decodificando archivo de audio: {message}': 'Erreur de décodage du fichier audio : {message}',
+        'Error decodificando audio: {message}': 'Erreur de décodage de l\'audio : {message}',
+        'Error del servidor: {status}': 'Erreur du serveur : {status}',
+        'Error desconocido': 'Erreur inconnue',
+        'Error en MediaRecorder: {message}': 'Erreur MediaRecorder : {message}',
+        'Error en el worker de análisis: {message}': 'Erreur du worker d\'analyse : {message}',
+        'Error en la evaluación': 'Erreur d\'évaluation',
+        'Error: {message}': 'Erreur : {message}',
+        'Errores por archivo': 'Erreurs par fichier',
+        'Espacio usado por este sitio en el navegador': 'Espace utilisé par ce site dans le navigateur',
+        'Espectrograma mel con las regiones que influyen en la detección de spoofing': 'Spectrogramme mel avec les zones qui influencent la détection de spoofing',
+        'Esperado': 'Attendu',
+        'Estado': 'État',
+        'Este audio parece ser de una voz humana real': 'Cet audio semble provenir d\'une vraie voix humaine',
+        'Este audio podría ser generado por IA (deepfake)': 'Cet audio pourrait être généré par IA (deepfake)',
+        'Estrategia de mezcla desconocida: {strategy}': 'Stratégie de mixage inconnue : {strategy}',
+        'Evaluación': 'Évaluation',
+        'Evaluación cancelada': 'Évaluation annulée',
+        'Evaluación local': 'Évaluation locale',
+        'Evaluar': 'Évaluer',
+        'Exhaustividad': 'Rappel',
+        'Exporta las entradas marcadas, o todas si no hay ninguna marcada': 'Exporte les entrées cochées, ou toutes si aucune n\'est cochée',
+        'Exportar CSV': 'Exporter en CSV',
+        'Exportar informe:': 'Exporter le rapport :',
+        'Exportar:': 'Exporter :',
+        'Extracción MFCC': 'Extraction MFCC',
+        'Extrayendo MFCC': 'Extraction des MFCC',
+        'Fallidos o bloqueados': 'Échoués ou bloqués',
+        'Falsos positivos': 'Faux positifs',
+        'Fecha': 'Date',
+        'Fecha de análisis': 'Date d\'analyse',
+        'Filtrar por nombre…': 'Filtrer par nom…',
+        'Finalizando': 'Finalisation',
+        'Forense (sin procesar)': 'Forensique (sans traitement)',
+        'Forma de entrada {actual} distinta de la del manifiesto {expected}': 'Forme d\'entrée {actual} différente de celle du manifeste {expected}',
+        'Forma de onda': 'Forme d\'onde',
+        'Forma de salida {actual} distinta de la del manifiesto {expected}': 'Forme de sortie {actual} différente de celle du manifeste {expected}',
+        'Formato de manifest.json no soportado': 'Format de manifest.json non pris en charge',
+        'Frecuencia de muestreo': 'Fréquence d\'échantillonnage',
+        'Frecuencia de muestreo baja ({rate} Hz); se recomiendan {recommended} Hz o más.': 'Fréquence d\'échantillonnage basse ({rate} Hz) ; {recommended} Hz ou plus sont recommandés.',
+        'Frecuencia de muestreo demasiado baja ({rate} Hz).': 'Fréquence d\'échantillonnage trop basse ({rate} Hz).',
+        'Frecuencia desconocida': 'Fréquence inconnue',
+        'Generado el {date} · {count} audio': 'Généré le {date} · {count} audio',
+        'Generado el {date} · {count} audios': 'Généré le {date} · {count} audios',
+        'Grabando... {seconds} s': 'Enregistrement... {seconds} s',
+        'Grabar audio': 'Enregistrer l\'audio',
+        'Grabar {seconds} s': 'Enregistrer {seconds} s',
+        'Guardado solo en este navegador. Marca dos entradas para compararlas o varias para exportarlas.': 'Enregistré uniquement dans ce navigateur. Cochez deux entrées pour les comparer, ou plusieurs pour les exporter.',
+        'Hacen falta clips humanos y clips sintéticos para calibrar': 'La calibration nécessite des clips humains et synthétiques',
+        'Hay saturación en el audio ({ratio}% de muestras recortadas).': 'L\'audio présente de la saturation ({ratio} % d\'échantillons écrêtés).',
+        'Hay una nueva versión de EpigrafIA': 'Une nouvelle version d\'EpigrafIA est disponible',
+        'Hecho': 'Terminé',
+        'Historial': 'Historique',
+        'Historial de análisis': 'Historique des analyses',
+        'Hochdeutsch (DE)': 'Allemand standard (DE)',
+        'Humano': 'Humain',
+        'Humanos marcados': 'Humains signalés',
+        'Identificación precisa de Idioma · Deepfakes': 'Identification précise de la langue · Deepfakes',
+        'Idioma': 'Langue',
+        'Idioma Detectado': 'Langue détectée',
+        'Idioma de la interfaz': 'Langue de l\'interface',
+        'Imprimir / PDF': 'Imprimer / PDF',
+        'Incierto': 'Incertain',
+        'Información': 'Informations',
+        'Información del Modelo': 'Informations sur le modèle',
+        'Infraestructura Privada': 'Infrastructure privée',
+        'Iniciar': 'Démarrer',
+        'Input de Audio': 'Entrée audio',
+        'Integridad fallida en {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…': 'Échec du contrôle d\'intégrité de {path} ({kind} v{version}) : SHA-256 {actual}… ≠ {expected}…',
+        'Izquierdo': 'Gauche',
+        'La banda baja debe ser menor que la alta': 'La bande basse doit être inférieure à la bande haute',
+        'La etiqueta de acento {index} necesita "label" y "language"': 'L\'étiquette d\'accent {index} doit avoir "label" et "language"',
+        'La ventana y el salto deben ser mayores que 0': 'La fenêtre et le pas doivent être supérieurs à 0',
+        'Las dos clases más probables están muy igualadas': 'Les deux classes les plus probables sont très proches',
+        'Las etiquetas salen de los nombres de carpeta (p. ej. {example}) o de un manifiesto CSV con las columnas {columns}.': 'Les étiquettes proviennent des noms de dossier (p. ex. {example}) ou d\'un manifeste CSV avec les colonnes {columns}.',
+        'Limpiar': 'Vider',
+        'Los modelos reciben el audio tal cual, sin ninguna modificación': 'Les modèles reçoivent l\'audio tel quel, sans aucune modification',
+        'Manifiesto CSV (opcional)': 'Manifeste CSV (facultatif)',
+        'Manifiesto cargado ({count} filas). Elige la carpeta de los clips.': 'Manifeste chargé ({count} lignes). Choisissez le dossier des clips.',
+        'Mantiene el micrófono abierto y analiza en el navegador los últimos 3 s de forma continua. Útil para vigilar llamadas o emisiones.': 'Garde le micro ouvert et analyse en continu les 3 dernières secondes dans le navigateur. Utile pour surveiller des appels ou des émissions.',
+        'Mayoría': 'Majorité',
+        'Media': 'Moyenne',
+        'Medido': 'Mesuré',
+        'Mezcla (promedio)': 'Mixage (moyenne)',
+        'Micrófono': 'Micro',
+        'Modelo de spoofing local v{version}: {probability}% de probabilidad de audio sintético (umbral {threshold}%).': 'Modèle de spoofing local v{version} : {probability} % de probabilité d\'audio synthétique (seuil {threshold} %).',
+        'Modelo: {name}': 'Modèle : {name}',
+        'Modo robusto': 'Mode robuste',
+        'Monitor en vivo': 'Moniteur en direct',
+        'Motor': 'Moteur',
+        'Motor de análisis': 'Moteur d\'analyse',
+        'Motor desconocido: {engine}': 'Moteur inconnu : {engine}',
+        'Motor: Navegador (TF.js)': 'Moteur : navigateur (TF.js)',
+        'Motor: Servidor': 'Moteur : serveur',
+        'Mucho ruido de fondo (SNR ≈ {snr} dB).': 'Beaucoup de bruit de fond (SNR ≈ {snr} dB).',
+        'Muestras saturadas': 'Échantillons saturés',
+        'Más tarde': 'Plus tard',
+        'Máx. riesgo': 'Risque max.',
+        'Métricas de calidad no disponibles.': 'Métriques de qualité indisponibles.',
+        'Navegador': 'Navigateur',
+        'Navegador (TF.js)': 'Navigateur (TF.js)',
+        'Ninguna región, por sí sola, aumenta la probabilidad de audio sintético.': 'Aucune zone, à elle seule, n\'augmente la probabilité d\'audio synthétique.',
+        'Ningún archivo coincide con el filtro.': 'Aucun fichier ne correspond au filtre.',
+        'Ningún error': 'Aucune erreur',
+        'Nivel': 'Niveau',
+        'Nivel RMS': 'Niveau RMS',
+        'Nivel normalizado': 'Niveau normalisé',
+        'No analizado': 'Non analysé',
+        'No concluyente': 'Non concluant',
+        'No disponible': 'Indisponible',
+        'No hay análisis que exportar': 'Aucune analyse à exporter',
+        'No hay segmentos que combinar': 'Aucun segment à combiner',
+        'No registrado': 'Non enregistré',
+        'No se detectó ningún micrófono. Conecta un micrófono e intenta de nuevo.': 'Aucun micro détecté. Branchez un micro et réessayez.',
+        'No se encontraron archivos de audio': 'Aucun fichier audio trouvé',
+        'No se encontró micrófono. Conecta un micrófono y recarga la página.': 'Aucun micro trouvé. Branchez un micro et rechargez la page.',
+        'No se encontró ningún archivo de audio': 'Aucun fichier audio trouvé',
+        'No se encontró ningún micrófono. Por favor, conecta un micrófono.': 'Aucun micro trouvé. Veuillez brancher un micro.',
+        'No se pudo abrir el historial: {message}': 'Impossible d\'ouvrir l\'historique : {message}',
+        'No se pudo acceder al micrófono. Verifica los permisos.': 'Impossible d\'accéder au micro. Vérifiez les autorisations.',
+        'No se pudo calcular el mapa': 'Impossible de calculer la carte',
+        'No se pudo calibrar': 'Impossible de calibrer',
+        'No se pudo cargar el archivo de audio': 'Impossible de charger le fichier audio',
+        'No se pudo decodificar el audio en el navegador': 'Impossible de décoder l\'audio dans le navigateur',
+        'No se pudo iniciar el grabador: {message}': 'Impossible de démarrer l\'enregistreur : {message}',
+        'No se pudo iniciar: {message}': 'Démarrage impossible : {message}',
+        'No se pudo leer el manifiesto de modelos: {message}': 'Impossible de lire le manifeste des modèles : {message}',
+        'No se pudo leer la frecuencia de muestreo original del archivo; no se ha comprobado.': 'La fréquence d\'échantillonnage d\'origine n\'a pas pu être lue dans le fichier ; elle n\'a pas été vérifiée.',
+        'Nuestra red convolucional extrae MFCCs y analiza patrones espectrales imperceptibles al oído humano.': 'Notre réseau convolutif extrait des MFCC et analyse des motifs spectraux imperceptibles à l\'oreille humaine.',
+        'Nuevos modelos: {models}. Se descargarán ahora para poder usarlos sin conexión.': 'Nouveaux modèles : {models}. Ils vont être téléchargés pour être utilisables hors ligne.',
+        'OfflineAudioContext no disponible': 'OfflineAudioContext indisponible',
+        'Offset DC': 'Décalage DC',
+        'Onda y espectrograma: arrastra para elegir la región a analizar, espacio para reproducir': 'Forme d\'onde et spectrogramme : faites glisser pour choisir la zone à analyser, espace pour lire',
+        'Orden de delta no soportado: {order}': 'Ordre de delta non pris en charge : {order}',
+        'Origen': 'Origine',
+        'P(artificial)': 'P(artificielle)',
+        'Parar tras silencio': 'Arrêter après un silence',
+        'Parisino (FR)': 'Parisien (FR)',
+        'Paso alto a 80 Hz, sonoridad a −23 LUFS, puerta de ruido a −50 dBFS y preénfasis 0,97': 'Passe-haut à 80 Hz, sonie à −23 LUFS, noise gate à −50 dBFS et préaccentuation 0,97',
+        'Pausa': 'Pause',
+        'Pausar': 'Mettre en pause',
+        'Permiso de Micrófono': 'Autorisation du micro',
+        'Permiso de micrófono denegado. Por favor, permite el acceso al micrófono.': 'Autorisation du micro refusée. Veuillez autoriser l\'accès au micro.',
+        'Permiso denegado. Haz clic en el 🔒 de la barra de direcciones para habilitarlo.': 'Autorisation refusée. Cliquez sur le 🔒 de la barre d\'adresse pour l\'activer.',
+        'Personalizado · el modelo usa {value}': 'Personnalisé · le modèle utilise {value}',
+        'Pico': 'Crête',
+        'Poca voz': 'Peu de voix',
+        'Posible voz sintética: {windows} ventanas seguidas por encima del umbral desde el segundo {since} (última {probability}%)': 'Voix synthétique possible : {windows} fenêtres d\'affilée au-dessus du seuil depuis la seconde {since} (dernière {probability} %)',
+        'Precisión': 'Précision',
+        'Predicho': 'Prédit',
+        'Preparando audio...': 'Préparation de l\'audio...',
+        'Preprocesado': 'Prétraitement',
+        'Preprocesado desconocido: {id}': 'Prétraitement inconnu : {id}',
+        'Probabilidad de spoof': 'Probabilité de spoof',
+        'Probabilidad de spoof e idioma detectado en el último minuto': 'Probabilité de spoof et langue détectée durant la dernière minute',
+        'Probar Ahora': 'Essayer maintenant',
+        'Pulsa para analizar': 'Appuyez pour analyser',
+        'Puntuación': 'Score',
+        'Québécois (CA)': 'Québécois (CA)',
+        'Real \\ Predicho': 'Réel \\ Prédit',
+        'Reanudar': 'Reprendre',
+        'Receta de características incompatible para {kind} v{version}: {key}={value} (el extractor usa {expected})': 'Recette de caractéristiques incompatible pour {kind} v{version} : {key}={value} (l\'extracteur utilise {expected})',
+        'Recibe un JSON con el desglose de probabilidades, origen geográfico y puntuación de autenticidad.': 'Recevez un JSON avec le détail des probabilités, l\'origine géographique et le score d\'authenticité.',
+        'Red convolucional con bloques Squeeze-and-Excitation y conexiones residuales para máxima precisión.': 'Réseau convolutif avec blocs Squeeze-and-Excitation et connexions résiduelles pour une précision maximale.',
+        'Región más influyente: {start}–{end} s, {fMin}–{fMax} (ocultarla resta {delta} puntos).': 'Zone la plus influente : {start}–{end} s, {fMin}–{fMax} (la masquer retire {delta} points).',
+        'Reintentar fallidos': 'Relancer les échecs',
+        'Reproducir': 'Lire',
+        'Respuesta del servidor no válida ({field}: {detail})': 'Réponse du serveur non valide ({field} : {detail})',
+        'Restablecer': 'Réinitialiser',
+        'Resultado Instantáneo': 'Résultat instantané',
+        'Rioplatense (AR/UY)': 'Rioplatense (AR/UY)',
+        'Ruido': 'Bruit',
+        'SNR estimada': 'SNR estimé',
+        'Salto': 'Pas',
+        'Saturación': 'Saturation',
+        'Se esperaba un Blob o un AudioBuffer': 'Un Blob ou un AudioBuffer était attendu',
+        'Se explica la ventana más sospechosa ({start}–{end} s).': 'La fenêtre la plus suspecte est expliquée ({start}–{end} s).',
+        'Segmentos': 'Segments',
+        'Seleccionar para comparar o exportar': 'Sélectionner pour comparer ou exporter',
+        'Servidor': 'Serveur',
+        'Servidor listo': 'Serveur prêt',
+        'Servidor no disponible': 'Serveur indisponible',
+        'Servidor no disponible · se analizará en el navegador': 'Serveur indisponible · l\'analyse se fera dans le navigateur',
+        'Si bloqueaste el permiso, haz clic en el icono 🔒 de la barra de direcciones para habilitarlo.': 'Si vous avez bloqué l\'autorisation, cliquez sur l\'icône 🔒 de la barre d\'adresse pour l\'activer.',
+        'Silencio': 'Silence',
+        'Sin clips con idioma etiquetado que el modelo conozca.': 'Aucun clip étiqueté avec une langue connue du modèle.',
+        'Sin clips con origen (humano/sintético) etiquetado.': 'Aucun clip avec une origine (humaine/synthétique) étiquetée.',
+        'Sin componente continua, paso alto a 50 Hz y pico a −1 dBFS: el nivel de grabación no cambia la entrada de los modelos': 'Composante continue supprimée, passe-haut à 50 Hz et crête à −1 dBFS : le niveau d\'enregistrement ne change pas l\'entrée des modèles',
+        'Sin conexión': 'Hors ligne',
+        'Sin conexión · el análisis en el navegador sigue disponible': 'Hors ligne · l\'analyse dans le navigateur reste disponible',
+        'Sin conexión · se analizará en el navegador': 'Hors ligne · l\'analyse se fera dans le navigateur',
+        'Sin incidencias.': 'Aucun problème.',
+        'Sin preprocesado registrado': 'Aucun prétraitement enregistré',
+        'Sin voz': 'Pas de voix',
+        'Sintético': 'Synthétique',
+        'Sintéticos detectados': 'Synthétiques détectés',
+        'Sobre el umbral de spoofing': 'Au-dessus du seuil de spoofing',
+        'Solo el {ratio}% del audio contiene voz.': 'Seuls {ratio} % de l\'audio contiennent de la voix.',
+        'Solo local': 'Local uniquement',
+        'Spoofing': 'Spoofing',
+        'Sube clips cuyo origen conoces. Se analizan en el navegador con el modelo de spoofing local y se calcula la curva ROC, la tasa de error igual (EER) y un umbral sugerido.': 'Importez des clips dont vous connaissez l\'origine. Ils sont analysés dans le navigateur avec le modèle de spoofing local pour calculer la courbe ROC, le taux d\'égale erreur (EER) et un seuil suggéré.',
+        'Sube un archivo o graba en tiempo real. Soportamos WAV, MP3 y flujos Opus de baja latencia.': 'Importez un fichier ou enregistrez en temps réel. Nous prenons en charge WAV, MP3 et les flux Opus à faible latence.',
+        'Subir archivo de audio': 'Importer un fichier audio',
+        'Suelta el audio para cargarlo': 'Déposez l\'audio pour le charger',
+        'Superposición': 'Superposition',
+        'Tarea': 'Tâche',
+        'Tecnología': 'Technologie',
+        'Todavía no hay análisis guardados.': 'Aucune analyse enregistrée pour l\'instant.',
+        'Todos': 'Tous',
+        'Tu navegador no soporta grabación': 'Votre navigateur ne prend pas en charge l\'enregistrement',
+        'Tu navegador no soporta grabación con AudioWorklet': 'Votre navigateur ne prend pas en charge l\'enregistrement avec AudioWorklet',
+        'Umbral': 'Seuil',
+        'Umbral de decisión': 'Seuil de décision',
+        'Umbral de spoofing': 'Seuil de spoofing',
+        'Umbral del modelo ({value})': 'Seuil du modèle ({value})',
+        'Umbral sugerido': 'Seuil suggéré',
+        'Umbral: {threshold} · P(artificial) {probability}': 'Seuil : {threshold} · P(artificiel) {probability}',
+        'Umbral: {value}%': 'Seuil : {value} %',
+        'Usa el servidor y, si no responde, analiza en el navegador': 'Utilise le serveur et, s\'il ne répond pas, analyse dans le navigateur',
+        'Usar este umbral': 'Utiliser ce seuil',
+        'Ventana': 'Fenêtre',
+        'Ventanas seguidas por encima del umbral antes de avisar': 'Fenêtres consécutives au-dessus du seuil avant l\'alerte',
+        'Ver Documentación': 'Voir la documentation',
+        'Ver el clip completo': 'Voir le clip complet',
+        'Ver el detalle': 'Voir le détail',
+        'Versiones de los modelos locales': 'Versions des modèles locaux',
+        'Versiones de spoofing a combinar': 'Versions de spoofing à combiner',
+        'Versión': 'Version',
+        'Versión A': 'Version A',
+        'Versión B': 'Version B',
+        'Versión {name}': 'Version {name}',
+        'Versión {version} del modelo de {kind} no encontrada en el manifiesto': 'Version {version} du modèle de {kind} introuvable dans le manifeste',
+        'Voces humanas': 'Voix humaines',
+        'Voces sintéticas': 'Voix synthétiques',
+        'Volver a analizar': 'Analyser à nouveau',
+        'Volviendo a analizar...': 'Nouvelle analyse...',
+        'Voz artificial': 'Voix artificielle',
+        'Voz detectada': 'Voix détectée',
+        'Voz realzada': 'Voix rehaussée',
+        'Workflow Simplificado': 'Flux de travail simplifié',
+        'Ya hay una grabación en curso': 'Un enregistrement est déjà en cours',
+        'Zoom': 'Zoom',
+        'acento': 'accent',
+        'calibrado': 'calibré',
+        'cargando modelos...': 'chargement des modèles...',
+        'clip completo · {seconds} s': 'clip entier · {seconds} s',
+        'el servidor no respondió': 'le serveur n\'a pas répondu',
+        'el servidor se está despertando': 'le serveur se réveille',
+        'en pausa': 'en pause',
+        'ensamblado: {versions}': 'ensemble : {versions}',
+        'fuera de language_probabilities': 'hors de language_probabilities',
+        'idioma': 'langue',
+        'inteligente': 'intelligente',
+        'latencia {ms} ms': 'latence {ms} ms',
+        'manifiesto: {count} filas': 'manifeste : {count} lignes',
+        'modelo: {value}%': 'modèle : {value} %',
+        'modelos: {version}': 'modèles : {version}',
+        'no es JSON': 'pas du JSON',
+        'no es un objeto JSON': 'pas un objet JSON',
+        'o': 'ou',
+        'o arrastra un audio aquí / pégalo con Ctrl+V': 'ou glissez un audio ici / collez-le avec Ctrl+V',
+        'personalizado': 'personnalisé',
+        'pico': 'crête',
+        'preprocesado: {name}': 'prétraitement : {name}',
+        'punto de EER': 'point d\'EER',
+        're-analizado {count}×': 'réanalysé {count}×',
+        'respuesta': 'réponse',
+        'retirado': 'retiré',
+        'robusto: {variants} variantes': 'robuste : {variants} variantes',
+        'se esperaba un booleano': 'booléen attendu',
+        'se esperaba un texto': 'texte attendu',
+        'se esperaba un índice de clase': 'indice de classe attendu',
+        'se esperaba un índice de clase o null': 'indice de classe ou null attendu',
+        'se esperaba una lista de probabilidades': 'liste de probabilités attendue',
+        'se esperaba una probabilidad': 'probabilité attendue',
+        'servidor no disponible': 'serveur indisponible',
+        'silencio': 'silence',
+        'spoofing': 'spoofing',
+        'valor no válido': 'valeur non valide',
+        'voz': 'voix',
+        'v{version} (predeterminada)': 'v{version} (par défaut)',
+        '{count} bloqueados por calidad': '{count} bloqués pour qualité',
+        '{count} cambios de idioma': '{count} changements de langue',
+        '{count} cancelados': '{count} annulés',
+        '{count} clips etiquetados': '{count} clips étiquetés',
+        '{count} clips evaluados': '{count} clips évalués',
+        '{count} clips no analizados (calidad o formato)': '{count} clips non analysés (qualité ou format)',
+        '{count} con error': '{count} en erreur',
+        '{count} descartados por calidad': '{count} écartés pour qualité',
+        '{count} errores': '{count} erreurs',
+        '{count} humanos': '{count} humains',
+        '{count} idiomas': '{count} langues',
+        '{count} segmentos': '{count} segments',
+        '{count} sin etiqueta (se omiten)': '{count} sans étiquette (ignorés)',
+        '{count} sintéticos': '{count} synthétiques',
+        '{count} sospechosos': '{count} suspects',
+        '{count} tensores': '{count} tenseurs',
+        '{count} variantes · spoofing: {versions}': '{count} variantes · usurpation : {versions}',
+        '{count} ventanas': '{count} fenêtres',
+        '{count} ventanas omitidas': '{count} fenêtres ignorées',
+        '{finished}/{total} procesados': '{finished}/{total} traités',
+        '{labels} etiquetas para {outputs} salidas en el modelo de {kind}': '{labels} étiquettes pour {outputs} sorties dans le modèle de {kind}',
+        '{rate} Hz (análisis)': '{rate} Hz (analyse)',
+        '{rate} Hz (original)': '{rate} Hz (original)',
+        '{suspicious} de {analysed} sobre el umbral de spoofing': '{suspicious} sur {analysed} au-dessus du seuil de spoofing',
+        '{used} de {quota}': '{used} sur {quota}',
+        '{value}% artificial': '{value} % artificielle',
+        '¿Borrar todo el historial de análisis? Esta acción no se puede deshacer.': 'Effacer tout l\'historique des analyses ? Cette action est irréversible.',
+        '¿Por qué? Mapa de relevancia': 'Pourquoi ? Carte de pertinence',
+        'Österreichisch (AT)': 'Autrichien (AT)'
+    },
+    classLabels: {
+        language: ['Espagnol', 'Anglais', 'Français', 'Allemand'],
+        spoofing: ['Humain', 'Artificiel']
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * 📦 Astro integration that writes /sw.js after the build
+ * The app shell is whatever the build emitted (hashed /_astro files included), so the
+ * precache list can only be known once the build is done. Models are listed from
+ * public/models/manifest.json: one entry per version, the default ones precached, each
+ * with a hash of its files so changed weights under an unchanged version get a new cache.
+ */
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE = new URL('../workers/service.worker.js', import.meta.url);
+
+// Served by the service worker itself or not worth caching
+const SKIP = [/^sw\.js$/, /\.map$/, /^models\//];
+
+/**
+ * Every file below `dir`, as paths relative to it with forward slashes
+ * @param {URL} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+    const root = fileURLToPath(dir);
+    return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => `${entry.parentPath ?? entry.path}/${entry.name}`.slice(root.length).replace(/\\/g, '/').replace(/^\/+/, ''));
+}
+
+/**
+ * URL a built file is served at (vercel.json has `cleanUrls`, so `.html` URLs redirect)
+ * @param {string} file
+ */
+function urlFor(file) {
+    return `/${file}`.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '');
+}
+
+/**
+ * Files of every model version in the manifest, with a hash of their contents
+ * @param {any} manifest
+ * @param {URL} dir - Build output
+ */
+async function modelEntries(manifest, dir) {
+    const models = [];
+    for (const [kind, model] of Object.entries(manifest.models)) {
+        for (const [version, entry] of Object.entries(model.versions)) {
+            const base = entry.url.slice(0, entry.url.lastIndexOf('/') + 1);
+            const files = [
+                entry.url,
+                ...entry.weights.map((/** @type {{path: string}} */ weight) => base + weight.path),
+                typeof entry.labels === 'string' ? entry.labels : null,
+                entry.config ?? null
+            ].filter(Boolean);
+            const hash = createHash('sha256');
+            for (const file of files) {
+                hash.update(file).update(await readFile(new URL(file.slice(1), dir)));
+            }
+            models.push({ kind, version, hash: hash.digest('hex').slice(0, 12), precache: version === model.default, files });
+        }
+    }
+    return models;
+}
+
+/**
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function serviceWorker() {
+    return {
+        name: 'epigrafia:service-worker',
+        hooks: {
+            'astro:build:done': async ({ dir, logger }) => {
+                const manifestText = await readFile(new URL('models/manifest.json', dir), 'utf8');
+                const models = await modelEntries(JSON.parse(manifestText), dir);
+
+                const files = (await listFiles(dir)).filter((file) => !SKIP.some((pattern) => pattern.test(file)));
+                const shell = [...files.map(urlFor), '/models/manifest.json'].sort();
+
+                // Any change to a shell file or to the manifest (new model versions/hashes) is a new build
+                const hash = createHash('sha256');
+                for (const file of files.sort()) {
+                    hash.update(file).update(await readFile(new URL(file, dir)));
+                }
+                hash.update(manifestText);
+                const build = hash.digest('hex').slice(0, 12);
+
+                const precache = { build, shell, models };
+                const source = await readFile(SOURCE, 'utf8');
+                await writeFile(new URL('sw.js', dir), `const PRECACHE = ${JSON.stringify(precache)};\n\n${source}`);
+
+                const precachedModels = models.filter((model) => model.precache).map((model) => `${model.kind} ${model.version}`);
+                logger.info(`sw.js written (build ${build}, ${shell.length} shell files, models: ${precachedModels.join(', ')})`);
+            }
+        }
+    };
+}
@@ -0,0 +1,255 @@
+/**
+ * 🧩 <epigrafia-analyzer> custom element
+ * Drop-in recorder/file picker that analyses the clip with lib/epigrafia.js and shows
+ * the language and the artificial-voice verdict. Works on any page, no framework needed:
+ *
+ *   <epigrafia-analyzer engine="local" duration="5" threshold="0.4"></epigrafia-analyzer>
+ *   <script type="module">
+ *     import { defineAnalyzerElement } from './lib/analyzerElement.js';
+ *     defineAnalyzerElement();
+ *     document.querySelector('epigrafia-analyzer')
+ *       .addEventListener('epigrafia:result', (event) => console.log(event.detail.result));
+ *   </script>
+ *
+ * Attributes:
+ *   engine     local | remote | auto (default auto)
+ *   duration   seconds recorded and analysed (default 3; files are cut to it)
+ *   threshold  spoof probability from which a voice is artificial (default: the model's)
+ *   api-url    backend base URL for the remote engine
+ *   preprocessing  preset id: raw | normalized | enhanced (default raw)
+ *   robust     present: test-time augmentation and spoofing ensemble in the browser (slower)
+ *
+ * Events (bubbling, they also cross shadow roots):
+ *   epigrafia:progress  {stage, progress}
+ *   epigrafia:result    {result}
+ *   epigrafia:error     {error}
+ */
+import { analyze, ENGINES, PREPROCESSING_PRESETS, loadLabels, classLabel } from './epigrafia.js';
+import { DEFAULT_PRESET, canonicalPresetId } from '../utils/preprocessing.js';
+import { resultAccentStatus } from '../utils/labels.js';
+import { startRecording, stopRecording, isRecordingSupported } from '../scripts/audio.js';
+import { t } from '../utils/i18n.js';
+
+export const ANALYZER_TAG = 'epigrafia-analyzer';
+
+const DEFAULT_DURATION = 3;
+
+const STYLE = `
+    :host { display: block; font-family: system-ui, sans-serif; color: inherit; }
+    .box { border: 1px solid rgba(127, 127, 127, 0.35); border-radius: 12px; padding: 16px; }
+    .actions { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+    button, label.file { font: inherit; font-size: 14px; padding: 6px 14px; border-radius: 999px; cursor: pointer;
+        border: 1px solid rgba(127, 127, 127, 0.5); background: transparent; color: inherit; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    input[type=file] { display: none; }
+    .status { min-height: 1.2em; margin: 10px 0 0; font-size: 13px; opacity: 0.75; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 12px 0 0; font-size: 14px; }
+    dt { opacity: 0.7; }
+    dd { margin: 0; font-weight: 600; }
+    .human { color: #16a34a; }
+    .spoof { color: #dc2626; }
+    .error { color: #dc2626; }
+`;
+
+export class EpigrafiaAnalyzerElement extends HTMLElement {
+    static observedAttributes = ['engine', 'duration', 'threshold', 'api-url', 'preprocessing', 'robust'];
+
+    constructor() {
+        super();
+        this.controller = null;
+        this.recording = false;
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>${STYLE}</style>
+            <div class="box" part="box">
+                <div class="actions">
+                    <button type="button" part="button" data-role="record"></button>
+                    <label class="file" part="button"><span data-role="file-label"></span><input type="file" accept="audio/*" /></label>
+                </div>
+                <p class="status" part="status" role="status"></p>
+                <dl part="result" hidden></dl>
+            </div>
+        `;
+        this.recordButton = /** @type {HTMLButtonElement} */ (root.querySelector('[data-role=record]'));
+        this.fileInput = /** @type {HTMLInputElement} */ (root.querySelector('input[type=file]'));
+        this.status = /** @type {HTMLElement} */ (root.querySelector('.status'));
+        this.output = /** @type {HTMLElement} */ (root.querySelector('dl'));
+
+        /** @type {HTMLElement} */ (root.querySelector('[data-role=file-label]')).textContent = t('Elegir archivo');
+        this.recordButton.addEventListener('click', () => this.toggleRecording());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files?.[0];
+            this.fileInput.value = '';
+            if (file) this.analyze(file).catch(() => {});
+        });
+    }
+
+    connectedCallback() {
+        this.updateRecordButton();
+        if (!isRecordingSupported()) this.recordButton.disabled = true;
+    }
+
+    disconnectedCallback() {
+        this.controller?.abort();
+        if (this.recording) stopRecording();
+    }
+
+    attributeChangedCallback() {
+        this.updateRecordButton();
+    }
+
+    /** @returns {'local'|'remote'|'auto'} */
+    get engine() {
+        const engine = this.getAttribute('engine');
+        return ENGINES.includes(engine) ? /** @type {'local'|'remote'|'auto'} */ (engine) : 'auto';
+    }
+
+    /** Seconds recorded and analysed */
+    get duration() {
+        const duration = Number(this.getAttribute('duration'));
+        return duration > 0 ? duration : DEFAULT_DURATION;
+    }
+
+    /** @returns {number|null} */
+    get threshold() {
+        const threshold = Number(this.getAttribute('threshold') ?? NaN);
+        return threshold > 0 && threshold < 1 ? threshold : null;
+    }
+
+    /** Preprocessing preset id */
+    get preprocessing() {
+        const preset = canonicalPresetId(this.getAttribute('preprocessing') ?? '');
+        return PREPROCESSING_PRESETS[preset] ? preset : DEFAULT_PRESET;
+    }
+
+    updateRecordButton() {
+        this.recordButton.textContent = this.recording
+            ? t('Detener')
+            : `🎤 ${t('Grabar {seconds} s', { seconds: this.duration })}`;
+    }
+
+    async toggleRecording() {
+        if (this.recording) {
+            stopRecording();
+            return;
+        }
+        this.recording = true;
+        this.updateRecordButton();
+        this.setStatus(t('Grabando... {seconds} s', { seconds: this.duration }));
+        let blob;
+        try {
+            blob = await startRecording(this.duration);
+        } catch (error) {
+            this.fail(error);
+            return;
+        } finally {
+            this.recording = false;
+            this.updateRecordButton();
+        }
+        this.analyze(blob).catch(() => {});
+    }
+
+    /**
+     * Analyse a clip with the element's settings and show the result
+     * @param {Blob|AudioBuffer} input
+     * @returns {Promise<Object>} The result also sent with `epigrafia:result`
+     */
+    async analyze(input) {
+        this.controller?.abort();
+        const controller = new AbortController();
+        this.controller = controller;
+        this.output.hidden = true;
+        this.setStatus(t('Analizando audio con IA...'));
+
+        try {
+            const [result] = await Promise.all([
+                analyze(input, {
+                    engine: this.engine,
+                    duration: this.duration,
+                    threshold: this.threshold,
+                    apiUrl: this.getAttribute('api-url'),
+                    preprocessing: this.preprocessing,
+                    robust: this.hasAttribute('robust'),
+                    signal: controller.signal,
+                    onProgress: (stage, progress) => {
+                        this.emit('epigrafia:progress', { stage, progress });
+                    }
+                }),
+                loadLabels()
+            ]);
+            if (this.controller !== controller) return result;
+            this.render(result);
+            this.setStatus(result.engine === 'remote' ? t('Motor: Servidor') : t('Motor: Navegador (TF.js)'));
+            this.emit('epigrafia:result', { result });
+            return result;
+        } catch (error) {
+            if (this.controller === controller && error?.name !== 'AbortError') this.fail(error);
+            throw error;
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+    }
+
+    /**
+     * @param {Object} result
+     */
+    render(result) {
+        const rows = [[t('Idioma'), `${classLabel('language', result.language_prediction)} (${(result.language_confidence * 100).toFixed(0)}%)`, '']];
+        if (resultAccentStatus(result) === 'confident') {
+            rows.push([t('Acento'), classLabel('accent', result.accent_prediction), '']);
+        }
+        if (result.spoofing) {
+            const { is_genuine: isGenuine, spoof_probability: probability } = result.spoofing;
+            rows.push([
+                t('Voz artificial'),
+                `${isGenuine ? t('Humano') : t('Artificial')} (${t('{value}% artificial', { value: (probability * 100).toFixed(1) })})`,
+                isGenuine ? 'human' : 'spoof'
+            ]);
+        }
+
+        this.output.replaceChildren(...rows.flatMap(([name, value, className]) => {
+            const term = document.createElement('dt');
+            term.textContent = name;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            if (className) detail.className = className;
+            return [term, detail];
+        }));
+        this.output.hidden = false;
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [isError]
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * @param {unknown} error
+     */
+    fail(error) {
+        console.error('❌ epigrafia-analyzer:', error);
+        this.setStatus(/** @type {Error} */ (error)?.message || t('Error desconocido'), true);
+        this.emit('epigrafia:error', { error });
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+}
+
+/**
+ * Register the element (safe to call more than once)
+ * @param {string} [tagName]
+ */
+export function defineAnalyzerElement(tagName = ANALYZER_TAG) {
+    if (!customElements.get(tagName)) customElements.define(tagName, EpigrafiaAnalyzerElement);
+}
@@ -0,0 +1,190 @@
+/**
+ * 📦 EpigrafIA analysis library
+ * Framework-free entry point for other tools: decode a clip, check its quality and run
+ * the language, accent and spoofing models in the browser (analysis worker) or on the
+ * backend. No element IDs and no page state, only arguments in and a result out.
+ *
+ *   import { analyze } from '../lib/epigrafia.js';
+ *   const result = await analyze(file, { engine: 'local', threshold: 0.4 });
+ *   // result.language_prediction, result.spoofing.is_genuine, ...
+ *
+ * The result has the /api/analyze shape (see apiClient.validateAnalysisResult) plus
+ * `engine` and `preprocessing`, and its spoofing verdict is decided with `threshold`. The models and the
+ * backend are the ones the hosting site serves (/models/manifest.json, /api/*).
+ */
+import { analyzeInWorker, preloadModels, setModelVersions } from '../utils/analysisWorker.js';
+import { createApiClient, ServerUnavailableError, ApiTimeoutError } from '../utils/apiClient.js';
+import { decodeToMono, downmix, resampleSinc, padOrTrim, TARGET_SAMPLE_RATE } from '../utils/resample.js';
+import { assessQuality, QualityGateError } from '../utils/audioQuality.js';
+import { splitWindows, aggregateSegments, DEFAULT_SEGMENTATION } from '../utils/segmentation.js';
+import { applyDecision, DEFAULT_RISK_BANDS } from '../utils/decision.js';
+import { applyPreprocessing, DEFAULT_PRESET } from '../utils/preprocessing.js';
+import { float32ToWav } from '../scripts/audio.js';
+import { t } from '../utils/i18n.js';
+
+export { preloadModels, setModelVersions, QualityGateError };
+export { loadLabels, classLabel, displayLabels } from '../utils/labels.js';
+export { ApiError, ServerUnavailableError, ApiTimeoutError } from '../utils/apiClient.js';
+export { PREPROCESSING_PRESETS } from '../utils/preprocessing.js';
+export { ROBUST_DEFAULTS } from '../utils/augmentation.js';
+
+/**
+ * Where the models run: in the browser, on the backend, or the backend with the
+ * browser as fallback
+ */
+export const ENGINES = ['local', 'remote', 'auto'];
+
+/**
+ * @typedef {Object} AnalyzeOptions
+ * @property {'local'|'remote'|'auto'} [engine]
+ * @property {number|null} [duration] - Seconds analysed from the start of the clip (null = all of it);
+ *           anything longer than one model window is analysed with sliding windows
+ * @property {number|null} [threshold] - Spoof probability from which a voice is artificial
+ *           (null = the spoofing model's own threshold)
+ * @property {string|null} [apiUrl] - Backend base URL (see apiClient.resolveApiBaseUrl)
+ * @property {boolean} [qualityGate] - Refuse silent, clipped or too short audio with a QualityGateError
+ * @property {'average'|'left'|'right'} [downmix]
+ * @property {string} [preprocessing] - Preset id (see utils/preprocessing.js), applied after the quality gate
+ * @property {'mean'|'max-risk'|'majority'} [aggregation] - How sliding windows are combined
+ * @property {boolean|Partial<import('../utils/augmentation.js').RobustSettings>} [robust] - Local engine only:
+ *           test-time augmentation and spoofing ensemble (true = ROBUST_DEFAULTS); adds `uncertainty` to the result
+ * @property {AbortSignal} [signal]
+ * @property {(stage: string, progress: number, detail?: {index: number, total: number}) => void} [onProgress]
+ */
+
+/** @type {Required<Omit<AnalyzeOptions, 'signal'|'onProgress'>>} */
+export const ANALYZE_DEFAULTS = {
+    engine: 'auto',
+    duration: null,
+    threshold: null,
+    apiUrl: null,
+    qualityGate: true,
+    downmix: 'average',
+    preprocessing: DEFAULT_PRESET,
+    aggregation: DEFAULT_SEGMENTATION.aggregation,
+    robust: false
+};
+
+/**
+ * Mono 16 kHz samples of a Blob (any format the browser decodes) or an AudioBuffer
+ * @param {Blob|AudioBuffer} input
+ * @param {'average'|'left'|'right'} strategy
+ * @returns {Promise<{samples: Float32Array, originalSampleRate: number|null}>}
+ */
+async function toMono(input, strategy) {
+    if (input instanceof Blob) {
+        const { samples, originalSampleRate } = await decodeToMono(input, { downmix: strategy });
+        return { samples, originalSampleRate };
+    }
+    if (typeof AudioBuffer !== 'undefined' && input instanceof AudioBuffer) {
+        const mono = downmix(input, strategy);
+        const samples = input.sampleRate === TARGET_SAMPLE_RATE
+            ? mono
+            : resampleSinc(mono, input.sampleRate, TARGET_SAMPLE_RATE);
+        return { samples, originalSampleRate: input.sampleRate };
+    }
+    throw new TypeError(t('Se esperaba un Blob o un AudioBuffer'));
+}
+
+/**
+ * Backend analysis, one request per window when the clip is longer than one
+ * @param {ReturnType<typeof createApiClient>} client
+ * @param {Float32Array} samples
+ * @param {{windowSeconds: number, hopSeconds: number, aggregation: string}|null} segmentation
+ * @param {AnalyzeOptions} options
+ */
+async function analyzeRemote(client, samples, segmentation, { signal, onProgress = () => {} }) {
+    if (!segmentation) {
+        onProgress('remote', 0);
+        const result = await client.analyze(float32ToWav(samples, TARGET_SAMPLE_RATE), { signal });
+        onProgress('done', 1);
+        return result;
+    }
+
+    const windows = splitWindows(samples, TARGET_SAMPLE_RATE, segmentation);
+    const segments = [];
+    for (let i = 0; i < windows.length; i++) {
+        signal?.throwIfAborted();
+        onProgress('segments', i / windows.length, { index: i + 1, total: windows.length });
+        const { start, end, samples: chunk } = windows[i];
+        const result = await client.analyze(float32ToWav(chunk, TARGET_SAMPLE_RATE), { signal });
+        segments.push({ start, end, result: { ...result, engine: 'remote' } });
+    }
+    onProgress('done', 1);
+    return aggregateSegments(segments, { aggregation: segmentation.aggregation });
+}
+
+/**
+ * Analyse a clip
+ * @param {Blob|AudioBuffer} input - Audio file, recording or decoded buffer
+ * @param {AnalyzeOptions} [options]
+ * @returns {Promise<Object>} /api/analyze-shaped result with `engine` ('local'|'remote'), `preprocessing`,
+ *          `fallback_reason` (auto engine that ended up local) and `quality` (when gated)
+ * @throws {QualityGateError} when `qualityGate` is on and the audio cannot be judged
+ */
+export async function analyze(input, options = {}) {
+    const settings = { ...ANALYZE_DEFAULTS, ...options };
+    const { engine, duration, threshold, signal, onProgress = () => {} } = settings;
+    if (!ENGINES.includes(engine)) {
+        throw new Error(t('Motor desconocido: {engine}', { engine }));
+    }
+
+    onProgress('decode', 0);
+    let { samples, originalSampleRate } = await toMono(input, settings.downmix);
+    signal?.throwIfAborted();
+    if (duration > 0) samples = samples.subarray(0, Math.round(duration * TARGET_SAMPLE_RATE));
+
+    let quality = null;
+    if (settings.qualityGate) {
+        quality = assessQuality(samples, TARGET_SAMPLE_RATE, { originalSampleRate });
+        if (quality.blocked) throw new QualityGateError(quality);
+        samples = quality.trimmed.samples;
+    }
+    const { samples: processed, preset } = applyPreprocessing(samples, TARGET_SAMPLE_RATE, settings.preprocessing);
+    samples = processed;
+
+    // Longer than one window: judge the whole clip, not just its first seconds
+    const windowSeconds = DEFAULT_SEGMENTATION.windowSeconds;
+    const segmentation = samples.length > TARGET_SAMPLE_RATE * windowSeconds
+        ? { ...DEFAULT_SEGMENTATION, aggregation: settings.aggregation }
+        : null;
+
+    let result = null;
+    let fallbackReason = null;
+    if (engine !== 'local') {
+        const client = createApiClient({ baseUrl: settings.apiUrl });
+        try {
+            result = { ...await analyzeRemote(client, samples, segmentation, settings), engine: 'remote' };
+        } catch (error) {
+            const unreachable = error instanceof ServerUnavailableError || error instanceof ApiTimeoutError;
+            if (engine === 'remote' || !unreachable) throw error;
+            console.warn('⚠️ Backend unavailable, analysing in the browser:', error);
+            fallbackReason = error.message;
+        }
+    }
+
+    if (!result) {
+        result = await analyzeInWorker(
+            segmentation ? samples : padOrTrim(samples, TARGET_SAMPLE_RATE * windowSeconds),
+            {
+                segmentation: segmentation ?? undefined,
+                robust: settings.robust === true ? {} : settings.robust || null,
+                onProgress,
+                signal
+            }
+        );
+    }
+
+    const decided = applyDecision(result, {
+        threshold: threshold ?? null,
+        source: 'user',
+        bands: { ...DEFAULT_RISK_BANDS },
+        calibration: null
+    });
+    return {
+        ...decided,
+        preprocessing: preset,
+        ...(fallbackReason ? { fallback_reason: fallbackReason } : {}),
+        ...(quality ? { quality: { metrics: quality.metrics, issues: quality.issues } } : {})
+    };
+}
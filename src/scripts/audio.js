@@ -1,116 +1,49 @@
+import { decodeAudio } from '../utils/resample.js';
+import { startCapture } from './recorder.js';
+import { createApiClient } from '../utils/apiClient.js';
+import { t } from '../utils/i18n.js';
+
 /**
  * Audio Recording and Processing Module
- * Records audio directly as WAV at 16kHz for accurate ML processing
+ * Records audio as 16-bit WAV (AudioWorklet capture) for accurate ML processing
  */
 
-let audioContext = null;
-let mediaStream = null;
-let scriptProcessor = null;
-let audioData = [];
-let isRecording = false;
-
-const SAMPLE_RATE = 16000;
+// Capture currently in progress (see ./recorder.js)
+let activeCapture = null;
 
 /**
- * Start recording audio from microphone
- * Records directly as PCM data at 16kHz
- * @param {number} duration - Recording duration in seconds
- * @returns {Promise<Blob>} - WAV blob
+ * Start recording audio from the microphone
+ * Captures PCM through an AudioWorklet at the context's native rate.
+ * @param {number} duration - Maximum recording duration in seconds
+ * @param {object} [options] - Extra startCapture options (onLevel, onTick, autoStopOnSilence...)
+ * @returns {Promise<Blob>} - WAV blob, resolved when the recording ends
  */
-export async function startRecording(duration = 3) {
-    try {
-        // Request microphone access
-        mediaStream = await navigator.mediaDevices.getUserMedia({
-            audio: {
-                sampleRate: SAMPLE_RATE,
-                channelCount: 1,
-                echoCancellation: true,
-                noiseSuppression: true
-            }
-        });
-
-        // Create audio context at 16kHz
-        audioContext = new (window.AudioContext || window.webkitAudioContext)({
-            sampleRate: SAMPLE_RATE
-        });
-
-        const source = audioContext.createMediaStreamSource(mediaStream);
-
-        // Use ScriptProcessor to capture raw PCM data
-        // Buffer size of 4096 is a good balance
-        scriptProcessor = audioContext.createScriptProcessor(4096, 1, 1);
-
-        audioData = [];
-        isRecording = true;
-
-        scriptProcessor.onaudioprocess = (e) => {
-            if (isRecording) {
-                const channelData = e.inputBuffer.getChannelData(0);
-                // Clone the data since the buffer is reused
-                audioData.push(new Float32Array(channelData));
-            }
-        };
-
-        source.connect(scriptProcessor);
-        scriptProcessor.connect(audioContext.destination);
-
-        // Record for specified duration
-        return new Promise((resolve, reject) => {
-            setTimeout(async () => {
-                try {
-                    const wavBlob = await stopRecording();
-                    resolve(wavBlob);
-                } catch (error) {
-                    reject(error);
-                }
-            }, duration * 1000);
-        });
+export async function startRecording(duration = 3, options = {}) {
+    if (activeCapture) {
+        throw new Error(t('Ya hay una grabación en curso'));
+    }
 
+    try {
+        activeCapture = await startCapture({ ...options, duration });
     } catch (error) {
         console.error('Error accessing microphone:', error);
-        throw new Error('No se pudo acceder al micrófono. Verifica los permisos.');
+        throw new Error(t('No se pudo acceder al micrófono. Verifica los permisos.'));
+    }
+
+    try {
+        const { blob } = await activeCapture.done;
+        return blob;
+    } finally {
+        activeCapture = null;
     }
 }
 
 /**
- * Stop recording and return WAV blob
- * @returns {Promise<Blob>} - WAV audio blob
+ * Stop the current recording early
+ * The promise returned by startRecording resolves with what was captured so far.
  */
-export async function stopRecording() {
-    isRecording = false;
-
-    // Disconnect and cleanup
-    if (scriptProcessor) {
-        scriptProcessor.disconnect();
-        scriptProcessor = null;
-    }
-
-    if (mediaStream) {
-        mediaStream.getTracks().forEach(track => track.stop());
-        mediaStream = null;
-    }
-
-    // Merge all audio chunks
-    const totalLength = audioData.reduce((acc, chunk) => acc + chunk.length, 0);
-    const mergedData = new Float32Array(totalLength);
-    let offset = 0;
-    for (const chunk of audioData) {
-        mergedData.set(chunk, offset);
-        offset += chunk.length;
-    }
-    audioData = [];
-
-    // Get actual sample rate used
-    const actualSampleRate = audioContext?.sampleRate || SAMPLE_RATE;
-
-    if (audioContext) {
-        await audioContext.close();
-        audioContext = null;
-    }
-
-    // Convert to WAV
-    const wavBlob = float32ToWav(mergedData, actualSampleRate);
-    return wavBlob;
+export function stopRecording() {
+    activeCapture?.stop();
 }
 
 /**
@@ -119,7 +52,7 @@ export async function stopRecording() {
  * @param {number} sampleRate - Sample rate
  * @returns {Blob} - WAV file blob
  */
-function float32ToWav(samples, sampleRate) {
+export function float32ToWav(samples, sampleRate) {
     const buffer = new ArrayBuffer(44 + samples.length * 2);
     const view = new DataView(buffer);
 
@@ -157,18 +90,16 @@ function float32ToWav(samples, sampleRate) {
 
 /**
  * Load audio file from user upload
+ * Same decoder as the analysis path (see utils/resample.js).
  * @param {File} file - Audio file
  * @returns {Promise<AudioBuffer>}
  */
 export async function loadAudioFile(file) {
     try {
-        const arrayBuffer = await file.arrayBuffer();
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-        return audioBuffer;
+        return await decodeAudio(file);
     } catch (error) {
         console.error('Error loading audio file:', error);
-        throw new Error('No se pudo cargar el archivo de audio');
+        throw new Error(t('No se pudo cargar el archivo de audio'));
     }
 }
 
@@ -183,30 +114,10 @@ export function isRecordingSupported() {
 /**
  * Send audio to backend for processing
  * @param {Blob} audioBlob - Audio data
- * @returns {Promise<Object>} - Server response
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} [options]
+ * @returns {Promise<Object>} - Validated server response
+ * @throws {import('../utils/apiClient.js').ApiError}
  */
-export async function sendAudioToBackend(audioBlob) {
-    const formData = new FormData();
-    formData.append('audio', audioBlob, 'recording.wav');
-
-  // 1. Leemos la URL de la variable de entorno (o usamos localhost si no existe)
-const API_URL = import.meta.env.PUBLIC_API_URL || 'http://localhost:8000';
-
-try {
-    // 2. Usamos esa URL para hacer la petición
-    const response = await fetch(`${API_URL}/api/analyze`, {
-        method: 'POST',
-        body: formData
-    });
-// ... resto de tu código
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        console.error('Error sending audio:', error);
-        throw new Error('Error al enviar audio al servidor');
-    }
+export async function sendAudioToBackend(audioBlob, options = {}) {
+    return createApiClient().analyze(audioBlob, options);
 }
@@ -0,0 +1,260 @@
+import { float32ToWav } from './audio.js';
+import { t } from '../utils/i18n.js';
+import { CAPTURE_CONSTRAINTS } from '../utils/preprocessing.js';
+
+/**
+ * 🎙️ AudioWorklet capture module for EpigrafIA
+ * Records the microphone at the context's native rate with a live level meter,
+ * a countdown, manual stop and optional auto-stop after trailing silence, or
+ * streams it block by block for live monitoring.
+ */
+
+/**
+ * Durations offered in the UI (seconds)
+ */
+export const RECORDING_DURATIONS = [3, 5, 10, 30];
+
+const DEFAULT_OPTIONS = {
+    duration: 3,
+    // Stop once the speaker has been quiet this long (only after some speech)
+    autoStopOnSilence: false,
+    silenceSeconds: 1.5,
+    silenceThresholdDb: -45,
+    // Browser processing off: preprocessing.js applies the same stages to every path
+    constraints: CAPTURE_CONSTRAINTS
+};
+
+/**
+ * Convert a linear amplitude to dBFS
+ * @param {number} value
+ * @returns {number}
+ */
+export function toDb(value) {
+    return 20 * Math.log10(Math.max(value, 1e-8));
+}
+
+/**
+ * Map dBFS onto 0..1 for meters (-60 dB → 0, 0 dB → 1)
+ * @param {number} db
+ * @returns {number}
+ */
+export function levelFromDb(db) {
+    return Math.min(1, Math.max(0, (db + 60) / 60));
+}
+
+/**
+ * Whether AudioWorklet capture is available
+ * @returns {boolean}
+ */
+export function isWorkletSupported() {
+    return typeof AudioWorkletNode !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Open the microphone and the recorder worklet (not connected yet)
+ * @param {MediaTrackConstraints} constraints
+ */
+async function openMicrophone(constraints) {
+    if (!isWorkletSupported()) {
+        throw new Error(t('Tu navegador no soporta grabación con AudioWorklet'));
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    try {
+        await audioContext.audioWorklet.addModule(
+            new URL('../worklets/recorder.worklet.js', import.meta.url)
+        );
+    } catch (error) {
+        stream.getTracks().forEach((track) => track.stop());
+        await audioContext.close();
+        throw new Error(t('No se pudo iniciar el grabador: {message}', { message: error.message }));
+    }
+
+    const source = audioContext.createMediaStreamSource(stream);
+    const recorder = new AudioWorkletNode(audioContext, 'epigrafia-recorder');
+
+    async function close() {
+        source.disconnect();
+        recorder.disconnect();
+        recorder.port.onmessage = null;
+        stream.getTracks().forEach((track) => track.stop());
+        await audioContext.close();
+    }
+
+    function connect() {
+        source.connect(recorder);
+        // The worklet outputs silence; connecting keeps it pulled by the graph in every browser
+        recorder.connect(audioContext.destination);
+    }
+
+    return { stream, recorder, sampleRate: audioContext.sampleRate, connect, close };
+}
+
+/**
+ * Start capturing audio from the microphone
+ * @param {{
+ *   duration?: number,
+ *   autoStopOnSilence?: boolean,
+ *   silenceSeconds?: number,
+ *   silenceThresholdDb?: number,
+ *   constraints?: MediaTrackConstraints,
+ *   onLevel?: (level: {rms: number, peak: number, rmsDb: number, peakDb: number}) => void,
+ *   onTick?: (remaining: number, elapsed: number) => void
+ * }} [options]
+ * @returns {Promise<{
+ *   stop: () => void,
+ *   done: Promise<{blob: Blob, samples: Float32Array, sampleRate: number, duration: number, stoppedBy: 'duration'|'manual'|'silence'}>
+ * }>} Resolves once recording has actually started
+ */
+export async function startCapture(options = {}) {
+    const settings = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+        constraints: { ...DEFAULT_OPTIONS.constraints, ...options.constraints }
+    };
+    const { onLevel = () => {}, onTick = () => {} } = options;
+
+    const microphone = await openMicrophone(settings.constraints);
+    const { recorder, sampleRate } = microphone;
+    console.log(`🎤 Recording at ${sampleRate}Hz (AudioWorklet)`);
+
+    const chunks = [];
+    let recordedSamples = 0;
+    let heardSpeech = false;
+    let silentSamples = 0;
+    let stopping = false;
+    let stopReason = 'duration';
+    let tickTimer = null;
+
+    const maxSamples = Math.round(settings.duration * sampleRate);
+    const silenceLimit = Math.round(settings.silenceSeconds * sampleRate);
+
+    let resolveDone;
+    let rejectDone;
+    const done = new Promise((resolve, reject) => {
+        resolveDone = resolve;
+        rejectDone = reject;
+    });
+
+    async function finish() {
+        clearInterval(tickTimer);
+        await microphone.close();
+
+        // Merge the blocks, dropping anything past the requested duration
+        const length = Math.min(recordedSamples, maxSamples);
+        const samples = new Float32Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            const count = Math.min(chunk.length, length - offset);
+            if (count <= 0) break;
+            samples.set(chunk.subarray(0, count), offset);
+            offset += count;
+        }
+
+        // Calculate audio stats
+        let maxAmp = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const abs = Math.abs(samples[i]);
+            if (abs > maxAmp) maxAmp = abs;
+            sumSquares += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(sumSquares / Math.max(1, samples.length));
+        console.log(`📊 Audio stats: Max=${maxAmp.toFixed(4)}, RMS=${rms.toFixed(4)}, samples=${samples.length}`);
+
+        const blob = float32ToWav(samples, sampleRate);
+        console.log(`📤 WAV created: ${blob.size} bytes at ${sampleRate}Hz (${stopReason})`);
+        resolveDone({ blob, samples, sampleRate, duration: length / sampleRate, stoppedBy: stopReason });
+    }
+
+    function stop(reason = 'manual') {
+        if (stopping) return;
+        stopping = true;
+        stopReason = reason;
+        // Ask the worklet for its partial block before tearing down
+        recorder.port.postMessage({ type: 'flush' });
+    }
+
+    recorder.port.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'flushed') {
+            finish().catch(rejectDone);
+            return;
+        }
+        if (message.type !== 'chunk') return;
+
+        chunks.push(message.samples);
+        recordedSamples += message.samples.length;
+
+        const rmsDb = toDb(message.rms);
+        onLevel({ rms: message.rms, peak: message.peak, rmsDb, peakDb: toDb(message.peak) });
+
+        // Trailing-silence detection
+        if (rmsDb > settings.silenceThresholdDb) {
+            heardSpeech = true;
+            silentSamples = 0;
+        } else {
+            silentSamples += message.samples.length;
+        }
+
+        if (recordedSamples >= maxSamples) {
+            stop('duration');
+        } else if (settings.autoStopOnSilence && heardSpeech && silentSamples >= silenceLimit) {
+            stop('silence');
+        }
+    };
+
+    microphone.connect();
+
+    const startedAt = performance.now();
+    onTick(settings.duration, 0);
+    tickTimer = setInterval(() => {
+        const elapsed = (performance.now() - startedAt) / 1000;
+        onTick(Math.max(0, settings.duration - elapsed), elapsed);
+    }, 250);
+
+    return { stop: () => stop('manual'), done };
+}
+
+/**
+ * Stream the microphone until stopped (live monitoring): every worklet block is handed
+ * to `onChunk` and nothing is kept here, so memory does not grow with the session
+ * @param {{
+ *   onChunk: (samples: Float32Array, sampleRate: number) => void,
+ *   onLevel?: (level: {rms: number, peak: number, rmsDb: number, peakDb: number}) => void,
+ *   onEnded?: () => void,
+ *   constraints?: MediaTrackConstraints
+ * }} options - onEnded fires when the browser ends the stream (device unplugged, permission revoked)
+ * @returns {Promise<{stop: () => Promise<void>, sampleRate: number}>} Resolves once streaming has started
+ */
+export async function startStream(options) {
+    const { onChunk, onLevel = () => {}, onEnded = () => {} } = options;
+    const microphone = await openMicrophone({ ...DEFAULT_OPTIONS.constraints, ...options.constraints });
+    const { recorder, sampleRate, stream } = microphone;
+    console.log(`🎤 Streaming at ${sampleRate}Hz (AudioWorklet)`);
+
+    let stopped = false;
+    async function stop() {
+        if (stopped) return;
+        stopped = true;
+        await microphone.close();
+    }
+
+    recorder.port.onmessage = (event) => {
+        const message = event.data;
+        if (message.type !== 'chunk' || stopped) return;
+        onLevel({ rms: message.rms, peak: message.peak, rmsDb: toDb(message.rms), peakDb: toDb(message.peak) });
+        onChunk(message.samples, sampleRate);
+    };
+
+    stream.getAudioTracks()[0]?.addEventListener('ended', () => {
+        if (stopped) return;
+        stop().finally(onEnded);
+    });
+
+    microphone.connect();
+    return { stop, sampleRate };
+}
@@ -0,0 +1,92 @@
+/**
+ * 🗣️ Accent plug-in for EpigrafIA
+ * The accent model is optional and only loads when the manifest lists it. Its labels
+ * file names the language each accent belongs to:
+ *
+ *   [{"label": "Castellano (ES)", "language": "Español"}, {"label": "Rioplatense (AR/UY)", "language": "es"}, ...]
+ *
+ * (the language may be written as the language model's label or as any alias in
+ * evaluation.LANGUAGE_ALIASES). The accent is then chosen among the detected language's
+ * accents only, with their probabilities renormalised, so a French accent can never be
+ * shown on speech detected as English. No TF.js here.
+ */
+import { languageKey } from './evaluation.js';
+import { t } from './i18n.js';
+
+/**
+ * Renormalised confidence below which the page does not name the accent
+ */
+export const ACCENT_MIN_CONFIDENCE = 0.5;
+
+/**
+ * @typedef {Object} AccentLabels
+ * @property {string[]} labels - Accent names, by class index
+ * @property {string[]} languages - Parent language of each accent, by class index
+ */
+
+/**
+ * Validate an accent labels file
+ * @param {unknown} raw - Parsed labels.json
+ * @returns {AccentLabels}
+ */
+export function parseAccentLabels(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) {
+        throw new Error(t('El fichero de etiquetas de acento debe ser una lista no vacía'));
+    }
+    const labels = [];
+    const languages = [];
+    raw.forEach((item, index) => {
+        if (typeof item?.label !== 'string' || typeof item?.language !== 'string') {
+            throw new Error(t('La etiqueta de acento {index} necesita "label" y "language"', { index }));
+        }
+        labels.push(item.label);
+        languages.push(item.language);
+    });
+    return { labels, languages };
+}
+
+/**
+ * Restrict accent probabilities to the accents of the detected language and renormalise
+ * @param {ArrayLike<number>} probabilities - Accent model output
+ * @param {string[]} languages - Parent language of each accent
+ * @param {string} language - Label of the detected language
+ * @returns {{prediction: number, confidence: number, probabilities: number[]}|null}
+ *          null when the language has no accents (or they all scored 0)
+ */
+export function constrainAccent(probabilities, languages, language) {
+    const key = languageKey(language);
+    const masked = Array.from(probabilities, (probability, index) =>
+        languageKey(languages[index] ?? '') === key ? probability : 0
+    );
+    const total = masked.reduce((sum, probability) => sum + probability, 0);
+    if (!(total > 0)) return null;
+
+    const renormalised = masked.map((probability) => probability / total);
+    let prediction = 0;
+    for (let i = 1; i < renormalised.length; i++) {
+        if (renormalised[i] > renormalised[prediction]) prediction = i;
+    }
+    return { prediction, confidence: renormalised[prediction], probabilities: renormalised };
+}
+
+/**
+ * How the page should present the accent of a result
+ * - absent: no accent model (hide the accent card)
+ * - inconclusive: the model ran but the detected language has no accents, the accent
+ *   belongs to another language (e.g. a backend result) or the model is not confident
+ * - confident: show the accent
+ * @param {Object} result - /api/analyze shape
+ * @param {{languageLabels: string[], accentLanguages: string[]}} labels - Known labels; an empty
+ *        accentLanguages list means the manifest lists no accent model
+ * @param {number} [minConfidence]
+ * @returns {'absent'|'inconclusive'|'confident'}
+ */
+export function accentStatus(result, { languageLabels, accentLanguages }, minConfidence = ACCENT_MIN_CONFIDENCE) {
+    const prediction = result?.accent_prediction ?? null;
+    if (prediction === null) return accentLanguages.length > 0 ? 'inconclusive' : 'absent';
+
+    const parent = accentLanguages[prediction];
+    const language = languageLabels[result.language_prediction];
+    if (parent && language && languageKey(parent) !== languageKey(language)) return 'inconclusive';
+    return result.accent_confidence >= minConfidence ? 'confident' : 'inconclusive';
+}
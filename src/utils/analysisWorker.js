@@ -0,0 +1,209 @@
+/**
+ * 🧵 Worker client for EpigrafIA
+ * Promise-based API over src/workers/analysis.worker.js with progress and
+ * cancellation. Falls back to the main thread when workers are unavailable
+ * (the TF.js modules are then imported lazily, keeping them out of the page bundle).
+ */
+
+import { t } from './i18n.js';
+
+let worker = null;
+let nextJobId = 1;
+const pending = new Map();
+
+// Canvases already handed over to the worker via transferControlToOffscreen
+const transferredCanvases = new WeakMap();
+
+// Last version switch; preloads and analyses wait for it so they never load a stale model
+let versionsApplied = Promise.resolve();
+
+/**
+ * Whether module workers can be used in this browser
+ * @returns {boolean}
+ */
+export function isWorkerSupported() {
+    return typeof Worker !== 'undefined';
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), {
+            type: 'module'
+        });
+        worker.onmessage = (event) => {
+            const { type, id } = event.data;
+            const job = pending.get(id);
+            if (!job) return;
+
+            if (type === 'progress') {
+                job.onProgress?.(event.data.stage, event.data.progress, event.data.detail);
+            } else if (type === 'result') {
+                pending.delete(id);
+                job.resolve(event.data.result);
+            } else if (type === 'error') {
+                pending.delete(id);
+                job.reject(event.data.name === 'AbortError'
+                    ? new DOMException(t('Análisis cancelado'), 'AbortError')
+                    : new Error(event.data.message));
+            }
+        };
+        worker.onerror = (event) => {
+            console.error('❌ Analysis worker error:', event.message);
+            for (const job of pending.values()) {
+                job.reject(new Error(t('Error en el worker de análisis: {message}', { message: event.message })));
+            }
+            pending.clear();
+            worker?.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+}
+
+/**
+ * Send a job to the worker
+ * @param {object} message
+ * @param {{onProgress?: Function, signal?: AbortSignal, transfer?: Transferable[]}} [options]
+ * @returns {Promise<any>}
+ */
+function runJob(message, { onProgress, signal, transfer = [] } = {}) {
+    const id = nextJobId++;
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException(t('Análisis cancelado'), 'AbortError'));
+            return;
+        }
+
+        const onAbort = () => getWorker().postMessage({ type: 'cancel', id });
+        // The signal may outlive the job (an evaluation run shares one): drop the listener once it settles
+        const settle = (callback) => (value) => {
+            signal?.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+        pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        getWorker().postMessage({ ...message, id }, transfer);
+    });
+}
+
+/**
+ * Load the TF.js models ahead of time
+ * @returns {Promise<void>}
+ */
+export async function preloadModels() {
+    if (!isWorkerSupported()) return;
+    await versionsApplied.catch(() => {});
+    await runJob({ type: 'preload' });
+}
+
+/**
+ * Switch the local models to other manifest versions
+ * The old models are disposed; the new ones load on the next analysis or preload.
+ * @param {Record<string, string|null>} versions - kind → version (null = manifest default)
+ * @returns {Promise<void>}
+ */
+export function setModelVersions(versions) {
+    versionsApplied = isWorkerSupported()
+        ? runJob({ type: 'set-model-versions', versions })
+        : import('./modelLoader.js').then((loader) => loader.setModelVersions(versions));
+    return versionsApplied.then(() => {});
+}
+
+/**
+ * Run local inference on mono 16 kHz samples
+ * A copy of the samples is transferred, so the caller keeps its data.
+ * Passing `segmentation` analyses the whole recording with sliding windows, and
+ * `robust` adds test-time augmentation and the spoofing ensemble (localInference.predictRobust).
+ * @param {Float32Array} samples
+ * @param {{segmentation?: {windowSeconds?: number, hopSeconds?: number, aggregation?: string},
+ *          robust?: Partial<import('./augmentation.js').RobustSettings>|null,
+ *          onProgress?: (stage: string, progress: number, detail?: {index: number, total: number}) => void,
+ *          signal?: AbortSignal}} [options]
+ * @returns {Promise<Object>} Backend-compatible result
+ */
+export async function analyzeInWorker(samples, { segmentation, robust = null, onProgress, signal } = {}) {
+    await versionsApplied.catch(() => {});
+    if (!isWorkerSupported()) {
+        const [{ predictLocal, predictSegments }, { withModels }] = await Promise.all([
+            import('./localInference.js'),
+            import('./modelLoader.js')
+        ]);
+        return withModels(() => (segmentation
+            ? predictSegments(samples, { segmentation, robust, onProgress, signal })
+            : predictLocal(samples, { robust, onProgress, signal })));
+    }
+    const copy = new Float32Array(samples);
+    return runJob({ type: 'analyze', samples: copy, segmentation, robust }, {
+        onProgress,
+        signal,
+        transfer: [copy.buffer]
+    });
+}
+
+/**
+ * TF.js memory where the models run (tensor count should stay flat between analyses)
+ * @returns {Promise<{numTensors: number, numBytes: number, numDataBuffers: number}>}
+ */
+export async function getTensorMemory() {
+    if (!isWorkerSupported()) {
+        const { memory } = await import('@tensorflow/tfjs');
+        const { numTensors, numBytes, numDataBuffers } = memory();
+        return { numTensors, numBytes, numDataBuffers };
+    }
+    return runJob({ type: 'memory' });
+}
+
+/**
+ * Occlusion saliency of the local spoofing model for one clip (see utils/saliency.js)
+ * @param {Float32Array} samples - Mono 16 kHz; copied before sending
+ * @param {{onProgress?: (stage: string, progress: number) => void, signal?: AbortSignal}} [options]
+ * @returns {Promise<import('./saliency.js').SpoofingExplanation>}
+ */
+export async function explainInWorker(samples, { onProgress, signal } = {}) {
+    await versionsApplied.catch(() => {});
+    if (!isWorkerSupported()) {
+        const [{ explainSpoofing }, { withModels }] = await Promise.all([
+            import('./saliency.js'),
+            import('./modelLoader.js')
+        ]);
+        return withModels(() => explainSpoofing(samples, { onProgress, signal }));
+    }
+    const copy = new Float32Array(samples);
+    return runJob({ type: 'explain', samples: copy }, {
+        onProgress,
+        signal,
+        transfer: [copy.buffer]
+    });
+}
+
+/**
+ * Render a waveform, off the main thread when OffscreenCanvas is available
+ * @param {HTMLCanvasElement} canvas
+ * @param {Float32Array} samples - Copied before sending, the caller keeps its data
+ * @param {{background?: string|null, color?: string}} [options]
+ * @returns {Promise<void>}
+ */
+export async function renderWaveform(canvas, samples, options = {}) {
+    const canOffload = isWorkerSupported() && 'transferControlToOffscreen' in canvas;
+    if (!canOffload) {
+        const { drawWaveform } = await import('./audioProcessing.js');
+        drawWaveform(samples, canvas, options);
+        return;
+    }
+
+    const copy = new Float32Array(samples);
+    const transfer = [copy.buffer];
+    const message = { type: 'waveform', samples: copy, options };
+
+    if (!transferredCanvases.has(canvas)) {
+        const offscreen = canvas.transferControlToOffscreen();
+        transferredCanvases.set(canvas, `canvas-${nextJobId}`);
+        message.canvas = offscreen;
+        transfer.push(offscreen);
+    }
+    message.canvasId = transferredCanvases.get(canvas);
+
+    await runJob(message, { transfer });
+}
@@ -0,0 +1,343 @@
+/**
+ * 🌐 Backend API client for EpigrafIA
+ * One place for `/api/health` and `/api/analyze`: base URL resolution, timeouts,
+ * cancellation, wake-up polling for sleeping free-tier hosts and response validation.
+ *
+ * Base URL, first match wins:
+ *   1. `baseUrl` passed to createApiClient
+ *   2. localStorage `epigrafia.apiUrl` (handy for pointing a deployed page at another backend)
+ *   3. PUBLIC_API_URL (PUBLIC_HF_API_URL is still read for older .env files)
+ *   4. http://localhost:8000 when the page itself runs on localhost
+ *   5. same origin, so `/api/*` goes through the rewrite in vercel.json
+ */
+
+import { t } from './i18n.js';
+
+export const API_URL_STORAGE_KEY = 'epigrafia.apiUrl';
+
+export const API_DEFAULTS = {
+    healthTimeoutMs: 5000,
+    analyzeTimeoutMs: 20000,
+    // Render/HF free tiers take 30–60 s to boot a sleeping instance
+    wakeUp: {
+        initialDelayMs: 1000,
+        maxDelayMs: 8000,
+        factor: 2,
+        maxWaitMs: 90000
+    }
+};
+
+// Gateway answers while the instance is still booting
+const WAKING_STATUSES = [502, 503, 504];
+
+// ========== Errors ==========
+
+/**
+ * Base class for every error the client throws
+ * `code` is stable so the UI can branch on it; `message` is ready to show.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {{code?: string, status?: number|null, cause?: unknown}} [options]
+     */
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'ApiError';
+        this.code = options.code || 'api';
+        this.status = options.status ?? null;
+    }
+}
+
+/** The server could not be reached (network error or still asleep) */
+export class ServerUnavailableError extends ApiError {
+    constructor(message = t('Servidor no disponible'), options = {}) {
+        super(message, { code: 'unavailable', ...options });
+        this.name = 'ServerUnavailableError';
+    }
+}
+
+/** The request did not finish within its timeout */
+export class ApiTimeoutError extends ApiError {
+    constructor(message = t('El servidor tardó demasiado en responder'), options = {}) {
+        super(message, { code: 'timeout', ...options });
+        this.name = 'ApiTimeoutError';
+    }
+}
+
+/** The server answered with a non-2xx status */
+export class ApiResponseError extends ApiError {
+    constructor(status, message = t('Error del servidor: {status}', { status }), options = {}) {
+        super(message, { code: 'http', status, ...options });
+        this.name = 'ApiResponseError';
+    }
+}
+
+/** The server answered 2xx but the payload is not what the UI expects */
+export class ApiSchemaError extends ApiError {
+    /**
+     * @param {string} field - Offending field path, e.g. `spoofing.spoof_probability`
+     * @param {string} [detail]
+     */
+    constructor(field, detail = t('valor no válido')) {
+        super(t('Respuesta del servidor no válida ({field}: {detail})', { field, detail }), { code: 'schema' });
+        this.name = 'ApiSchemaError';
+        this.field = field;
+    }
+}
+
+// ========== Base URL ==========
+
+/**
+ * Work out which backend to talk to
+ * @param {{baseUrl?: string|null}} [options]
+ * @returns {string} Base URL without trailing slash ('' = same origin)
+ */
+export function resolveApiBaseUrl(options = {}) {
+    const candidates = [
+        options.baseUrl,
+        readStoredUrl(),
+        import.meta.env.PUBLIC_API_URL,
+        import.meta.env.PUBLIC_HF_API_URL
+    ];
+    const configured = candidates.find((value) => typeof value === 'string' && value.trim() !== '');
+    if (configured) return configured.trim().replace(/\/+$/, '');
+
+    const hostname = globalThis.location?.hostname;
+    if (hostname === 'localhost' || hostname === '127.0.0.1') {
+        return 'http://localhost:8000';
+    }
+    return '';
+}
+
+function readStoredUrl() {
+    try {
+        return globalThis.localStorage?.getItem(API_URL_STORAGE_KEY) ?? null;
+    } catch {
+        return null; // Storage disabled (private mode, workers)
+    }
+}
+
+// ========== Validation ==========
+
+function isProbability(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function isClassIndex(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Optional full distributions: absent/null is fine, anything else must be probabilities
+function checkDistribution(data, field) {
+    const value = data[field];
+    if (value == null) return null;
+    if (!Array.isArray(value) || value.length === 0 || !value.every(isProbability)) {
+        throw new ApiSchemaError(field, t('se esperaba una lista de probabilidades'));
+    }
+    return value;
+}
+
+/**
+ * Check an `/api/analyze` payload and return it with optional fields normalised
+ * @param {any} data
+ * @returns {{language_prediction: number, language_confidence: number, language_probabilities: number[]|null,
+ *            accent_prediction: number|null, accent_confidence: number|null, accent_probabilities: number[]|null, spoofing: {is_genuine: boolean, spoof_probability: number, label: string, threshold: number}|null}}
+ * @throws {ApiSchemaError}
+ */
+export function validateAnalysisResult(data) {
+    if (!data || typeof data !== 'object') {
+        throw new ApiSchemaError(t('respuesta'), t('no es un objeto JSON'));
+    }
+
+    if (!isClassIndex(data.language_prediction)) {
+        throw new ApiSchemaError('language_prediction', t('se esperaba un índice de clase'));
+    }
+    if (!isProbability(data.language_confidence)) {
+        throw new ApiSchemaError('language_confidence', t('se esperaba una probabilidad'));
+    }
+
+    const languageProbabilities = checkDistribution(data, 'language_probabilities');
+    if (languageProbabilities && data.language_prediction >= languageProbabilities.length) {
+        throw new ApiSchemaError('language_prediction', t('fuera de language_probabilities'));
+    }
+
+    const accentPrediction = data.accent_prediction ?? null;
+    const accentConfidence = data.accent_confidence ?? null;
+    if (accentPrediction !== null) {
+        if (!isClassIndex(accentPrediction)) {
+            throw new ApiSchemaError('accent_prediction', t('se esperaba un índice de clase o null'));
+        }
+        if (!isProbability(accentConfidence)) {
+            throw new ApiSchemaError('accent_confidence', t('se esperaba una probabilidad'));
+        }
+    }
+
+    const accentProbabilities = accentPrediction === null ? null : checkDistribution(data, 'accent_probabilities');
+
+    let spoofing = null;
+    if (data.spoofing != null) {
+        const { is_genuine, spoof_probability, label, threshold = 0.5 } = data.spoofing;
+        if (typeof is_genuine !== 'boolean') {
+            throw new ApiSchemaError('spoofing.is_genuine', t('se esperaba un booleano'));
+        }
+        if (!isProbability(spoof_probability)) {
+            throw new ApiSchemaError('spoofing.spoof_probability', t('se esperaba una probabilidad'));
+        }
+        if (!isProbability(threshold)) {
+            throw new ApiSchemaError('spoofing.threshold', t('se esperaba una probabilidad'));
+        }
+        if (label !== undefined && typeof label !== 'string') {
+            throw new ApiSchemaError('spoofing.label', t('se esperaba un texto'));
+        }
+        spoofing = {
+            ...data.spoofing,
+            is_genuine,
+            spoof_probability,
+            label: label ?? (is_genuine ? 'human' : 'spoof'),
+            threshold
+        };
+    }
+
+    return {
+        ...data,
+        language_probabilities: languageProbabilities,
+        accent_prediction: accentPrediction,
+        accent_confidence: accentPrediction === null ? null : accentConfidence,
+        accent_probabilities: accentProbabilities,
+        spoofing
+    };
+}
+
+// ========== Requests ==========
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * fetch with a timeout that maps failures onto ApiError subclasses
+ * Caller cancellation is re-thrown untouched (an AbortError) so the UI can tell it apart.
+ */
+async function request(url, { signal, timeoutMs, ...init }) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+    let response;
+    try {
+        response = await fetch(url, { ...init, signal: combined });
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        if (timeout.aborted) throw new ApiTimeoutError(undefined, { cause: error });
+        throw new ServerUnavailableError(undefined, { cause: error });
+    }
+
+    if (!response.ok) {
+        if (WAKING_STATUSES.includes(response.status)) {
+            throw new ServerUnavailableError(t('El servidor se está iniciando'), { status: response.status });
+        }
+        throw new ApiResponseError(response.status);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        throw new ApiSchemaError(t('respuesta'), t('no es JSON'));
+    }
+}
+
+/**
+ * Create a client bound to one backend
+ * @param {{baseUrl?: string|null, healthTimeoutMs?: number, analyzeTimeoutMs?: number,
+ *          wakeUp?: Partial<typeof API_DEFAULTS.wakeUp>}} [options]
+ */
+export function createApiClient(options = {}) {
+    const settings = {
+        ...API_DEFAULTS,
+        ...options,
+        wakeUp: { ...API_DEFAULTS.wakeUp, ...options.wakeUp }
+    };
+    const baseUrl = resolveApiBaseUrl(options);
+
+    /**
+     * Ask the backend whether it is up
+     * @param {{signal?: AbortSignal, timeoutMs?: number}} [opts]
+     * @returns {Promise<{status: string, models_loaded?: boolean}>}
+     * @throws {ApiError} ServerUnavailableError when it answers but is not healthy
+     */
+    async function health(opts = {}) {
+        const data = await request(`${baseUrl}/api/health`, {
+            signal: opts.signal,
+            timeoutMs: opts.timeoutMs ?? settings.healthTimeoutMs
+        });
+        if (data?.status !== 'healthy') {
+            throw new ServerUnavailableError(t('El servidor no está listo'));
+        }
+        return data;
+    }
+
+    /**
+     * Poll /api/health with exponential backoff until a sleeping host boots
+     * @param {{signal?: AbortSignal, onWaiting?: (info: {attempt: number, elapsed: number, nextDelay: number}) => void}} [opts]
+     * @returns {Promise<{status: string, models_loaded?: boolean}>}
+     * @throws {ServerUnavailableError} once `wakeUp.maxWaitMs` has passed
+     */
+    async function waitUntilAwake(opts = {}) {
+        const { signal, onWaiting = () => {} } = opts;
+        const { initialDelayMs, maxDelayMs, factor, maxWaitMs } = settings.wakeUp;
+        const startedAt = Date.now();
+        let delay = initialDelayMs;
+        let lastError = null;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await health({ signal });
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                if (error instanceof ApiResponseError || error instanceof ApiSchemaError) throw error;
+                lastError = error;
+            }
+
+            const elapsed = Date.now() - startedAt;
+            if (elapsed + delay > maxWaitMs) {
+                throw new ServerUnavailableError(t('El servidor no despertó a tiempo'), { cause: lastError });
+            }
+            onWaiting({ attempt, elapsed, nextDelay: delay });
+            await sleep(delay, signal);
+            delay = Math.min(delay * factor, maxDelayMs);
+        }
+    }
+
+    /**
+     * Send audio to /api/analyze
+     * @param {Blob} audioBlob
+     * @param {{signal?: AbortSignal, timeoutMs?: number, filename?: string}} [opts]
+     * @returns {Promise<ReturnType<typeof validateAnalysisResult>>}
+     */
+    async function analyze(audioBlob, opts = {}) {
+        const formData = new FormData();
+        formData.append('audio', audioBlob, opts.filename || 'recording.wav');
+
+        const data = await request(`${baseUrl}/api/analyze`, {
+            method: 'POST',
+            body: formData,
+            signal: opts.signal,
+            timeoutMs: opts.timeoutMs ?? settings.analyzeTimeoutMs
+        });
+        return validateAnalysisResult(data);
+    }
+
+    return { baseUrl, health, waitUntilAwake, analyze };
+}
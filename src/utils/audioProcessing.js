@@ -1,4 +1,8 @@
 import * as tf from '@tensorflow/tfjs';
+import { mfcc, delta, fitFrames, standardize, flattenFrames } from './mfcc.js';
+import { decodeAudio, downmix, resampleSinc, padOrTrim } from './resample.js';
+import { t } from './i18n.js';
+import { CAPTURE_CONSTRAINTS } from './preprocessing.js';
 
 /**
  * 🎵 Audio Processing for EpigrafIA
@@ -13,7 +17,9 @@ const CONFIG = {
     nMels: 128,
     fftSize: 2048,
     hopLength: 512,
-    nFeatures: 120 // 40 MFCC + 40 delta + 40 delta²
+    nFeatures: 120, // 40 MFCC + 40 delta + 40 delta²
+    languageFrames: 94, // 1 + 48000 / 512 (centred STFT over 3s @ 16kHz)
+    spoofingFrames: 128 // maxLength in models/spoofing/config.json
 };
 
 /**
@@ -26,10 +32,8 @@ export async function recordAudio(durationSeconds = CONFIG.duration) {
         console.log('🎙️ Requesting microphone access...');
         const stream = await navigator.mediaDevices.getUserMedia({
             audio: {
-                channelCount: 1,
-                sampleRate: CONFIG.sampleRate,
-                echoCancellation: true,
-                noiseSuppression: true
+                ...CAPTURE_CONSTRAINTS,
+                sampleRate: CONFIG.sampleRate
             }
         });
 
@@ -53,25 +57,19 @@ export async function recordAudio(durationSeconds = CONFIG.duration) {
 
                     // Convert to audio buffer
                     const blob = new Blob(chunks, { type: 'audio/webm' });
-                    const arrayBuffer = await blob.arrayBuffer();
-
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                        sampleRate: CONFIG.sampleRate
-                    });
-
-                    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+                    const audioBuffer = await decodeAudio(blob);
 
                     console.log(`✅ Audio recorded: ${audioBuffer.duration.toFixed(2)}s, ${audioBuffer.sampleRate}Hz`);
                     resolve(audioBuffer);
 
                 } catch (error) {
-                    reject(new Error(`Error decodificando audio: ${error.message}`));
+                    reject(new Error(t('Error decodificando audio: {message}', { message: error.message })));
                 }
             };
 
             mediaRecorder.onerror = (error) => {
                 stream.getTracks().forEach(track => track.stop());
-                reject(new Error(`Error en MediaRecorder: ${error}`));
+                reject(new Error(t('Error en MediaRecorder: {message}', { message: String(error) })));
             };
 
             // Start recording
@@ -88,169 +86,165 @@ export async function recordAudio(durationSeconds = CONFIG.duration) {
 
     } catch (error) {
         if (error.name === 'NotAllowedError') {
-            throw new Error('Permiso de micrófono denegado. Por favor, permite el acceso al micrófono.');
+            throw new Error(t('Permiso de micrófono denegado. Por favor, permite el acceso al micrófono.'));
         } else if (error.name === 'NotFoundError') {
-            throw new Error('No se encontró ningún micrófono. Por favor, conecta un micrófono.');
+            throw new Error(t('No se encontró ningún micrófono. Por favor, conecta un micrófono.'));
         }
-        throw new Error(`Error accediendo al micrófono: ${error.message}`);
+        throw new Error(t('Error accediendo al micrófono: {message}', { message: error.message }));
     }
 }
 
 /**
  * Load audio from file
- * @param {File} file - Audio file
+ * Decodes at the browser's native rate; audioBufferToFloat32 resamples to 16 kHz.
+ * @param {Blob} file - Audio file or recorded blob
  * @returns {Promise<AudioBuffer>}
  */
 export async function loadAudioFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-
-        reader.onload = async (e) => {
-            try {
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                    sampleRate: CONFIG.sampleRate
-                });
-
-                const arrayBuffer = e.target.result;
-                const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-
-                console.log(`✅ Audio file loaded: ${audioBuffer.duration.toFixed(2)}s, ${audioBuffer.sampleRate}Hz`);
-                resolve(audioBuffer);
-
-            } catch (error) {
-                reject(new Error(`Error decodificando archivo de audio: ${error.message}`));
-            }
-        };
-
-        reader.onerror = () => reject(new Error('Error leyendo archivo'));
-        reader.readAsArrayBuffer(file);
-    });
+    try {
+        const audioBuffer = await decodeAudio(file);
+        console.log(`✅ Audio file loaded: ${audioBuffer.duration.toFixed(2)}s, ${audioBuffer.sampleRate}Hz, ${audioBuffer.numberOfChannels}ch`);
+        return audioBuffer;
+    } catch (error) {
+        throw new Error(t('Error decodificando archivo de audio: {message}', { message: error.message }));
+    }
 }
 
 /**
- * Convert AudioBuffer to normalized float32 array
+ * Convert AudioBuffer to mono 16 kHz float32 samples of CONFIG.duration seconds
  * @param {AudioBuffer} audioBuffer
+ * @param {{downmix?: 'average'|'left'|'right'}} [options]
  * @returns {Float32Array}
  */
-export function audioBufferToFloat32(audioBuffer) {
-    // Get mono channel
-    let channelData = audioBuffer.getChannelData(0);
-
-    // Resample if needed (simplified - just truncate or pad)
-    const targetLength = CONFIG.sampleRate * CONFIG.duration;
-    let processedData;
-
-    if (channelData.length > targetLength) {
-        // Truncate to target length
-        processedData = channelData.slice(0, targetLength);
-    } else if (channelData.length < targetLength) {
-        // Pad with zeros
-        processedData = new Float32Array(targetLength);
-        processedData.set(channelData);
-    } else {
-        processedData = channelData;
-    }
+export function audioBufferToFloat32(audioBuffer, options = {}) {
+    const mono = downmix(audioBuffer, options.downmix);
+    const resampled = audioBuffer.sampleRate === CONFIG.sampleRate
+        ? mono
+        : resampleSinc(mono, audioBuffer.sampleRate, CONFIG.sampleRate);
 
-    return processedData;
+    return padOrTrim(resampled, CONFIG.sampleRate * CONFIG.duration);
+}
+
+/**
+ * Compute model-ready feature matrices from mono 16 kHz samples
+ * Language: MFCC + Δ + Δ² → [94, 120]. Spoofing: MFCC → [128, 40].
+ * Both are standardised per coefficient over time, then padded/truncated.
+ * @param {Float32Array} audioData
+ * @returns {{language: Float32Array, spoofing: Float32Array}} Flattened [time * features]
+ */
+export function computeFeatures(audioData) {
+    const options = {
+        sampleRate: CONFIG.sampleRate,
+        fftSize: CONFIG.fftSize,
+        hopLength: CONFIG.hopLength,
+        nMels: CONFIG.nMels,
+        nMfcc: CONFIG.nMfcc
+    };
+
+    const base = mfcc(audioData, options);
+
+    // Language model: [MFCC | Δ | Δ²] per frame
+    const d1 = delta(base, 1);
+    const d2 = delta(base, 2);
+    const stacked = base.map((coeffs, t) => {
+        const row = new Float32Array(CONFIG.nFeatures);
+        row.set(coeffs, 0);
+        row.set(d1[t], CONFIG.nMfcc);
+        row.set(d2[t], CONFIG.nMfcc * 2);
+        return row;
+    });
+    const language = standardize(
+        fitFrames(stacked, CONFIG.languageFrames, CONFIG.nFeatures)
+    );
+
+    // Spoofing model: plain MFCC, zero-padded to maxLength frames
+    const spoofing = fitFrames(
+        standardize(base.map((coeffs) => Float32Array.from(coeffs))),
+        CONFIG.spoofingFrames,
+        CONFIG.nMfcc
+    );
+
+    return {
+        language: flattenFrames(language),
+        spoofing: flattenFrames(spoofing)
+    };
 }
 
 /**
  * Extract MFCC features from audio buffer
- * NOTE: This is a SIMPLIFIED version for browser. In production, use a library like meyda.js
- * or pre-compute features server-side for better accuracy.
- * 
+ * Librosa-compatible pipeline (see ./mfcc.js): STFT → mel → dB → DCT, plus deltas.
+ *
  * @param {AudioBuffer} audioBuffer
- * @returns {Promise<tf.Tensor>} Shape: [1, time_steps, features]
+ * @returns {Promise<tf.Tensor>} Shape: [1, 94, 120]
  */
 export async function extractMFCC(audioBuffer) {
-    return tf.tidy(() => {
-        console.log('🔄 Extracting MFCC features...');
-
-        // Convert to Float32Array
-        const audioData = audioBufferToFloat32(audioBuffer);
-
-        // For now, we'll create a simplified spectrogram-like representation
-        // In production, this should use proper MFCC extraction
-        const numFrames = Math.floor((audioData.length - CONFIG.fftSize) / CONFIG.hopLength) + 1;
-        const features = [];
-
-        for (let i = 0; i < numFrames; i++) {
-            const frameStart = i * CONFIG.hopLength;
-            const frameEnd = Math.min(frameStart + CONFIG.fftSize, audioData.length);
-            const frame = audioData.slice(frameStart, frameEnd);
-
-            // Simplified feature extraction (placeholder)
-            // In production: use FFT, mel filterbank, DCT for real MFCC
-            const frameFeatures = new Float32Array(CONFIG.nFeatures);
-
-            // Compute simple spectral features
-            for (let j = 0; j < CONFIG.nMfcc; j++) {
-                let sum = 0;
-                const binSize = Math.floor(frame.length / CONFIG.nMfcc);
-                const start = j * binSize;
-                const end = Math.min(start + binSize, frame.length);
-
-                for (let k = start; k < end; k++) {
-                    sum += Math.abs(frame[k]);
-                }
-
-                frameFeatures[j] = sum / binSize;
-                frameFeatures[j + CONFIG.nMfcc] = j > 0 ? frameFeatures[j] - frameFeatures[j - 1] : 0; // delta
-                frameFeatures[j + 2 * CONFIG.nMfcc] = j > 0 ? frameFeatures[j + CONFIG.nMfcc] - frameFeatures[j - 1 + CONFIG.nMfcc] : 0; // delta²
-            }
+    console.log('🔄 Extracting MFCC features...');
 
-            features.push(Array.from(frameFeatures));
-        }
-
-        // Model expects exactly 94 frames (matches Python training with 3s @ 16kHz, hop=512)
-        const targetFrames = 94;
-        while (features.length < targetFrames) {
-            features.push(new Array(CONFIG.nFeatures).fill(0));
-        }
-        if (features.length > targetFrames) {
-            features.length = targetFrames;
-        }
+    const audioData = audioBufferToFloat32(audioBuffer);
+    const { language } = computeFeatures(audioData);
+    const tensor = tf.tensor3d(language, [1, CONFIG.languageFrames, CONFIG.nFeatures]);
 
-        // Create tensor [1, time_steps, features]
-        const tensor = tf.tensor3d([features]);
+    console.log(`✅ MFCC extracted: shape ${tensor.shape}`);
+    return tensor;
+}
 
-        // Normalize
-        const mean = tensor.mean([1], true);
-        const std = tf.moments(tensor, [1], true).variance.sqrt();
-        const normalized = tensor.sub(mean).div(std.add(1e-8));
+/**
+ * Extract features for the spoofing detector
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Promise<tf.Tensor>} Shape: [1, 128, 40]
+ */
+export async function extractSpoofingFeatures(audioBuffer) {
+    const audioData = audioBufferToFloat32(audioBuffer);
+    const { spoofing } = computeFeatures(audioData);
+    const tensor = tf.tensor3d(spoofing, [1, CONFIG.spoofingFrames, CONFIG.nMfcc]);
 
-        console.log(`✅ MFCC extracted: shape ${normalized.shape}`);
-        return normalized;
-    });
+    console.log(`✅ Spoofing features extracted: shape ${tensor.shape}`);
+    return tensor;
 }
 
 /**
  * Draw waveform on canvas
- * @param {AudioBuffer} audioBuffer
- * @param {HTMLCanvasElement} canvas
+ * Works with an HTMLCanvasElement or an OffscreenCanvas (inside a worker).
+ * @param {AudioBuffer|Float32Array} audio - Decoded audio or raw mono samples
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{background?: string|null, color?: string}} [options] - background null keeps it transparent
  */
-export function drawWaveform(audioBuffer, canvas) {
+export function drawWaveform(audio, canvas, options = {}) {
+    const { background = '#0a0a0a', color = '#8b5cf6' } = options;
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    const data = audioBuffer.getChannelData(0);
+    const data = audio instanceof Float32Array ? audio : audio.getChannelData(0);
 
     // Clear canvas
-    ctx.fillStyle = '#0a0a0a';
-    ctx.fillRect(0, 0, width, height);
+    ctx.clearRect(0, 0, width, height);
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
 
     // Calculate step size
-    const step = Math.ceil(data.length / width);
+    const step = Math.max(1, Math.ceil(data.length / width));
     const amp = height / 2;
 
     // Draw waveform
-    ctx.strokeStyle = '#8b5cf6'; // Purple
+    ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.beginPath();
 
     for (let i = 0; i < width; i++) {
-        const min = Math.min(...data.slice(i * step, (i + 1) * step));
-        const max = Math.max(...data.slice(i * step, (i + 1) * step));
+        // Plain loop: spreading large slices into Math.min/max overflows the stack
+        const start = i * step;
+        const end = Math.min(start + step, data.length);
+        if (start >= end) break;
+
+        let min = 1;
+        let max = -1;
+        for (let j = start; j < end; j++) {
+            const value = data[j];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
 
         ctx.moveTo(i, (1 + min) * amp);
         ctx.lineTo(i, (1 + max) * amp);
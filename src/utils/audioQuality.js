@@ -0,0 +1,243 @@
+/**
+ * 🩺 Pre-analysis quality gate for EpigrafIA
+ * Flags recordings the models cannot judge reliably (silence, clipping, too little
+ * speech, DC offset, low sample rate, low SNR) and trims leading/trailing silence,
+ * so the UI can warn or block instead of showing a confident-looking verdict.
+ */
+
+import { t } from './i18n.js';
+
+export const QUALITY_THRESHOLDS = {
+    silenceRmsDb: -50, // whole clip quieter than this is treated as silence
+    voicedRmsDb: -35, // frames louder than this (with speech-like ZCR) are always voiced
+    clippingLevel: 0.999, // |sample| at or above this counts as clipped
+    clippingWarnRatio: 0.001,
+    clippingBlockRatio: 0.02,
+    minVoicedSeconds: 0.5,
+    voicedWarnRatio: 0.3,
+    dcOffsetWarn: 0.05,
+    minSampleRate: 8000, // below this there is nothing usable above 4 kHz
+    recommendedSampleRate: 16000,
+    lowSnrDb: 10,
+    frameMs: 30,
+    trimPaddingMs: 150
+};
+
+/**
+ * Short names for issue codes, for tables and badges where the full message does not fit
+ */
+export const QUALITY_ISSUE_LABELS = {
+    silence: 'Silencio',
+    clipping: 'Saturación',
+    no_speech: 'Sin voz',
+    little_speech: 'Poca voz',
+    dc_offset: 'Offset DC',
+    sample_rate: 'Baja frecuencia',
+    sample_rate_unknown: 'Frecuencia desconocida',
+    low_snr: 'Ruido'
+};
+
+/**
+ * Thrown when a clip fails the quality gate; carries the full assessment
+ */
+export class QualityGateError extends Error {
+    /**
+     * @param {ReturnType<typeof assessQuality>} quality
+     */
+    constructor(quality) {
+        super(quality.issues.find((issue) => issue.severity === 'error')?.message ?? t('Audio no apto para el análisis'));
+        this.name = 'QualityGateError';
+        this.quality = quality;
+    }
+}
+
+/**
+ * Energy / zero-crossing voice activity detection
+ * A frame is voiced when its energy is well above the estimated noise floor and
+ * its zero-crossing rate is speech-like (fricatives are allowed when loud).
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {{frameMs?: number}} [options]
+ * @returns {{frameLength: number, voiced: boolean[], energyDb: Float32Array, noiseFloorDb: number, speechDb: number}}
+ */
+export function detectVoiceActivity(samples, sampleRate, options = {}) {
+    const frameMs = options.frameMs ?? QUALITY_THRESHOLDS.frameMs;
+    const frameLength = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+    const numFrames = Math.floor(samples.length / frameLength);
+
+    const energyDb = new Float32Array(numFrames);
+    const zcr = new Float32Array(numFrames);
+
+    // Measure around the mean so a DC offset does not hide zero crossings
+    let mean = 0;
+    for (let i = 0; i < samples.length; i++) mean += samples[i];
+    mean /= Math.max(1, samples.length);
+
+    for (let f = 0; f < numFrames; f++) {
+        const start = f * frameLength;
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = start; i < start + frameLength; i++) {
+            const value = samples[i] - mean;
+            sumSquares += value * value;
+            if (i > start && (value >= 0) !== (samples[i - 1] - mean >= 0)) crossings++;
+        }
+        energyDb[f] = 10 * Math.log10(sumSquares / frameLength + 1e-12);
+        zcr[f] = crossings / frameLength;
+    }
+
+    // Noise floor: 10th percentile of frame energies
+    const sorted = Float32Array.from(energyDb).sort();
+    const noiseFloorDb = sorted.length ? sorted[Math.floor(sorted.length * 0.1)] : -120;
+    // Relative to the floor, but loud frames count even when the clip never pauses
+    const energyThreshold = Math.min(
+        Math.max(noiseFloorDb + 10, QUALITY_THRESHOLDS.silenceRmsDb),
+        QUALITY_THRESHOLDS.voicedRmsDb
+    );
+
+    const voiced = Array.from(energyDb, (db, f) =>
+        db > energyThreshold && (zcr[f] < 0.25 || db > noiseFloorDb + 20)
+    );
+
+    // Average energy of the voiced frames (for the SNR estimate)
+    let speechPower = 0;
+    let voicedCount = 0;
+    voiced.forEach((isVoiced, f) => {
+        if (isVoiced) {
+            speechPower += 10 ** (energyDb[f] / 10);
+            voicedCount++;
+        }
+    });
+    const speechDb = voicedCount ? 10 * Math.log10(speechPower / voicedCount) : noiseFloorDb;
+
+    return { frameLength, voiced, energyDb, noiseFloorDb, speechDb };
+}
+
+/**
+ * Trim leading and trailing silence, keeping a little padding around speech
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {ReturnType<typeof detectVoiceActivity>} [vad]
+ * @returns {{samples: Float32Array, start: number, end: number}} start/end in seconds
+ */
+export function trimSilence(samples, sampleRate, vad = detectVoiceActivity(samples, sampleRate)) {
+    const first = vad.voiced.indexOf(true);
+    const last = vad.voiced.lastIndexOf(true);
+    if (first === -1) {
+        return { samples, start: 0, end: samples.length / sampleRate };
+    }
+
+    const padding = Math.round((QUALITY_THRESHOLDS.trimPaddingMs / 1000) * sampleRate);
+    const start = Math.max(0, first * vad.frameLength - padding);
+    const end = Math.min(samples.length, (last + 1) * vad.frameLength + padding);
+
+    return {
+        samples: samples.subarray(start, end),
+        start: start / sampleRate,
+        end: end / sampleRate
+    };
+}
+
+/**
+ * Measure a clip and list its quality problems
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Rate of `samples`
+ * @param {{originalSampleRate?: number|null}} [options] - Rate the audio was captured at; null or
+ *        absent when the file header does not say, which is reported rather than skipped
+ * @returns {{
+ *   metrics: {duration: number, sampleRate: number, originalSampleRate: number|null, rmsDb: number, peak: number,
+ *             clippingRatio: number, dcOffset: number, voicedSeconds: number, voicedRatio: number, snrDb: number},
+ *   issues: {code: string, severity: 'warning'|'error', message: string}[],
+ *   blocked: boolean,
+ *   trimmed: {samples: Float32Array, start: number, end: number}
+ * }}
+ */
+export function assessQuality(samples, sampleRate, options = {}) {
+    const limits = QUALITY_THRESHOLDS;
+    const originalSampleRate = options.originalSampleRate ?? null;
+    const issues = [];
+    const add = (code, severity, message) => issues.push({ code, severity, message });
+
+    let sum = 0;
+    let sumSquares = 0;
+    let peak = 0;
+    let clipped = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = samples[i];
+        const abs = Math.abs(value);
+        sum += value;
+        sumSquares += value * value;
+        if (abs > peak) peak = abs;
+        if (abs >= limits.clippingLevel) clipped++;
+    }
+
+    const length = Math.max(1, samples.length);
+    const duration = samples.length / sampleRate;
+    const dcOffset = sum / length;
+    const rmsDb = 10 * Math.log10(sumSquares / length + 1e-12);
+    const clippingRatio = clipped / length;
+
+    const vad = detectVoiceActivity(samples, sampleRate);
+    const voicedFrames = vad.voiced.filter(Boolean).length;
+    const voicedSeconds = (voicedFrames * vad.frameLength) / sampleRate;
+    const voicedRatio = vad.voiced.length ? voicedFrames / vad.voiced.length : 0;
+    const snrDb = vad.speechDb - vad.noiseFloorDb;
+
+    // ----- Checks -----
+    const silent = rmsDb < limits.silenceRmsDb || peak < 1e-3;
+    if (silent) {
+        add('silence', 'error', t('El audio está prácticamente en silencio. Comprueba el micrófono o el archivo.'));
+    }
+
+    if (clippingRatio >= limits.clippingBlockRatio) {
+        add('clipping', 'error', t('El audio está saturado ({ratio}% de muestras recortadas). Baja la ganancia y vuelve a grabar.', { ratio: (clippingRatio * 100).toFixed(1) }));
+    } else if (clippingRatio >= limits.clippingWarnRatio) {
+        add('clipping', 'warning', t('Hay saturación en el audio ({ratio}% de muestras recortadas).', { ratio: (clippingRatio * 100).toFixed(2) }));
+    }
+
+    if (!silent && voicedSeconds < limits.minVoicedSeconds) {
+        add('no_speech', 'error', t('Apenas se detecta voz ({seconds} s). Habla más cerca del micrófono.', { seconds: voicedSeconds.toFixed(1) }));
+    } else if (!silent && voicedRatio < limits.voicedWarnRatio) {
+        add('little_speech', 'warning', t('Solo el {ratio}% del audio contiene voz.', { ratio: (voicedRatio * 100).toFixed(0) }));
+    }
+
+    if (Math.abs(dcOffset) >= limits.dcOffsetWarn) {
+        add('dc_offset', 'warning', t('El audio tiene un desplazamiento DC de {offset}; el micrófono podría estar mal calibrado.', { offset: dcOffset.toFixed(3) }));
+    }
+
+    if (originalSampleRate === null) {
+        add('sample_rate_unknown', 'warning', t('No se pudo leer la frecuencia de muestreo original del archivo; no se ha comprobado.'));
+    } else {
+        if (originalSampleRate < limits.minSampleRate) {
+            add('sample_rate', 'error', t('Frecuencia de muestreo demasiado baja ({rate} Hz).', { rate: originalSampleRate }));
+        } else if (originalSampleRate < limits.recommendedSampleRate) {
+            add('sample_rate', 'warning', t('Frecuencia de muestreo baja ({rate} Hz); se recomiendan {recommended} Hz o más.', {
+                rate: originalSampleRate,
+                recommended: limits.recommendedSampleRate
+            }));
+        }
+    }
+
+    // The floor can only be estimated when the clip has some pauses
+    if (!silent && voicedFrames > 0 && voicedRatio < 0.9 && snrDb < limits.lowSnrDb) {
+        add('low_snr', 'warning', t('Mucho ruido de fondo (SNR ≈ {snr} dB).', { snr: snrDb.toFixed(0) }));
+    }
+
+    return {
+        metrics: {
+            duration,
+            sampleRate,
+            originalSampleRate,
+            rmsDb,
+            peak,
+            clippingRatio,
+            dcOffset,
+            voicedSeconds,
+            voicedRatio,
+            snrDb
+        },
+        issues,
+        blocked: issues.some((issue) => issue.severity === 'error'),
+        trimmed: trimSilence(samples, sampleRate, vad)
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * 🎲 Test-time augmentation for EpigrafIA
+ * Variants of one model window for the robust mode of local inference: the window
+ * itself, crops shifted in time and light white noise. Each variant changes one
+ * thing, so their number grows linearly with the settings. The noise is seeded: the
+ * same clip always gets the same variants. There are no gain variants: the features
+ * are standardised per coefficient (computeFeatures), so a constant gain cancels out
+ * and would only add copies of the original that shrink the spread.
+ */
+
+/**
+ * @typedef {Object} RobustSettings
+ * @property {number[]} shiftSeconds - Offsets of the shifted crops (negative = earlier)
+ * @property {number[]} noiseSnrDb - Signal-to-noise ratio of each noisy variant
+ * @property {string[]|null} spoofingVersions - Spoofing model versions to ensemble (null = every one the manifest lists)
+ */
+
+/** @type {RobustSettings} */
+export const ROBUST_DEFAULTS = {
+    shiftSeconds: [-0.2, -0.1, 0.1, 0.2],
+    noiseSnrDb: [30, 20],
+    spoofingVersions: null
+};
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} name - e.g. "shift +0.1 s", "noise 30 dB"
+ * @property {Float32Array} samples
+ */
+
+/**
+ * `length` samples of `source` from `start`, zero outside it
+ * @param {Float32Array} source
+ * @param {number} start - May be negative
+ * @param {number} length
+ */
+function crop(source, start, length) {
+    const out = new Float32Array(length);
+    const from = Math.max(0, start);
+    const to = Math.min(source.length, start + length);
+    if (to > from) out.set(source.subarray(from, to), from - start);
+    return out;
+}
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ * @param {number} seed
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {Float32Array} samples
+ * @param {number} snrDb
+ * @param {number} seed
+ * @returns {Float32Array|null} null for silence (no level to set the noise against)
+ */
+function withNoise(samples, snrDb, seed) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const rms = Math.sqrt(sum / Math.max(1, samples.length));
+    if (rms === 0) return null;
+
+    const sigma = rms / 10 ** (snrDb / 20);
+    const random = seededRandom(seed);
+    const out = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        // Box-Muller
+        const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        out[i] = samples[i] + sigma * gaussian;
+    }
+    return out;
+}
+
+/**
+ * Variants of the window of `source` that starts at `start`
+ * Shifted crops take their samples from the source around the window, so a window in
+ * the middle of a long recording is shifted over real audio, not over padding.
+ * @param {Float32Array} source - Mono samples
+ * @param {number} start - First sample of the window
+ * @param {number} length - Window length in samples
+ * @param {number} sampleRate
+ * @param {Partial<RobustSettings>} [settings]
+ * @returns {Variant[]} The unchanged window first
+ */
+export function createVariants(source, start, length, sampleRate, settings = {}) {
+    const { shiftSeconds, noiseSnrDb } = { ...ROBUST_DEFAULTS, ...settings };
+    const window = crop(source, start, length);
+    const variants = [{ name: 'original', samples: window }];
+
+    for (const shift of shiftSeconds) {
+        const offset = Math.round(shift * sampleRate);
+        if (offset === 0) continue;
+        variants.push({
+            name: `shift ${shift > 0 ? '+' : ''}${shift} s`,
+            samples: crop(source, start + offset, length)
+        });
+    }
+
+    noiseSnrDb.forEach((snr, i) => {
+        const samples = withNoise(window, snr, i + 1);
+        if (samples) variants.push({ name: `noise ${snr} dB`, samples });
+    });
+
+    return variants;
+}
+
+/**
+ * Population standard deviation, the spread reported as uncertainty
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function spread(values) {
+    if (values.length === 0) return 0;
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
@@ -0,0 +1,200 @@
+/**
+ * 📚 Processing queue for batch analysis
+ * Runs an async task over many items with bounded concurrency. The queue can be
+ * paused (running items finish, no new ones start), resumed and cancelled.
+ * UI-agnostic: the page renders from `onChange`.
+ */
+
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 8;
+
+/**
+ * @typedef {'pending'|'running'|'done'|'error'|'cancelled'} QueueItemStatus
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {number} id
+ * @property {any} input
+ * @property {QueueItemStatus} status
+ * @property {string} detail - Latest progress text from the task
+ * @property {any} result
+ * @property {Error|null} error
+ */
+
+/**
+ * Create a queue
+ * @param {{task: (input: any, context: {id: number, signal: AbortSignal, onStatus: (text: string) => void}) => Promise<any>,
+ *          concurrency?: number,
+ *          onChange?: (item: QueueItem|null) => void}} options
+ *   `onChange` receives the item that changed, or null for queue-wide changes (pause, concurrency)
+ */
+export function createBatchQueue({ task, concurrency = DEFAULT_CONCURRENCY, onChange = () => {} }) {
+    /** @type {QueueItem[]} */
+    const items = [];
+    const running = new Map(); // item id → AbortController
+    let nextId = 1;
+    let paused = false;
+    let limit = clampConcurrency(concurrency);
+    let idleWaiters = [];
+
+    function clampConcurrency(value) {
+        return Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(value) || 1));
+    }
+
+    function isIdle() {
+        return running.size === 0 && (paused || !items.some((item) => item.status === 'pending'));
+    }
+
+    function pump() {
+        while (!paused && running.size < limit) {
+            const next = items.find((item) => item.status === 'pending');
+            if (!next) break;
+            run(next);
+        }
+        if (isIdle()) {
+            idleWaiters.forEach((resolve) => resolve());
+            idleWaiters = [];
+        }
+    }
+
+    async function run(item) {
+        const controller = new AbortController();
+        running.set(item.id, controller);
+        item.status = 'running';
+        item.detail = '';
+        onChange(item);
+
+        try {
+            item.result = await task(item.input, {
+                id: item.id,
+                signal: controller.signal,
+                onStatus: (text) => {
+                    item.detail = text;
+                    onChange(item);
+                }
+            });
+            item.status = 'done';
+        } catch (error) {
+            if (controller.signal.aborted) {
+                item.status = 'cancelled';
+            } else {
+                item.status = 'error';
+                item.error = error instanceof Error ? error : new Error(String(error));
+            }
+        } finally {
+            running.delete(item.id);
+            item.detail = '';
+            onChange(item);
+            pump();
+        }
+    }
+
+    return {
+        /**
+         * Queue more inputs; they start as soon as there is a free slot
+         * @param {any[]} inputs
+         * @returns {QueueItem[]}
+         */
+        add(inputs) {
+            const added = inputs.map((input) => ({
+                id: nextId++,
+                input,
+                status: /** @type {QueueItemStatus} */ ('pending'),
+                detail: '',
+                result: null,
+                error: null
+            }));
+            items.push(...added);
+            added.forEach((item) => onChange(item));
+            pump();
+            return added;
+        },
+
+        /** Let running items finish but start no new ones */
+        pause() {
+            paused = true;
+            onChange(null);
+            pump();
+        },
+
+        resume() {
+            paused = false;
+            onChange(null);
+            pump();
+        },
+
+        /**
+         * Cancel one item, or every pending and running item
+         * @param {number} [id]
+         */
+        cancel(id) {
+            const targets = id === undefined ? items : items.filter((item) => item.id === id);
+            for (const item of targets) {
+                if (item.status === 'pending') {
+                    item.status = 'cancelled';
+                    onChange(item);
+                } else if (item.status === 'running') {
+                    running.get(item.id)?.abort();
+                }
+            }
+            pump();
+        },
+
+        /**
+         * Re-queue failed and cancelled items
+         */
+        retry() {
+            for (const item of items) {
+                if (item.status === 'error' || item.status === 'cancelled') {
+                    item.status = 'pending';
+                    item.error = null;
+                    onChange(item);
+                }
+            }
+            pump();
+        },
+
+        /**
+         * Drop every item that is not pending or running
+         */
+        clearFinished() {
+            for (let i = items.length - 1; i >= 0; i--) {
+                if (items[i].status !== 'pending' && items[i].status !== 'running') items.splice(i, 1);
+            }
+            onChange(null);
+        },
+
+        /**
+         * @param {number} value - Parallel tasks (1–MAX_CONCURRENCY)
+         */
+        setConcurrency(value) {
+            limit = clampConcurrency(value);
+            onChange(null);
+            pump();
+        },
+
+        /** @returns {QueueItem[]} */
+        getItems() {
+            return items;
+        },
+
+        /**
+         * @returns {{total: number, pending: number, running: number, done: number, error: number, cancelled: number, paused: boolean, concurrency: number}}
+         */
+        getStats() {
+            const stats = { total: items.length, pending: 0, running: 0, done: 0, error: 0, cancelled: 0, paused, concurrency: limit };
+            for (const item of items) stats[item.status]++;
+            return stats;
+        },
+
+        /**
+         * Resolves once nothing is running and nothing more will start
+         * @returns {Promise<void>}
+         */
+        whenIdle() {
+            if (isIdle()) return Promise.resolve();
+            return new Promise((resolve) => idleWaiters.push(resolve));
+        }
+    };
+}
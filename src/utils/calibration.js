@@ -0,0 +1,126 @@
+/**
+ * 📐 Threshold calibration for EpigrafIA
+ * ROC curve, AUC and equal error rate from spoof probabilities of clips whose truth
+ * is known, so the decision threshold can be fitted to the user's own audio.
+ * Label convention: 1 = spoof (positive class), 0 = human.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * @typedef {Object} LabelledScore
+ * @property {number} score - Spoof probability
+ * @property {0|1} label - 1 spoof, 0 human
+ */
+
+/**
+ * @typedef {Object} RocPoint
+ * @property {number} threshold - Scores >= threshold are called spoof
+ * @property {number} fpr - Human clips called spoof
+ * @property {number} tpr - Spoof clips caught
+ */
+
+/**
+ * ROC curve, from the strictest threshold (nothing flagged) to the loosest (all flagged)
+ * @param {LabelledScore[]} scores
+ * @returns {RocPoint[]}
+ */
+export function rocCurve(scores) {
+    const positives = scores.filter((s) => s.label === 1).length;
+    const negatives = scores.length - positives;
+    if (positives === 0 || negatives === 0) {
+        throw new Error(t('Hacen falta clips humanos y clips sintéticos para calibrar'));
+    }
+
+    const sorted = [...scores].sort((a, b) => b.score - a.score);
+    /** @type {RocPoint[]} */
+    const points = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+    let truePositives = 0;
+    let falsePositives = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        if (sorted[i].label === 1) truePositives++;
+        else falsePositives++;
+        // Tied scores move together: one point per distinct score
+        if (i + 1 < sorted.length && sorted[i + 1].score === sorted[i].score) continue;
+        points.push({
+            threshold: sorted[i].score,
+            fpr: falsePositives / negatives,
+            tpr: truePositives / positives
+        });
+    }
+    return points;
+}
+
+/**
+ * Area under the ROC curve (trapezoidal)
+ * @param {RocPoint[]} points - From rocCurve
+ * @returns {number}
+ */
+export function rocAuc(points) {
+    let area = 0;
+    for (let i = 1; i < points.length; i++) {
+        area += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+    }
+    return area;
+}
+
+/**
+ * Equal error rate: where false acceptances (spoof called human) equal false rejections
+ * (human called spoof), interpolated between the two ROC points that bracket it
+ * @param {RocPoint[]} points - From rocCurve
+ * @returns {{eer: number, threshold: number}}
+ */
+export function equalErrorRate(points) {
+    for (let i = 1; i < points.length; i++) {
+        const missed = 1 - points[i].tpr;
+        if (points[i].fpr < missed) continue;
+
+        const previous = points[i - 1];
+        const before = (1 - previous.tpr) - previous.fpr;
+        const after = missed - points[i].fpr;
+        const t = before - after > 0 ? before / (before - after) : 0;
+        const eer = previous.fpr + t * (points[i].fpr - previous.fpr);
+        // The first point has no finite threshold: use the score it steps to
+        const threshold = Number.isFinite(previous.threshold)
+            ? previous.threshold + t * (points[i].threshold - previous.threshold)
+            : points[i].threshold;
+        return { eer, threshold };
+    }
+    return { eer: 0, threshold: points[points.length - 1].threshold };
+}
+
+/**
+ * Confusion counts of a threshold
+ * @param {LabelledScore[]} scores
+ * @param {number} threshold
+ * @returns {{truePositives: number, falsePositives: number, trueNegatives: number, falseNegatives: number}}
+ */
+export function confusionAt(scores, threshold) {
+    const counts = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+    for (const { score, label } of scores) {
+        const flagged = score >= threshold;
+        if (label === 1) counts[flagged ? 'truePositives' : 'falseNegatives']++;
+        else counts[flagged ? 'falsePositives' : 'trueNegatives']++;
+    }
+    return counts;
+}
+
+/**
+ * Everything the calibration view shows; the suggested operating point is the EER threshold
+ * @param {LabelledScore[]} scores
+ */
+export function calibrate(scores) {
+    const points = rocCurve(scores);
+    const { eer, threshold } = equalErrorRate(points);
+    // Keep the suggestion a usable threshold strictly inside (0, 1)
+    const suggested = Math.min(0.99, Math.max(0.01, threshold));
+    return {
+        points,
+        auc: rocAuc(points),
+        eer,
+        threshold: suggested,
+        confusion: confusionAt(scores, suggested),
+        human: scores.filter((s) => s.label === 0).length,
+        spoof: scores.filter((s) => s.label === 1).length
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * ⚖️ Spoofing decision settings for EpigrafIA
+ * The user's threshold and risk bands, saved in localStorage. Every verdict on screen
+ * and in exports goes through applyDecision(), so stored results are re-decided from
+ * their spoof probability with the current threshold instead of the one they were
+ * analysed with.
+ */
+import { t } from './i18n.js';
+
+export const DECISION_STORAGE_KEY = 'epigrafia.decision';
+
+// Fired on window with the new settings as `detail`
+export const DECISION_CHANGED_EVENT = 'epigrafia:decision-changed';
+
+/**
+ * Colour bands of the spoof probability (green below `low`, red from `high`)
+ */
+export const DEFAULT_RISK_BANDS = { low: 0.3, high: 0.7 };
+
+/**
+ * @typedef {Object} CalibrationSummary
+ * @property {number} human - Labelled human clips used
+ * @property {number} spoof - Labelled spoof clips used
+ * @property {number} auc
+ * @property {number} eer
+ * @property {number} eerThreshold
+ * @property {string} modelVersion - Spoofing model the scores came from
+ * @property {string} date - ISO date
+ */
+
+/**
+ * @typedef {Object} DecisionSettings
+ * @property {number|null} threshold - null uses the spoofing model's own threshold
+ * @property {'model'|'user'|'calibration'} source
+ * @property {{low: number, high: number}} bands
+ * @property {CalibrationSummary|null} calibration - Last calibration, if the threshold came from one
+ */
+
+/** @type {DecisionSettings} */
+const DEFAULT_SETTINGS = {
+    threshold: null,
+    source: 'model',
+    bands: { ...DEFAULT_RISK_BANDS },
+    calibration: null
+};
+
+/**
+ * @param {number} value
+ */
+function isProbability(value) {
+    return typeof value === 'number' && value > 0 && value < 1;
+}
+
+/**
+ * Current settings (defaults when nothing valid is stored)
+ * @returns {DecisionSettings}
+ */
+export function getDecisionSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(DECISION_STORAGE_KEY) || '{}');
+    } catch {
+        // Storage disabled or corrupted: defaults
+    }
+
+    const bands = stored.bands && isProbability(stored.bands.low) && isProbability(stored.bands.high) &&
+        stored.bands.low < stored.bands.high
+        ? { low: stored.bands.low, high: stored.bands.high }
+        : { ...DEFAULT_RISK_BANDS };
+    const threshold = isProbability(stored.threshold) ? stored.threshold : null;
+
+    return {
+        threshold,
+        source: threshold === null ? 'model' : (stored.source === 'calibration' ? 'calibration' : 'user'),
+        bands,
+        calibration: threshold !== null ? stored.calibration ?? null : null
+    };
+}
+
+/**
+ * Save the settings and tell every open view to re-decide
+ * @param {Partial<DecisionSettings>} changes
+ * @returns {DecisionSettings}
+ */
+export function saveDecisionSettings(changes) {
+    const settings = { ...getDecisionSettings(), ...changes };
+    if (settings.threshold !== null && !isProbability(settings.threshold)) {
+        throw new Error(t('El umbral debe estar entre 0 y 1'));
+    }
+    if (!(settings.bands.low < settings.bands.high)) {
+        throw new Error(t('La banda baja debe ser menor que la alta'));
+    }
+
+    try {
+        localStorage.setItem(DECISION_STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // Storage disabled: the settings only last for this page load
+    }
+    const saved = { ...DEFAULT_SETTINGS, ...settings };
+    window.dispatchEvent(new CustomEvent(DECISION_CHANGED_EVENT, { detail: saved }));
+    return saved;
+}
+
+/**
+ * Back to the model's threshold and the default bands
+ * @returns {DecisionSettings}
+ */
+export function resetDecisionSettings() {
+    return saveDecisionSettings({ ...DEFAULT_SETTINGS, bands: { ...DEFAULT_RISK_BANDS } });
+}
+
+/**
+ * Risk band of a spoof probability
+ * @param {number} probability
+ * @param {{low: number, high: number}} [bands]
+ * @returns {'low'|'medium'|'high'}
+ */
+export function riskBand(probability, bands = getDecisionSettings().bands) {
+    if (probability < bands.low) return 'low';
+    if (probability < bands.high) return 'medium';
+    return 'high';
+}
+
+/**
+ * Re-decide a result (backend, local or stored) with the current threshold
+ * `spoofing.threshold` becomes the threshold applied, `spoofing.model_threshold` keeps the
+ * model's own and `spoofing.threshold_source` says where the applied one came from.
+ * Segment `suspicious` flags follow the threshold too; with majority aggregation the
+ * spoof probability is the share of suspicious windows, so it is recomputed as well.
+ * Safe to apply more than once.
+ * @param {any} result - /api/analyze shape
+ * @param {DecisionSettings} [settings]
+ * @returns {any} A new result (the input is not modified)
+ */
+export function applyDecision(result, settings = getDecisionSettings()) {
+    if (!result?.spoofing) return result;
+
+    const spoofing = result.spoofing;
+    const modelThreshold = spoofing.model_threshold ?? spoofing.threshold ?? 0.5;
+    const threshold = settings.threshold ?? modelThreshold;
+
+    const segments = Array.isArray(result.segments)
+        ? result.segments.map((segment) => ({
+            ...segment,
+            suspicious: segment.spoof_probability !== null && segment.spoof_probability >= threshold
+        }))
+        : result.segments;
+
+    let probability = spoofing.spoof_probability;
+    let isGenuine = probability < threshold;
+    const scored = result.aggregation === 'majority' && Array.isArray(segments)
+        ? segments.filter((segment) => segment.spoof_probability !== null)
+        : [];
+    if (scored.length > 0) {
+        probability = scored.filter((segment) => segment.suspicious).length / scored.length;
+        isGenuine = probability <= 0.5;
+    }
+
+    return {
+        ...result,
+        segments,
+        spoofing: {
+            ...spoofing,
+            spoof_probability: probability,
+            is_genuine: isGenuine,
+            label: isGenuine ? 'human' : 'spoof',
+            threshold,
+            model_threshold: modelThreshold,
+            threshold_source: settings.threshold === null ? 'model' : settings.source
+        }
+    };
+}
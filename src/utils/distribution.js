@@ -0,0 +1,41 @@
+/**
+ * 📊 Class probability helpers for EpigrafIA result cards
+ */
+
+/**
+ * Top-two gap below which a prediction is shown as uncertain
+ */
+export const UNCERTAINTY_MARGIN = 0.1;
+
+/**
+ * Pair probabilities with labels, most likely first
+ * @param {number[]} probabilities
+ * @param {string[]} labels
+ * @returns {{index: number, label: string, probability: number}[]}
+ */
+export function rankClasses(probabilities, labels) {
+    return probabilities
+        .map((probability, index) => ({ index, label: labels[index] ?? `Clase ${index}`, probability }))
+        .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Whether the two most likely classes are too close to call
+ * @param {number[]} probabilities
+ * @param {number} [margin=UNCERTAINTY_MARGIN]
+ * @returns {boolean}
+ */
+export function isUncertain(probabilities, margin = UNCERTAINTY_MARGIN) {
+    if (probabilities.length < 2) return false;
+    const [first, second] = [...probabilities].sort((a, b) => b - a);
+    return first - second < margin;
+}
+
+/**
+ * Human/spoof distribution from a spoofing result
+ * @param {{spoof_probability: number}} spoofing
+ * @returns {number[]} [P(human), P(spoof)]
+ */
+export function spoofingProbabilities(spoofing) {
+    return [1 - spoofing.spoof_probability, spoofing.spoof_probability];
+}
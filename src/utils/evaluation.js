@@ -0,0 +1,240 @@
+/**
+ * 📊 Local evaluation for EpigrafIA
+ * Ground truth for a folder of clips (from folder names or a CSV manifest) and the
+ * metrics of the local models on it: accuracy, per-class precision/recall, confusion
+ * matrices and, for spoofing, ROC AUC and EER. No TF.js here; the evaluation page
+ * runs the models through the analysis worker and hands the predictions in.
+ */
+import { rocCurve, rocAuc, equalErrorRate, confusionAt } from './calibration.js';
+import { t } from './i18n.js';
+
+/**
+ * @typedef {Object} GroundTruth
+ * @property {string|null} language - Canonical language key (see LANGUAGE_ALIASES), null if unknown
+ * @property {'human'|'spoof'|null} spoofing
+ */
+
+/**
+ * Folder or manifest names accepted for each language, keyed by the canonical key
+ * (the label files' names without accents, lower case)
+ */
+export const LANGUAGE_ALIASES = {
+    espanol: ['es', 'spa', 'spanish', 'castellano', 'espanol'],
+    ingles: ['en', 'eng', 'english', 'ingles'],
+    frances: ['fr', 'fra', 'fre', 'french', 'frances'],
+    aleman: ['de', 'deu', 'ger', 'german', 'deutsch', 'aleman']
+};
+
+/**
+ * Folder or manifest names accepted for the spoofing classes
+ */
+export const SPOOFING_ALIASES = {
+    human: ['human', 'humano', 'humana', 'bonafide', 'bona-fide', 'bona_fide', 'genuine', 'real', 'genuino'],
+    spoof: ['spoof', 'spoofed', 'fake', 'deepfake', 'synthetic', 'sintetico', 'sintetica', 'artificial', 'tts', 'ia', 'ai']
+};
+
+/**
+ * Lower case without accents or surrounding spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeLabel(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * @param {string} name
+ * @param {Record<string, string[]>} aliases
+ * @returns {string|null}
+ */
+function matchAlias(name, aliases) {
+    const normalized = normalizeLabel(name);
+    for (const [key, names] of Object.entries(aliases)) {
+        if (key === normalized || names.includes(normalized)) return key;
+    }
+    return null;
+}
+
+/**
+ * Canonical language key of a model label or a folder name ("Español", "es" → "espanol")
+ * @param {string} name
+ * @returns {string}
+ */
+export function languageKey(name) {
+    return matchAlias(name, LANGUAGE_ALIASES) ?? normalizeLabel(name);
+}
+
+/**
+ * Ground truth from the folders a clip sits in, e.g. "dataset/es/spoof/clip.wav"
+ * The deepest matching folder wins for each task.
+ * @param {string} path - Relative path of the clip
+ * @returns {GroundTruth}
+ */
+export function truthFromPath(path) {
+    const folders = path.split('/').slice(0, -1).reverse();
+    let language = null;
+    let spoofing = null;
+    for (const folder of folders) {
+        language ??= matchAlias(folder, LANGUAGE_ALIASES);
+        spoofing ??= /** @type {'human'|'spoof'|null} */ (matchAlias(folder, SPOOFING_ALIASES));
+    }
+    return { language, spoofing };
+}
+
+/**
+ * Split CSV text into rows (quoted fields may hold commas, quotes and newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some((cell) => cell.trim())) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.some((cell) => cell.trim())) rows.push(row);
+    return rows;
+}
+
+const MANIFEST_COLUMNS = {
+    file: ['file', 'path', 'filename', 'file_name', 'archivo', 'fichero', 'ruta'],
+    language: ['language', 'idioma', 'lang'],
+    spoofing: ['spoofing', 'label', 'etiqueta', 'clase', 'class', 'origin', 'origen']
+};
+
+/**
+ * Ground truth from a CSV manifest with a header row
+ * Recognised columns: file/path, language/idioma, spoofing/label (comma or semicolon separated).
+ * @param {string} text
+ * @returns {Map<string, GroundTruth>} Keyed by the path as written, normalised to forward slashes
+ */
+export function parseManifestCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header) throw new Error(t('El manifiesto CSV está vacío'));
+
+    const columns = header.map(normalizeLabel);
+    const find = (names) => columns.findIndex((column) => names.includes(column));
+    const fileColumn = find(MANIFEST_COLUMNS.file);
+    const languageColumn = find(MANIFEST_COLUMNS.language);
+    const spoofingColumn = find(MANIFEST_COLUMNS.spoofing);
+    if (fileColumn < 0) throw new Error(t('El manifiesto CSV necesita una columna "file" o "path"'));
+    if (languageColumn < 0 && spoofingColumn < 0) {
+        throw new Error(t('El manifiesto CSV necesita una columna "language" o "spoofing"'));
+    }
+
+    const truths = new Map();
+    for (const row of rows) {
+        const file = row[fileColumn]?.trim().replace(/\\/g, '/');
+        if (!file) continue;
+        truths.set(file, {
+            language: languageColumn >= 0 ? matchAlias(row[languageColumn] ?? '', LANGUAGE_ALIASES) : null,
+            spoofing: spoofingColumn >= 0
+                ? /** @type {'human'|'spoof'|null} */ (matchAlias(row[spoofingColumn] ?? '', SPOOFING_ALIASES))
+                : null
+        });
+    }
+    return truths;
+}
+
+/**
+ * Manifest entry for a clip: exact relative path, else a manifest path the clip's path
+ * ends with (the manifest may be written from inside the chosen folder), else the file name
+ * @param {Map<string, GroundTruth>} manifest
+ * @param {string} path
+ * @returns {GroundTruth|null}
+ */
+export function lookupManifest(manifest, path) {
+    if (manifest.has(path)) return manifest.get(path);
+    for (const [file, truth] of manifest) {
+        if (path.endsWith(`/${file}`)) return truth;
+    }
+    const name = path.split('/').pop();
+    return manifest.get(name) ?? null;
+}
+
+/**
+ * Confusion matrix and per-class metrics of a classification task
+ * @param {{truth: number, prediction: number}[]} pairs - Class indices
+ * @param {string[]} classes
+ * @returns {{
+ *   classes: string[],
+ *   matrix: number[][],
+ *   total: number,
+ *   accuracy: number,
+ *   perClass: {label: string, precision: number|null, recall: number|null, support: number}[]
+ * }} matrix[truth][prediction]; precision/recall are null when undefined (no predictions/clips)
+ */
+export function classificationMetrics(pairs, classes) {
+    const matrix = classes.map(() => classes.map(() => 0));
+    let correct = 0;
+    for (const { truth, prediction } of pairs) {
+        matrix[truth][prediction]++;
+        if (truth === prediction) correct++;
+    }
+
+    const perClass = classes.map((label, k) => {
+        const truePositives = matrix[k][k];
+        const predicted = matrix.reduce((sum, row) => sum + row[k], 0);
+        const support = matrix[k].reduce((sum, count) => sum + count, 0);
+        return {
+            label,
+            precision: predicted ? truePositives / predicted : null,
+            recall: support ? truePositives / support : null,
+            support
+        };
+    });
+
+    return {
+        classes,
+        matrix,
+        total: pairs.length,
+        accuracy: pairs.length ? correct / pairs.length : 0,
+        perClass
+    };
+}
+
+/**
+ * Spoofing metrics at a threshold, plus the threshold-free ROC AUC and EER
+ * @param {{score: number, label: 0|1}[]} scores - Spoof probability, 1 = spoof
+ * @param {number} threshold
+ */
+export function spoofingMetrics(scores, threshold) {
+    const pairs = scores.map(({ score, label }) => ({ truth: label, prediction: score >= threshold ? 1 : 0 }));
+    const classification = classificationMetrics(pairs, ['human', 'spoof']);
+    const hasBothClasses = classification.perClass.every((item) => item.support > 0);
+
+    let auc = null;
+    let eer = null;
+    if (hasBothClasses) {
+        const points = rocCurve(scores);
+        auc = rocAuc(points);
+        eer = equalErrorRate(points);
+    }
+    return { ...classification, threshold, confusion: confusionAt(scores, threshold), auc, eer };
+}
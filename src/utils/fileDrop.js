@@ -0,0 +1,87 @@
+/**
+ * 📂 Audio file collection for EpigrafIA
+ * Turns a file input selection or a drag-and-drop (files and whole folders) into a
+ * flat list of audio files.
+ */
+
+// Same formats the single-file input accepts
+const AUDIO_EXTENSIONS = ['wav', 'mp3', 'ogg', 'oga', 'opus', 'webm', 'm4a', 'aac', 'flac'];
+
+/**
+ * Whether a file looks like audio (by MIME type or, when the browser has none, by extension)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+    if (file.type.startsWith('audio/')) return true;
+    const extension = file.name.split('.').pop()?.toLowerCase() ?? '';
+    return AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Path shown for a file: its path inside the dropped/selected folder when known
+ * @param {File} file
+ * @returns {string}
+ */
+export function displayPath(file) {
+    return /** @type {any} */ (file).relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Read every entry of a directory (readEntries returns them in chunks)
+ * @param {any} directory - FileSystemDirectoryEntry
+ * @returns {Promise<any[]>}
+ */
+async function readDirectory(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) return entries;
+        entries.push(...chunk);
+    }
+}
+
+/**
+ * Files below a FileSystemEntry, with `relativePath` set to their path in the drop
+ * @param {any} entry - FileSystemEntry
+ * @returns {Promise<File[]>}
+ */
+async function filesFromEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+        return [file];
+    }
+    if (entry.isDirectory) {
+        const children = await readDirectory(entry);
+        const nested = await Promise.all(children.map(filesFromEntry));
+        return nested.flat();
+    }
+    return [];
+}
+
+/**
+ * Audio files from a drop (folders are walked recursively) or a file input
+ * Non-audio files are skipped; the result is sorted by path.
+ * @param {DataTransfer|FileList|File[]} source
+ * @returns {Promise<File[]>}
+ */
+export async function collectAudioFiles(source) {
+    let files;
+    if (typeof DataTransfer !== 'undefined' && source instanceof DataTransfer) {
+        // Entries must be taken synchronously, before the drop event returns
+        const entries = Array.from(source.items)
+            .map((item) => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        files = entries.length
+            ? (await Promise.all(entries.map(filesFromEntry))).flat()
+            : Array.from(source.files);
+    } else {
+        files = Array.from(/** @type {FileList|File[]} */ (source));
+    }
+
+    return files
+        .filter(isAudioFile)
+        .sort((a, b) => displayPath(a).localeCompare(displayPath(b)));
+}
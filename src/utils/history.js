@@ -0,0 +1,191 @@
+/**
+ * 🗂️ Analysis history for EpigrafIA
+ * Keeps every analysed clip (audio + results) in IndexedDB so analysts can replay,
+ * re-run and compare them. Nothing here leaves the browser.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {number} timestamp - When the clip was first analysed
+ * @property {number} [analyzedAt] - Last re-run, if any
+ * @property {{type: 'mic'|'file', name: string}} source
+ * @property {Blob} audio - The clip as recorded or uploaded
+ * @property {number|null} duration - Seconds
+ * @property {Object} result - /api/analyze-shaped result
+ * @property {string} engine - 'remote' or 'local'
+ * @property {string|null} modelVersion
+ * @property {Object|null} quality - Metrics and issues from audioQuality.js
+ * @property {{result: Object, engine: string, modelVersion: string|null, timestamp: number}[]} previous - Earlier runs
+ */
+
+const DB_NAME = 'epigrafia';
+const DB_VERSION = 1;
+const STORE = 'analyses';
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB is usable in this browser
+ * @returns {boolean}
+ */
+export function isHistorySupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            }
+        };
+        dbPromise = promisify(request).catch((error) => {
+            dbPromise = null;
+            throw new Error(t('No se pudo abrir el historial: {message}', { message: error?.message || String(error) }));
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one operation against the store inside a transaction
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE, mode);
+    const result = await promisify(operation(transaction.objectStore(STORE)));
+    if (mode === 'readwrite') {
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    return result;
+}
+
+/**
+ * Store a new analysis
+ * @param {{source: {type: 'mic'|'file', name: string}, audio: Blob, duration?: number|null,
+ *          result: Object, engine: string, modelVersion?: string|null, quality?: Object|null}} entry
+ * @returns {Promise<number>} The new entry id
+ */
+export async function addEntry(entry) {
+    const record = {
+        timestamp: Date.now(),
+        duration: null,
+        modelVersion: null,
+        quality: null,
+        previous: [],
+        ...entry
+    };
+    const id = await withStore('readwrite', (store) => store.add(record));
+    return /** @type {number} */ (id);
+}
+
+/**
+ * All entries, newest first
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function listEntries() {
+    const entries = await withStore('readonly', (store) => store.index('timestamp').getAll());
+    return entries.reverse();
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<HistoryEntry|undefined>}
+ */
+export function getEntry(id) {
+    return withStore('readonly', (store) => store.get(id));
+}
+
+/**
+ * Replace an entry's result after a re-run, keeping the old one for comparison
+ * @param {number} id
+ * @param {{result: Object, engine: string, modelVersion?: string|null, quality?: Object|null}} run
+ * @returns {Promise<HistoryEntry>} The updated entry
+ */
+export async function updateEntryResult(id, run) {
+    const entry = await getEntry(id);
+    if (!entry) throw new Error(`No existe la entrada ${id} del historial`);
+
+    const updated = {
+        ...entry,
+        previous: [
+            ...(entry.previous || []),
+            {
+                result: entry.result,
+                engine: entry.engine,
+                modelVersion: entry.modelVersion,
+                timestamp: entry.analyzedAt ?? entry.timestamp
+            }
+        ],
+        result: run.result,
+        engine: run.engine,
+        modelVersion: run.modelVersion ?? null,
+        quality: run.quality ?? entry.quality,
+        analyzedAt: Date.now()
+    };
+    await withStore('readwrite', (store) => store.put(updated));
+    return updated;
+}
+
+/**
+ * @param {number} id
+ */
+export async function deleteEntry(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Remove every stored analysis
+ */
+export async function clearHistory() {
+    await withStore('readwrite', (store) => store.clear());
+}
+
+/**
+ * How much of the origin's storage quota is in use
+ * @returns {Promise<{usage: number, quota: number}|null>} null when the browser cannot tell
+ */
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
+
+/**
+ * Ask the browser not to evict the history under storage pressure
+ * @returns {Promise<boolean>} Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage?.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    return navigator.storage.persist();
+}
@@ -0,0 +1,138 @@
+/**
+ * 🌍 Interface translations for EpigrafIA
+ * Spanish is the source language: the Spanish text itself is the key, and the catalogues
+ * in src/i18n/ map it to English, French and German. A key missing from a catalogue
+ * falls back to Spanish, so an untranslated string is never blank.
+ *
+ * The locale comes from the route (/, /en/, /fr/, /de/): pages render with
+ * useTranslations(Astro.currentLocale) and client code calls t(), which reads the
+ * <html lang> the layout wrote.
+ */
+import en from '../i18n/en.js';
+import fr from '../i18n/fr.js';
+import de from '../i18n/de.js';
+
+export const DEFAULT_LOCALE = 'es';
+export const LOCALES = ['es', 'en', 'fr', 'de'];
+
+// Locale picked in the switcher (beats the browser's language on the next visit)
+export const LOCALE_STORAGE_KEY = 'epigrafia.locale';
+
+/**
+ * Each locale's name in its own language, for the switcher
+ */
+export const LOCALE_NAMES = {
+    es: 'Español',
+    en: 'English',
+    fr: 'Français',
+    de: 'Deutsch'
+};
+
+const CATALOGUES = { en, fr, de };
+
+/**
+ * @param {string|null|undefined} locale
+ * @returns {locale is 'es'|'en'|'fr'|'de'}
+ */
+export function isLocale(locale) {
+    return LOCALES.includes(/** @type {string} */ (locale));
+}
+
+/**
+ * Locale of the page being shown (the worker, which has no document, uses the browser's)
+ * @returns {string}
+ */
+export function getLocale() {
+    const lang = typeof document !== 'undefined'
+        ? document.documentElement.lang
+        : detectLocale();
+    return isLocale(lang) ? lang : DEFAULT_LOCALE;
+}
+
+/**
+ * First supported locale among the browser's preferred languages
+ * @param {readonly string[]} [languages]
+ * @returns {string}
+ */
+export function detectLocale(languages = globalThis.navigator?.languages ?? []) {
+    for (const language of languages) {
+        const base = language.toLowerCase().split('-')[0];
+        if (isLocale(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a Spanish source string, filling {placeholders} from `params`
+ * @param {string} locale
+ * @param {string} key - Spanish text
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export function translate(locale, key, params) {
+    const text = CATALOGUES[locale]?.messages[key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translate into the page's locale
+ * @param {string} key - Spanish text
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export function t(key, params) {
+    return translate(getLocale(), key, params);
+}
+
+/**
+ * Translator bound to a locale, for .astro frontmatter
+ * @param {string|undefined} locale - Astro.currentLocale
+ * @returns {(key: string, params?: Record<string, string|number>) => string}
+ */
+export function useTranslations(locale) {
+    const resolved = isLocale(locale) ? locale : DEFAULT_LOCALE;
+    return (key, params) => translate(resolved, key, params);
+}
+
+/**
+ * Localised names of a model's classes, by class index (null for Spanish: the label
+ * files are already in Spanish). Only valid for models with the default class order;
+ * labels.js checks the class count before using them.
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {string} [locale]
+ * @returns {string[]|null}
+ */
+export function localizedClassLabels(kind, locale = getLocale()) {
+    return CATALOGUES[locale]?.classLabels[kind] ?? null;
+}
+
+/**
+ * Path of a page in a locale: "/evaluacion" → "/en/evaluacion"
+ * @param {string} path - Path without locale prefix, starting with "/"
+ * @param {string} locale
+ * @returns {string}
+ */
+export function localizePath(path, locale) {
+    return locale === DEFAULT_LOCALE ? path : `/${locale}${path === '/' ? '/' : path}`;
+}
+
+/**
+ * Path without its locale prefix: "/fr/evaluacion" → "/evaluacion"
+ * @param {string} pathname
+ * @returns {string}
+ */
+export function stripLocale(pathname) {
+    const [, first, ...rest] = pathname.split('/');
+    if (first !== DEFAULT_LOCALE && isLocale(first)) return `/${rest.join('/')}`;
+    return pathname;
+}
+
+/**
+ * Locale tag for Intl/Date formatting
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function dateLocale(locale = getLocale()) {
+    return { es: 'es-ES', en: 'en-GB', fr: 'fr-FR', de: 'de-DE' }[locale] ?? 'es-ES';
+}
@@ -0,0 +1,165 @@
+/**
+ * 🏷️ Class labels for EpigrafIA
+ * Labels come from the manifest entry of each selected model version, so the UI always
+ * matches the class order the model was trained with. The built-in lists are only used
+ * until (or if) the manifest or label files cannot be fetched.
+ */
+import { loadManifest, resolveModelEntry, readStoredModelVersions } from './modelManifest.js';
+import { t, localizedClassLabels } from './i18n.js';
+import { parseAccentLabels, accentStatus } from './accent.js';
+
+const FALLBACK_LABELS = {
+    language: ['Español', 'Inglés', 'Francés', 'Alemán'],
+    // The accent model is a plug-in: no labels until the manifest lists one
+    accent: [],
+    spoofing: ['human', 'spoof']
+};
+
+/**
+ * Display names for the spoofing classes in config.json
+ */
+export const SPOOFING_DISPLAY_NAMES = {
+    human: 'Humano',
+    spoof: 'Artificial'
+};
+
+let labels = FALLBACK_LABELS;
+// Parent language of each accent, by class index
+let accentLanguages = [];
+let labelsPromise = null;
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} (${url})`);
+    return response.json();
+}
+
+/**
+ * Labels of one model kind at the version chosen in the UI
+ * @returns {Promise<string[]|null>} null when unknown (the caller falls back)
+ */
+async function fetchKindLabels(manifest, kind, versions) {
+    const entry = resolveModelEntry(manifest, kind, versions[kind]);
+    if (!entry) return null;
+    if (Array.isArray(entry.labels)) return entry.labels;
+    if (typeof entry.labels === 'string') return fetchJson(entry.labels);
+    if (entry.config) return (await fetchJson(entry.config)).labels ?? null;
+    return null;
+}
+
+/**
+ * Accent names and parent languages from a raw accent labels file
+ * @returns {{labels: string[], languages: string[]}} Empty when there is no accent model
+ */
+function accentLabelsOf(raw) {
+    return raw ? parseAccentLabels(raw) : { labels: [], languages: [] };
+}
+
+/**
+ * Labels of one model version, whichever is selected in the UI (e.g. to compare versions)
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {string|null} [version] - Defaults to the manifest default
+ * @returns {Promise<string[]>}
+ */
+export async function fetchModelLabels(kind, version = null) {
+    const kindLabels = await fetchKindLabels(await loadManifest(), kind, { [kind]: version });
+    if (kind === 'accent') return accentLabelsOf(kindLabels).labels;
+    return Array.isArray(kindLabels) ? kindLabels : FALLBACK_LABELS[kind];
+}
+
+/**
+ * Fetch the label files once (again after reloadLabels())
+ * @returns {Promise<{language: string[], accent: string[], spoofing: string[]}>}
+ */
+export function loadLabels() {
+    if (!labelsPromise) {
+        const versions = readStoredModelVersions();
+        labelsPromise = loadManifest()
+            .then((manifest) => Promise.all(['language', 'accent', 'spoofing'].map((kind) =>
+                fetchKindLabels(manifest, kind, versions).catch((error) => {
+                    console.warn(`⚠️ Could not load ${kind} labels, using defaults:`, error);
+                    return null;
+                })
+            )))
+            .catch((error) => {
+                console.warn('⚠️ Could not load model manifest, using default labels:', error);
+                return [null, null, null];
+            })
+            .then(([language, accent, spoofing]) => {
+                let accents = accentLabelsOf(null);
+                try {
+                    accents = accentLabelsOf(accent);
+                } catch (error) {
+                    console.warn('⚠️ Invalid accent labels, accent hidden:', error);
+                }
+                labels = {
+                    language: Array.isArray(language) ? language : FALLBACK_LABELS.language,
+                    accent: accents.labels,
+                    spoofing: Array.isArray(spoofing) ? spoofing : FALLBACK_LABELS.spoofing
+                };
+                accentLanguages = accents.languages;
+                return labels;
+            });
+    }
+    return labelsPromise;
+}
+
+/**
+ * Forget the cached labels, e.g. after switching model versions
+ * @returns {Promise<{language: string[], accent: string[], spoofing: string[]}>}
+ */
+export function reloadLabels() {
+    labelsPromise = null;
+    return loadLabels();
+}
+
+/**
+ * Labels currently known (the fallbacks until loadLabels() has resolved)
+ * @returns {{language: string[], accent: string[], spoofing: string[]}}
+ */
+export function getLabels() {
+    return labels;
+}
+
+/**
+ * How the page should present a result's accent (see accent.accentStatus)
+ * @param {Object} result - /api/analyze shape
+ * @returns {'absent'|'inconclusive'|'confident'}
+ */
+export function resultAccentStatus(result) {
+    return accentStatus(result, { languageLabels: labels.language, accentLanguages });
+}
+
+/**
+ * Whether two label lists name the same classes in the same order
+ * @param {string[]} a
+ * @param {string[]} b
+ */
+function sameClasses(a, b) {
+    return a.length === b.length && a.every((label, index) => label === b[index]);
+}
+
+/**
+ * Labels of a model kind in the page's language, by class index
+ * The catalogues translate the built-in class order, so they are only used when the
+ * model was trained with it; any other model's labels are translated one by one
+ * (or shown as the label files name them).
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {string[]} [modelLabels] - Defaults to the labels currently known
+ * @returns {string[]}
+ */
+export function displayLabels(kind, modelLabels = labels[kind]) {
+    const localized = localizedClassLabels(kind);
+    if (localized && sameClasses(modelLabels, FALLBACK_LABELS[kind])) return localized;
+    return modelLabels.map((label) => t(SPOOFING_DISPLAY_NAMES[label] ?? label));
+}
+
+/**
+ * Label for a class index in the page's language, or a placeholder when the index is out of range
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {number|null|undefined} index
+ * @returns {string}
+ */
+export function classLabel(kind, index) {
+    return (index != null && displayLabels(kind)[index]) || t('Desconocido');
+}
@@ -0,0 +1,318 @@
+/**
+ * 📡 Live monitoring for EpigrafIA
+ * Keeps the microphone open and judges a rolling window (the model's 3 s, every hop)
+ * with the local models in the analysis worker. Memory stays bounded: the audio lives
+ * in one ring buffer of a window, predictions older than `historySeconds` are dropped,
+ * and the worker's tf.memory() is sampled to catch tensors that are never disposed.
+ */
+import { startStream, toDb } from '../scripts/recorder.js';
+import { analyzeInWorker, getTensorMemory } from './analysisWorker.js';
+import { resampleSinc, padOrTrim, TARGET_SAMPLE_RATE } from './resample.js';
+import { applyPreprocessing, getPreprocessingPreset } from './preprocessing.js';
+import { t } from './i18n.js';
+
+/**
+ * Hops offered in the UI (seconds between two analysed windows)
+ */
+export const LIVE_HOP_OPTIONS = [0.5, 1, 2];
+
+export const LIVE_DEFAULTS = {
+    windowSeconds: 3,
+    hopSeconds: 1,
+    // Consecutive windows above the threshold before alerting
+    alertWindows: 3,
+    // Predictions kept for the chart
+    historySeconds: 120
+};
+
+// Windows quieter than this are not sent to the models (nothing to judge)
+const SILENCE_DB = -50;
+
+// Worker tf.memory() is sampled every this many analysed windows
+const MEMORY_CHECK_EVERY = 10;
+
+/**
+ * @typedef {Object} LivePrediction
+ * @property {number} time - Seconds since the start, at the end of the window
+ * @property {boolean} silent - Window skipped for being silence
+ * @property {number|null} spoofProbability
+ * @property {number|null} threshold
+ * @property {boolean} aboveThreshold
+ * @property {number|null} language - Language class index
+ * @property {number|null} languageConfidence
+ * @property {number|null} latencyMs - Time the window took to analyse
+ */
+
+/**
+ * @typedef {Object} LiveAlert
+ * @property {boolean} active
+ * @property {number} since - Time of the first window of the run above the threshold
+ * @property {number} windows - Consecutive windows above the threshold
+ * @property {number} probability - Latest spoof probability
+ */
+
+/**
+ * @typedef {Object} LiveMemory
+ * @property {number} numTensors
+ * @property {number} numBytes
+ * @property {number} baseline - Tensors after the first window (models loaded)
+ * @property {boolean} leaking - More tensors than the baseline
+ */
+
+/**
+ * Create a live monitor (nothing starts until `start()`)
+ * @param {Object} [options]
+ * @param {number} [options.windowSeconds]
+ * @param {number} [options.hopSeconds]
+ * @param {number} [options.alertWindows]
+ * @param {number} [options.historySeconds]
+ * @param {number|null} [options.threshold] - Overrides the spoofing model's own threshold
+ * @param {string} [options.preprocessing] - Preset id (see preprocessing.js), defaults to the stored one
+ * @param {(prediction: LivePrediction, history: LivePrediction[]) => void} [options.onPrediction]
+ * @param {(alert: LiveAlert) => void} [options.onAlert]
+ * @param {(memory: LiveMemory) => void} [options.onMemory]
+ * @param {(level: {rmsDb: number, peakDb: number}) => void} [options.onLevel]
+ * @param {(running: boolean) => void} [options.onStateChange]
+ * @param {(error: Error) => void} [options.onError] - The monitor has stopped because of it
+ */
+export function createLiveMonitor(options = {}) {
+    const settings = { ...LIVE_DEFAULTS, threshold: null, preprocessing: getPreprocessingPreset(), ...options };
+    const {
+        onPrediction = () => {},
+        onAlert = () => {},
+        onMemory = () => {},
+        onLevel = () => {},
+        onStateChange = () => {},
+        onError = () => {}
+    } = options;
+
+    /** @type {Awaited<ReturnType<typeof startStream>>|null} */
+    let capture = null;
+    /** @type {AbortController|null} */
+    let controller = null;
+    /** @type {LivePrediction[]} */
+    let history = [];
+
+    // Ring buffer of one window at the microphone's rate
+    let ring = new Float32Array(0);
+    let writeIndex = 0;
+    let filled = 0;
+    let sinceHop = 0;
+    let totalSamples = 0;
+    let sampleRate = 0;
+
+    let busy = false;
+    let dropped = 0;
+    let analysed = 0;
+    let run = 0;
+    let runSince = 0;
+    let alerting = false;
+    let memoryBaseline = null;
+
+    function reset() {
+        history = [];
+        writeIndex = 0;
+        filled = 0;
+        sinceHop = 0;
+        totalSamples = 0;
+        busy = false;
+        dropped = 0;
+        analysed = 0;
+        run = 0;
+        alerting = false;
+        memoryBaseline = null;
+    }
+
+    // Oldest-first copy of the ring
+    function snapshot() {
+        const window = new Float32Array(ring.length);
+        window.set(ring.subarray(writeIndex), 0);
+        window.set(ring.subarray(0, writeIndex), ring.length - writeIndex);
+        return window;
+    }
+
+    /**
+     * @param {LivePrediction} prediction
+     */
+    function record(prediction) {
+        history.push(prediction);
+        const oldest = prediction.time - settings.historySeconds;
+        while (history.length && history[0].time < oldest) history.shift();
+        onPrediction(prediction, history);
+    }
+
+    /**
+     * @param {LivePrediction} prediction
+     */
+    function updateAlert(prediction) {
+        if (prediction.spoofProbability === null) return;
+        if (!prediction.aboveThreshold) {
+            run = 0;
+            if (alerting) {
+                alerting = false;
+                onAlert({ active: false, since: runSince, windows: 0, probability: prediction.spoofProbability });
+            }
+            return;
+        }
+
+        if (run === 0) runSince = prediction.time - settings.windowSeconds;
+        run++;
+        if (run >= settings.alertWindows) {
+            alerting = true;
+            onAlert({ active: true, since: runSince, windows: run, probability: prediction.spoofProbability });
+        }
+    }
+
+    async function checkMemory() {
+        const { numTensors, numBytes } = await getTensorMemory();
+        if (memoryBaseline === null) memoryBaseline = numTensors;
+        const leaking = numTensors > memoryBaseline;
+        if (leaking) {
+            console.warn(`⚠️ Live monitor: ${numTensors - memoryBaseline} tensors not disposed since the first window`);
+        }
+        onMemory({ numTensors, numBytes, baseline: memoryBaseline, leaking });
+    }
+
+    /**
+     * @param {Float32Array} window - Native-rate samples, oldest first
+     * @param {number} time
+     */
+    async function analyse(window, time) {
+        let sumSquares = 0;
+        for (let i = 0; i < window.length; i++) sumSquares += window[i] * window[i];
+        if (toDb(Math.sqrt(sumSquares / window.length)) < SILENCE_DB) {
+            record({
+                time,
+                silent: true,
+                spoofProbability: null,
+                threshold: null,
+                aboveThreshold: false,
+                language: null,
+                languageConfidence: null,
+                latencyMs: null
+            });
+            return;
+        }
+
+        const signal = /** @type {AbortController} */ (controller).signal;
+        const resampled = sampleRate === TARGET_SAMPLE_RATE
+            ? window
+            : resampleSinc(window, sampleRate, TARGET_SAMPLE_RATE);
+        const samples = padOrTrim(
+            applyPreprocessing(resampled, TARGET_SAMPLE_RATE, settings.preprocessing).samples,
+            TARGET_SAMPLE_RATE * settings.windowSeconds
+        );
+
+        busy = true;
+        const startedAt = performance.now();
+        try {
+            const result = await analyzeInWorker(samples, { signal });
+            const spoofProbability = result.spoofing?.spoof_probability ?? null;
+            const threshold = settings.threshold ?? result.spoofing?.threshold ?? null;
+            const prediction = {
+                time,
+                silent: false,
+                spoofProbability,
+                threshold,
+                aboveThreshold: spoofProbability !== null && threshold !== null && spoofProbability >= threshold,
+                language: result.language_prediction,
+                languageConfidence: result.language_confidence,
+                latencyMs: performance.now() - startedAt
+            };
+            record(prediction);
+            updateAlert(prediction);
+
+            analysed++;
+            if (analysed === 1 || analysed % MEMORY_CHECK_EVERY === 0) await checkMemory();
+        } finally {
+            busy = false;
+        }
+    }
+
+    /**
+     * @param {Float32Array} chunk
+     */
+    function push(chunk) {
+        // Write into the ring, wrapping around
+        let offset = 0;
+        while (offset < chunk.length) {
+            const count = Math.min(chunk.length - offset, ring.length - writeIndex);
+            ring.set(chunk.subarray(offset, offset + count), writeIndex);
+            writeIndex = (writeIndex + count) % ring.length;
+            offset += count;
+        }
+        filled = Math.min(ring.length, filled + chunk.length);
+        totalSamples += chunk.length;
+        sinceHop += chunk.length;
+
+        if (filled < ring.length || sinceHop < settings.hopSeconds * sampleRate) return;
+        sinceHop = 0;
+
+        // Still busy with the previous window: skip this one rather than queue up
+        if (busy) {
+            dropped++;
+            return;
+        }
+        analyse(snapshot(), totalSamples / sampleRate).catch((error) => {
+            if (error.name === 'AbortError') return;
+            stop().finally(() => onError(error));
+        });
+    }
+
+    async function start() {
+        if (capture) return;
+        reset();
+        controller = new AbortController();
+        try {
+            capture = await startStream({
+                onChunk: (chunk) => push(chunk),
+                onLevel,
+                onEnded: () => {
+                    capture = null;
+                    stop().finally(() => onError(new Error(t('El micrófono se ha desconectado'))));
+                }
+            });
+        } catch (error) {
+            controller = null;
+            throw error;
+        }
+        sampleRate = capture.sampleRate;
+        ring = new Float32Array(Math.round(settings.windowSeconds * sampleRate));
+        onStateChange(true);
+    }
+
+    async function stop() {
+        if (!controller) return;
+        controller.abort();
+        controller = null;
+        const active = capture;
+        capture = null;
+        await active?.stop();
+        if (alerting) {
+            alerting = false;
+            onAlert({ active: false, since: runSince, windows: 0, probability: 0 });
+        }
+        if (dropped > 0) console.log(`📡 Live monitor: ${dropped} windows skipped while busy`);
+        onStateChange(false);
+        if (analysed > 0) await checkMemory().catch(() => {});
+    }
+
+    return {
+        start,
+        stop,
+        /**
+         * Change the hop, alert length, threshold or preprocessing preset (also while running)
+         * @param {{hopSeconds?: number, alertWindows?: number, threshold?: number|null, preprocessing?: string}} changes
+         */
+        configure(changes) {
+            Object.assign(settings, changes);
+        },
+        getHistory: () => history.slice(),
+        get running() {
+            return !!controller;
+        },
+        get dropped() {
+            return dropped;
+        }
+    };
+}
@@ -0,0 +1,263 @@
+import * as tf from '@tensorflow/tfjs';
+import { loadModels, loadModelVersions } from './modelLoader.js';
+import { formatModelVersions } from './modelManifest.js';
+import { computeFeatures, CONFIG } from './audioProcessing.js';
+import { splitWindows, aggregateSegments } from './segmentation.js';
+import { padOrTrim } from './resample.js';
+import { constrainAccent } from './accent.js';
+import { createVariants, spread, ROBUST_DEFAULTS } from './augmentation.js';
+
+/**
+ * 💻 Local (in-browser) inference for EpigrafIA
+ * Runs the TF.js models from /public/models and returns a result with the same
+ * shape as the backend's /api/analyze response, so the UI can render either.
+ * The optional robust mode (predictRobust) averages over augmented variants of the
+ * clip and several spoofing model versions, and reports the spread.
+ */
+
+/**
+ * Give the event loop a turn so progress and cancel messages get through
+ */
+function nextTick() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function meanVector(vectors) {
+    return Array.from(vectors[0], (_, i) => mean(vectors.map((vector) => vector[i])));
+}
+
+/**
+ * Softmax output of the language or accent model (both take the language features)
+ * @param {tf.LayersModel} model
+ * @param {{language: Float32Array}} features - From computeFeatures()
+ * @returns {Float32Array}
+ */
+function languageFeatureProbabilities(model, features) {
+    return tf.tidy(() => {
+        const input = tf.tensor3d(features.language, [1, CONFIG.languageFrames, CONFIG.nFeatures]);
+        return model.predict(input).dataSync();
+    });
+}
+
+/**
+ * @param {tf.LayersModel} model
+ * @param {{spoofing: Float32Array}} features - From computeFeatures()
+ * @returns {number}
+ */
+function spoofProbabilityOf(model, features) {
+    return tf.tidy(() => {
+        const input = tf.tensor3d(features.spoofing, [1, CONFIG.spoofingFrames, CONFIG.nMfcc]);
+        return model.predict(input).dataSync()[0];
+    });
+}
+
+/**
+ * Run language, accent and spoofing prediction on a mono 16 kHz clip
+ * @param {Float32Array} audioData - Exactly CONFIG.duration seconds at CONFIG.sampleRate
+ * @param {{onProgress?: (stage: string, progress: number) => void, signal?: AbortSignal,
+ *          robust?: Partial<import('./augmentation.js').RobustSettings>|null}} [options]
+ *          `robust` switches to predictRobust()
+ * @returns {Promise<Object>} Backend-compatible result with `engine: "local"`
+ */
+export async function predictLocal(audioData, { onProgress = () => {}, signal, robust = null } = {}) {
+    if (robust) return predictRobust(audioData, { robust, onProgress, signal });
+
+    onProgress('models', 0);
+    const {
+        languageModel, accentModel, spoofingModel, languageLabels, accentLanguages, spoofingConfig, versions
+    } = await loadModels();
+    signal?.throwIfAborted();
+
+    onProgress('features', 0.3);
+    await nextTick();
+    signal?.throwIfAborted();
+    const features = computeFeatures(audioData);
+
+    onProgress('language', 0.6);
+    await nextTick();
+    signal?.throwIfAborted();
+
+    // Language detection
+    const languageProbs = languageFeatureProbabilities(languageModel, features);
+    const languageIdx = argmax(languageProbs);
+
+    // Accent detection (optional model, same MFCC input as the language model),
+    // restricted to the accents of the detected language
+    let accent = null;
+    if (accentModel && languageLabels) {
+        const accentProbs = languageFeatureProbabilities(accentModel, features);
+        accent = constrainAccent(accentProbs, accentLanguages, languageLabels[languageIdx]);
+    }
+
+    // Spoofing detection (optional model)
+    let spoofing = null;
+    onProgress('spoofing', 0.8);
+    await nextTick();
+    signal?.throwIfAborted();
+    if (spoofingModel) {
+        const spoofProbability = spoofProbabilityOf(spoofingModel, features);
+        const threshold = spoofingConfig?.threshold ?? 0.5;
+        const isGenuine = spoofProbability < threshold;
+        const labels = spoofingConfig?.labels || ['human', 'spoof'];
+
+        spoofing = {
+            is_genuine: isGenuine,
+            spoof_probability: spoofProbability,
+            label: isGenuine ? labels[0] : labels[1],
+            threshold
+        };
+    }
+
+    onProgress('done', 1);
+    return {
+        language_prediction: languageIdx,
+        language_confidence: languageProbs[languageIdx],
+        language_probabilities: Array.from(languageProbs),
+        accent_prediction: accent?.prediction ?? null,
+        accent_confidence: accent?.confidence ?? null,
+        accent_probabilities: accent?.probabilities ?? null,
+        spoofing,
+        engine: 'local',
+        model_version: formatModelVersions(versions),
+        model_versions: versions
+    };
+}
+
+/**
+ * Robust prediction: test-time augmentation and a spoofing ensemble
+ * The language, accent and spoofing models run on every variant of the window
+ * (utils/augmentation.js), and the spoofing score is also averaged over several model
+ * versions. Probabilities are the means; their spread across variants (standard
+ * deviation) is reported in `uncertainty`.
+ * @param {Float32Array} source - Mono samples at CONFIG.sampleRate
+ * @param {{start?: number, robust?: Partial<import('./augmentation.js').RobustSettings>,
+ *          onProgress?: (stage: string, progress: number) => void, signal?: AbortSignal}} [options]
+ *          `start` is the window's first sample in `source` (the shifted crops read around it)
+ * @returns {Promise<Object>} Backend-compatible result with `uncertainty`:
+ *          {variants, spoofing_versions, language, accent, spoofing}
+ */
+export async function predictRobust(source, { start = 0, robust = {}, onProgress = () => {}, signal } = {}) {
+    const settings = { ...ROBUST_DEFAULTS, ...robust };
+    onProgress('models', 0);
+    const { languageModel, accentModel, languageLabels, accentLanguages, versions } = await loadModels();
+    const spoofingModels = await loadModelVersions('spoofing', settings.spoofingVersions);
+    signal?.throwIfAborted();
+
+    const variants = createVariants(source, start, CONFIG.sampleRate * CONFIG.duration, CONFIG.sampleRate, settings);
+    const languageRuns = [];
+    const accentRuns = [];
+    const spoofRuns = spoofingModels.map(() => []);
+
+    for (let i = 0; i < variants.length; i++) {
+        onProgress('robust', i / variants.length);
+        await nextTick();
+        signal?.throwIfAborted();
+
+        const features = computeFeatures(variants[i].samples);
+        languageRuns.push(languageFeatureProbabilities(languageModel, features));
+        if (accentModel && languageLabels) accentRuns.push(languageFeatureProbabilities(accentModel, features));
+        spoofingModels.forEach(({ model }, m) => spoofRuns[m].push(spoofProbabilityOf(model, features)));
+    }
+
+    const languageProbs = meanVector(languageRuns);
+    const languageIdx = argmax(languageProbs);
+    const languageLabel = languageLabels?.[languageIdx];
+
+    // Accents are constrained after averaging, to the language of the combined result
+    const accent = accentRuns.length > 0
+        ? constrainAccent(meanVector(accentRuns), accentLanguages, languageLabel)
+        : null;
+    const accentSpread = accent
+        ? spread(accentRuns.map((probs) => constrainAccent(probs, accentLanguages, languageLabel)?.probabilities[accent.prediction] ?? 0))
+        : null;
+
+    let spoofing = null;
+    const spoofingVersions = spoofingModels.map(({ version }) => version);
+    if (spoofingModels.length > 0) {
+        const spoofProbability = mean(spoofRuns.flat());
+        // Each version has its own operating point; the ensemble uses their mean
+        const threshold = mean(spoofingModels.map(({ config }) => config?.threshold ?? 0.5));
+        const isGenuine = spoofProbability < threshold;
+        const labels = spoofingModels[0].config?.labels || ['human', 'spoof'];
+
+        spoofing = {
+            is_genuine: isGenuine,
+            spoof_probability: spoofProbability,
+            label: isGenuine ? labels[0] : labels[1],
+            threshold
+        };
+    }
+
+    // The selected spoofing version, or the first of the ensemble if it was left out
+    const modelVersions = spoofingVersions.length > 0 && !spoofingVersions.includes(versions.spoofing)
+        ? { ...versions, spoofing: spoofingVersions[0] }
+        : versions;
+
+    onProgress('done', 1);
+    return {
+        language_prediction: languageIdx,
+        language_confidence: languageProbs[languageIdx],
+        language_probabilities: languageProbs,
+        accent_prediction: accent?.prediction ?? null,
+        accent_confidence: accent?.confidence ?? null,
+        accent_probabilities: accent?.probabilities ?? null,
+        spoofing,
+        uncertainty: {
+            variants: variants.length,
+            spoofing_versions: spoofingVersions,
+            language: spread(languageRuns.map((probs) => probs[languageIdx])),
+            accent: accentSpread,
+            spoofing: spoofing ? spread(spoofRuns.flat()) : null
+        },
+        engine: 'local',
+        model_version: formatModelVersions(modelVersions),
+        model_versions: modelVersions
+    };
+}
+
+/**
+ * Sliding-window analysis of a recording of any length
+ * @param {Float32Array} audioData - Mono samples at CONFIG.sampleRate
+ * @param {{segmentation?: {windowSeconds?: number, hopSeconds?: number, aggregation?: string},
+ *          onProgress?: (stage: string, progress: number, detail?: {index: number, total: number}) => void,
+ *          signal?: AbortSignal, robust?: Partial<import('./augmentation.js').RobustSettings>|null}} [options]
+ *          With `robust` every window goes through predictRobust()
+ * @returns {Promise<Object>} Combined result with a per-window `segments` timeline
+ */
+export async function predictSegments(audioData, { segmentation = {}, onProgress = () => {}, signal, robust = null } = {}) {
+    const windows = splitWindows(audioData, CONFIG.sampleRate, {
+        windowSeconds: CONFIG.duration,
+        ...segmentation
+    });
+
+    onProgress('models', 0);
+    await loadModels();
+
+    const segments = [];
+    for (let i = 0; i < windows.length; i++) {
+        signal?.throwIfAborted();
+        onProgress('segments', i / windows.length, { index: i + 1, total: windows.length });
+
+        const { start, end, samples } = windows[i];
+        // The models always see exactly CONFIG.duration seconds
+        const result = robust
+            ? await predictRobust(audioData, { start: Math.round(start * CONFIG.sampleRate), robust, signal })
+            : await predictLocal(padOrTrim(samples, CONFIG.sampleRate * CONFIG.duration), { signal });
+        segments.push({ start, end, result });
+    }
+
+    onProgress('done', 1);
+    return aggregateSegments(segments, { aggregation: segmentation.aggregation });
+}
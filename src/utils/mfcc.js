@@ -0,0 +1,445 @@
+/**
+ * 🎼 MFCC DSP pipeline for EpigrafIA
+ * Pure JavaScript re-implementation of the librosa feature chain used in training:
+ *
+ *   librosa.feature.mfcc(y, sr=16000, n_mfcc=40, n_fft=2048, hop_length=512, n_mels=128)
+ *   librosa.feature.delta(mfcc)            # width=9, mode="interp"
+ *   librosa.feature.delta(mfcc, order=2)
+ *
+ * i.e. centred STFT (constant padding) with a periodic Hann window, power spectrum,
+ * Slaney-style mel filterbank, power_to_db (ref=1.0, amin=1e-10, top_db=80) and an
+ * orthonormal DCT-II. No TensorFlow dependency, so it also runs in Node and workers.
+ */
+import { t } from './i18n.js';
+
+/**
+ * Default parameters (librosa defaults + training configuration)
+ */
+export const MFCC_DEFAULTS = {
+    sampleRate: 16000,
+    fftSize: 2048,
+    hopLength: 512,
+    nMels: 128,
+    nMfcc: 40,
+    fMin: 0,
+    fMax: null, // sampleRate / 2
+    center: true,
+    amin: 1e-10,
+    topDb: 80,
+    deltaWidth: 9
+};
+
+// Cached tables, keyed by their parameters
+const windowCache = new Map();
+const twiddleCache = new Map();
+const melCache = new Map();
+const dctCache = new Map();
+
+/**
+ * Periodic Hann window (scipy.signal.get_window('hann', N, fftbins=True))
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function hannWindow(size) {
+    if (!windowCache.has(size)) {
+        const win = new Float64Array(size);
+        for (let n = 0; n < size; n++) {
+            win[n] = 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / size);
+        }
+        windowCache.set(size, win);
+    }
+    return windowCache.get(size);
+}
+
+function getTwiddles(size) {
+    if (!twiddleCache.has(size)) {
+        const half = size / 2;
+        const cos = new Float64Array(half);
+        const sin = new Float64Array(half);
+        for (let i = 0; i < half; i++) {
+            cos[i] = Math.cos((2 * Math.PI * i) / size);
+            sin[i] = -Math.sin((2 * Math.PI * i) / size);
+        }
+        twiddleCache.set(size, { cos, sin });
+    }
+    return twiddleCache.get(size);
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real part (length must be a power of two)
+ * @param {Float64Array} im - Imaginary part
+ */
+export function fft(re, im) {
+    const n = re.length;
+    if ((n & (n - 1)) !== 0) {
+        throw new Error(t('El tamaño de la FFT debe ser potencia de 2 (recibido {n})', { n }));
+    }
+
+    // Bit reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+            tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+        }
+    }
+
+    const { cos, sin } = getTwiddles(n);
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Number of STFT frames librosa produces for a signal
+ * @param {number} numSamples
+ * @param {object} [options]
+ * @returns {number}
+ */
+export function frameCount(numSamples, options = {}) {
+    const { fftSize, hopLength, center } = { ...MFCC_DEFAULTS, ...options };
+    if (center) {
+        return 1 + Math.floor(numSamples / hopLength);
+    }
+    return numSamples < fftSize ? 0 : 1 + Math.floor((numSamples - fftSize) / hopLength);
+}
+
+/**
+ * Power spectrogram |STFT|² (librosa.stft with center=True, pad_mode="constant")
+ * @param {Float32Array} samples
+ * @param {object} [options]
+ * @returns {Float64Array[]} One array of fftSize/2+1 bins per frame
+ */
+export function powerSpectrogram(samples, options = {}) {
+    const { fftSize, hopLength, center } = { ...MFCC_DEFAULTS, ...options };
+    const window = hannWindow(fftSize);
+    const numBins = fftSize / 2 + 1;
+    const numFrames = frameCount(samples.length, options);
+    const offset = center ? fftSize / 2 : 0;
+
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    const frames = new Array(numFrames);
+
+    for (let t = 0; t < numFrames; t++) {
+        const start = t * hopLength - offset;
+        for (let n = 0; n < fftSize; n++) {
+            const idx = start + n;
+            // Zero padding outside the signal (constant pad mode)
+            re[n] = idx >= 0 && idx < samples.length ? samples[idx] * window[n] : 0;
+            im[n] = 0;
+        }
+        fft(re, im);
+
+        const power = new Float64Array(numBins);
+        for (let k = 0; k < numBins; k++) {
+            power[k] = re[k] * re[k] + im[k] * im[k];
+        }
+        frames[t] = power;
+    }
+
+    return frames;
+}
+
+// Slaney mel scale (librosa.hz_to_mel / mel_to_hz with htk=False)
+const F_SP = 200 / 3;
+const MIN_LOG_HZ = 1000;
+const MIN_LOG_MEL = MIN_LOG_HZ / F_SP;
+const LOG_STEP = Math.log(6.4) / 27;
+
+export function hzToMel(hz) {
+    return hz >= MIN_LOG_HZ
+        ? MIN_LOG_MEL + Math.log(hz / MIN_LOG_HZ) / LOG_STEP
+        : hz / F_SP;
+}
+
+export function melToHz(mel) {
+    return mel >= MIN_LOG_MEL
+        ? MIN_LOG_HZ * Math.exp(LOG_STEP * (mel - MIN_LOG_MEL))
+        : F_SP * mel;
+}
+
+/**
+ * Mel filterbank (librosa.filters.mel with htk=False, norm="slaney")
+ * @param {object} [options]
+ * @returns {Float64Array[]} nMels rows of fftSize/2+1 weights
+ */
+export function melFilterbank(options = {}) {
+    const { sampleRate, fftSize, nMels, fMin } = { ...MFCC_DEFAULTS, ...options };
+    const fMax = options.fMax ?? sampleRate / 2;
+    const key = `${sampleRate}:${fftSize}:${nMels}:${fMin}:${fMax}`;
+    if (melCache.has(key)) return melCache.get(key);
+
+    const numBins = fftSize / 2 + 1;
+    const fftFreqs = new Float64Array(numBins);
+    for (let k = 0; k < numBins; k++) {
+        fftFreqs[k] = (k * sampleRate) / fftSize;
+    }
+
+    // nMels + 2 points evenly spaced on the mel scale
+    const minMel = hzToMel(fMin);
+    const maxMel = hzToMel(fMax);
+    const melF = new Float64Array(nMels + 2);
+    for (let i = 0; i < nMels + 2; i++) {
+        melF[i] = melToHz(minMel + ((maxMel - minMel) * i) / (nMels + 1));
+    }
+
+    const weights = new Array(nMels);
+    for (let m = 0; m < nMels; m++) {
+        const row = new Float64Array(numBins);
+        const lowerWidth = melF[m + 1] - melF[m];
+        const upperWidth = melF[m + 2] - melF[m + 1];
+        const enorm = 2 / (melF[m + 2] - melF[m]);
+
+        for (let k = 0; k < numBins; k++) {
+            const lower = (fftFreqs[k] - melF[m]) / lowerWidth;
+            const upper = (melF[m + 2] - fftFreqs[k]) / upperWidth;
+            row[k] = Math.max(0, Math.min(lower, upper)) * enorm;
+        }
+        weights[m] = row;
+    }
+
+    melCache.set(key, weights);
+    return weights;
+}
+
+/**
+ * Log-mel spectrogram in dB (librosa.power_to_db(melspectrogram, ref=1.0, top_db=80))
+ * @param {Float32Array} samples
+ * @param {object} [options]
+ * @returns {Float64Array[]} One array of nMels values per frame
+ */
+export function logMelSpectrogram(samples, options = {}) {
+    const opts = { ...MFCC_DEFAULTS, ...options };
+    const spectrum = powerSpectrogram(samples, opts);
+    const filters = melFilterbank(opts);
+
+    let maxDb = -Infinity;
+    const frames = spectrum.map((power) => {
+        const mel = new Float64Array(opts.nMels);
+        for (let m = 0; m < opts.nMels; m++) {
+            const row = filters[m];
+            let sum = 0;
+            for (let k = 0; k < power.length; k++) {
+                if (row[k] !== 0) sum += row[k] * power[k];
+            }
+            const db = 10 * Math.log10(Math.max(opts.amin, sum));
+            if (db > maxDb) maxDb = db;
+            mel[m] = db;
+        }
+        return mel;
+    });
+
+    // top_db clipping is relative to the global maximum
+    if (opts.topDb !== null) {
+        const floor = maxDb - opts.topDb;
+        for (const mel of frames) {
+            for (let m = 0; m < mel.length; m++) {
+                if (mel[m] < floor) mel[m] = floor;
+            }
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * Orthonormal DCT-II basis (scipy.fftpack.dct(type=2, norm="ortho"))
+ * @param {number} nInput - Log-mel bands
+ * @param {number} nOutput - Coefficients kept
+ * @returns {Float64Array[]} nOutput rows of nInput weights
+ */
+export function dctMatrix(nInput, nOutput) {
+    const key = `${nInput}:${nOutput}`;
+    if (!dctCache.has(key)) {
+        const rows = new Array(nOutput);
+        for (let k = 0; k < nOutput; k++) {
+            const scale = k === 0 ? Math.sqrt(1 / nInput) : Math.sqrt(2 / nInput);
+            const row = new Float64Array(nInput);
+            for (let n = 0; n < nInput; n++) {
+                row[n] = scale * Math.cos((Math.PI * k * (2 * n + 1)) / (2 * nInput));
+            }
+            rows[k] = row;
+        }
+        dctCache.set(key, rows);
+    }
+    return dctCache.get(key);
+}
+
+/**
+ * MFCC matrix (scipy.fftpack.dct(type=2, norm="ortho") over the log-mel bands)
+ * @param {Float32Array} samples - Mono audio at options.sampleRate
+ * @param {object} [options]
+ * @returns {Float32Array[]} One array of nMfcc coefficients per frame
+ */
+export function mfcc(samples, options = {}) {
+    const opts = { ...MFCC_DEFAULTS, ...options };
+    const logMel = logMelSpectrogram(samples, opts);
+    const basis = dctMatrix(opts.nMels, opts.nMfcc);
+
+    return logMel.map((mel) => {
+        const coeffs = new Float32Array(opts.nMfcc);
+        for (let k = 0; k < opts.nMfcc; k++) {
+            const row = basis[k];
+            let sum = 0;
+            for (let n = 0; n < mel.length; n++) {
+                sum += row[n] * mel[n];
+            }
+            coeffs[k] = sum;
+        }
+        return coeffs;
+    });
+}
+
+/**
+ * Savitzky-Golay derivative weights for a centred window
+ * Only the cases librosa.feature.delta uses with the default polyorder = order.
+ * @param {number} width - Odd window length
+ * @param {1|2} order
+ * @returns {Float64Array}
+ */
+function savgolWeights(width, order) {
+    const half = (width - 1) / 2;
+    const weights = new Float64Array(width);
+
+    if (order === 1) {
+        // Slope of a least-squares line
+        let denom = 0;
+        for (let k = -half; k <= half; k++) denom += k * k;
+        for (let k = -half; k <= half; k++) weights[k + half] = k / denom;
+    } else if (order === 2) {
+        // Second derivative (2·a₂) of a least-squares parabola
+        let sumK2 = 0;
+        let sumK4 = 0;
+        for (let k = -half; k <= half; k++) {
+            sumK2 += k * k;
+            sumK4 += k ** 4;
+        }
+        const meanK2 = sumK2 / width;
+        const denom = sumK4 - width * meanK2 * meanK2;
+        for (let k = -half; k <= half; k++) {
+            weights[k + half] = (2 * (k * k - meanK2)) / denom;
+        }
+    } else {
+        throw new Error(t('Orden de delta no soportado: {order}', { order }));
+    }
+
+    return weights;
+}
+
+/**
+ * Delta features along time (librosa.feature.delta, mode="interp")
+ * With polyorder == order the fitted derivative is constant over each edge
+ * window, so "interp" reduces to repeating the first/last full-window value.
+ * Clips shorter than `width` frames (librosa refuses them) use the widest odd window
+ * that fits, i.e. librosa.feature.delta(..., width=that); under 3 frames there is no
+ * slope to fit and the deltas are zero.
+ * @param {Float32Array[]} frames - [time][coeff]
+ * @param {1|2} [order=1]
+ * @param {number} [width=9]
+ * @returns {Float32Array[]} [time][coeff]
+ */
+export function delta(frames, order = 1, width = MFCC_DEFAULTS.deltaWidth) {
+    const numFrames = frames.length;
+    if (numFrames === 0) return [];
+    if (width < 3 || width % 2 === 0) {
+        throw new Error(t('El ancho de delta debe ser impar y >= 3'));
+    }
+    const numCoeffs = frames[0].length;
+    const fitted = Math.min(width, numFrames % 2 === 0 ? numFrames - 1 : numFrames);
+    if (fitted < 3) {
+        return frames.map(() => new Float32Array(numCoeffs));
+    }
+
+    const half = (fitted - 1) / 2;
+    const weights = savgolWeights(fitted, order);
+    const out = new Array(numFrames);
+
+    for (let t = 0; t < numFrames; t++) {
+        // Clamp the window centre into the valid region ("interp" edges)
+        const centre = Math.min(Math.max(t, half), numFrames - 1 - half);
+        const values = new Float32Array(numCoeffs);
+        for (let c = 0; c < numCoeffs; c++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) {
+                sum += weights[k + half] * frames[centre + k][c];
+            }
+            values[c] = sum;
+        }
+        out[t] = values;
+    }
+
+    return out;
+}
+
+/**
+ * Pad with zero frames or truncate to an exact number of frames
+ * @param {Float32Array[]} frames
+ * @param {number} targetFrames
+ * @param {number} numFeatures
+ * @returns {Float32Array[]}
+ */
+export function fitFrames(frames, targetFrames, numFeatures) {
+    const out = frames.slice(0, targetFrames);
+    while (out.length < targetFrames) {
+        out.push(new Float32Array(numFeatures));
+    }
+    return out;
+}
+
+/**
+ * Per-feature standardisation over time (zero mean, unit variance)
+ * @param {Float32Array[]} frames - [time][feature], modified in place
+ * @param {number} [epsilon=1e-8]
+ * @returns {Float32Array[]}
+ */
+export function standardize(frames, epsilon = 1e-8) {
+    if (frames.length === 0) return frames;
+    const numFeatures = frames[0].length;
+
+    for (let f = 0; f < numFeatures; f++) {
+        let mean = 0;
+        for (const frame of frames) mean += frame[f];
+        mean /= frames.length;
+
+        let variance = 0;
+        for (const frame of frames) variance += (frame[f] - mean) ** 2;
+        const std = Math.sqrt(variance / frames.length);
+
+        for (const frame of frames) frame[f] = (frame[f] - mean) / (std + epsilon);
+    }
+
+    return frames;
+}
+
+/**
+ * Flatten [time][feature] frames into one contiguous Float32Array
+ * @param {Float32Array[]} frames
+ * @returns {Float32Array}
+ */
+export function flattenFrames(frames) {
+    const numFeatures = frames.length ? frames[0].length : 0;
+    const flat = new Float32Array(frames.length * numFeatures);
+    frames.forEach((frame, t) => flat.set(frame, t * numFeatures));
+    return flat;
+}
@@ -1,166 +1,516 @@
 import * as tf from '@tensorflow/tfjs';
+import { CONFIG } from './audioProcessing.js';
+import { loadManifest, resolveModelEntry, modelKindName, MODEL_KINDS } from './modelManifest.js';
+import { parseAccentLabels } from './accent.js';
+import { t } from './i18n.js';
 
 /**
  * 🧠 Model Loader for EpigrafIA
- * Loads TensorFlow.js models for language, accent and spoofing detection
- */
-
-let languageModel = null;
-let accentModel = null;
-let spoofingModel = null;
-let modelsLoaded = false;
-let languageLabels = null;
-let spoofingConfig = null;
-
-const MODEL_PATHS = {
-  language: '/models/language/model.json',
-  accent: '/models/accent/model.json',
-  spoofing: '/models/spoofing/model.json',
-  languageLabels: '/models/language/labels.json',
-  spoofingConfig: '/models/spoofing/config.json'
+ * Loads the TensorFlow.js models listed in public/models/manifest.json.
+ * Each model is loaded lazily and on its own, its weight shards are checked against
+ * the manifest's SHA-256 hashes, and its input shape against what computeFeatures()
+ * produces. Versions can be switched at runtime with setModelVersion() (the old model
+ * outlives the inferences still using it, see withModels()), and several
+ * versions of one kind loaded together for ensembles with loadModelVersions().
+ */
+
+// Input each model kind receives from audioProcessing.computeFeatures()
+const FEATURE_SHAPES = {
+  language: [null, CONFIG.languageFrames, CONFIG.nFeatures],
+  accent: [null, CONFIG.languageFrames, CONFIG.nFeatures],
+  spoofing: [null, CONFIG.spoofingFrames, CONFIG.nMfcc]
+};
+
+const DEFAULT_SPOOFING_CONFIG = {
+  threshold: 0.5,
+  labels: ['human', 'spoof']
 };
 
+// kind → version chosen with setModelVersion (unset = manifest default)
+const selectedVersions = {};
+
+// kind → Promise<LoadedModel>
+const loading = new Map();
+
+// kind → LoadedModel, once resolved
+const loaded = new Map();
+
+// `${kind}@${version}` → Promise<LoadedModel>, versions loaded next to the selected one (ensembles)
+const extraLoading = new Map();
+
+// `${kind}@${version}` → LoadedModel, once resolved
+const extraLoaded = new Map();
+
+// Inferences running now (withModels); models replaced meanwhile wait in `retired`
+let activeInferences = 0;
+const retired = [];
+
 /**
- * Load language labels
+ * @typedef {Object} LoadedModel
+ * @property {tf.LayersModel} model
+ * @property {string} version
+ * @property {Object} entry - Manifest entry
+ * @property {string[]|null} labels
+ * @property {string[]|null} languages - Parent language of each accent (accent model)
+ * @property {Object|null} config - Spoofing config.json
  */
-async function loadLabels() {
-  try {
-    const response = await fetch(MODEL_PATHS.languageLabels);
-    if (response.ok) {
-      languageLabels = await response.json();
-      console.log('✅ Language labels loaded:', languageLabels);
+
+/**
+ * Convert a Keras 3 topology value into the Keras 2 form TF.js understands
+ * (DTypePolicy objects become plain dtype strings, serialization-only keys go away)
+ */
+function normalizeKeras3Value(value) {
+  if (Array.isArray(value)) return value.map(normalizeKeras3Value);
+  if (value && typeof value === 'object') {
+    if (value.class_name === 'DTypePolicy') return value.config.name;
+    const out = {};
+    for (const [key, inner] of Object.entries(value)) {
+      if (key === 'module' || key === 'registered_name') continue;
+      out[key] = normalizeKeras3Value(inner);
     }
-  } catch (error) {
-    console.warn('⚠️ Could not load language labels, using defaults');
-    languageLabels = ["Español", "Inglés", "Francés", "Alemán"];
+    return out;
   }
+  return value;
 }
 
 /**
- * Load spoofing config
+ * Keras 3 inbound node ({args: [__keras_tensor__...]}) → [[layer, node, tensor, {}], ...]
  */
-async function loadSpoofingConfig() {
-  try {
-    const response = await fetch(MODEL_PATHS.spoofingConfig);
-    if (response.ok) {
-      spoofingConfig = await response.json();
-      console.log('✅ Spoofing config loaded:', spoofingConfig);
+function normalizeKeras3Node(node) {
+  if (Array.isArray(node)) return node;
+  const inputs = [];
+  const walk = (arg) => {
+    if (Array.isArray(arg)) {
+      arg.forEach(walk);
+    } else if (arg?.class_name === '__keras_tensor__') {
+      const [layerName, nodeIndex, tensorIndex] = arg.config.keras_history;
+      inputs.push([layerName, nodeIndex, tensorIndex, {}]);
     }
-  } catch (error) {
-    console.warn('⚠️ Could not load spoofing config, using defaults');
-    spoofingConfig = {
-      threshold: 0.5,
-      labels: ["human", "spoof"]
-    };
+  };
+  walk(node.args);
+  return inputs;
+}
+
+/**
+ * Whether a model.json was exported from Keras 3 (TF.js 4 cannot parse it as is)
+ */
+function isKeras3Topology(modelJson) {
+  const layers = modelJson.modelTopology?.config?.layers || [];
+  return layers.some((layer) => layer.class_name === 'InputLayer' && layer.config.batch_shape);
+}
+
+/**
+ * SHA-256 of an ArrayBuffer as lowercase hex
+ */
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function sameShape(a, b) {
+  return a.length === b.length && a.every((dim, i) => dim === b[i]);
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} (${url})`);
   }
+  return response.json();
 }
 
 /**
- * Load both models (language and accent)
- * @returns {Promise<{languageModel: tf.LayersModel, accentModel: tf.LayersModel}>}
+ * Check the manifest's feature recipe against the extractor in audioProcessing.js
+ * @param {Object} entry - Manifest entry
  */
-export async function loadModels() {
-  if (modelsLoaded) {
-    console.log('✅ Models already loaded');
-    return { languageModel, accentModel, languageLabels };
+function checkFeatureRecipe(entry) {
+  const expected = FEATURE_SHAPES[entry.kind];
+  if (!sameShape(entry.inputShape, expected)) {
+    throw new Error(t('El modelo de {kind} v{version} espera {expected}, pero el extractor produce {actual}', {
+      kind: modelKindName(entry.kind),
+      version: entry.version,
+      expected: JSON.stringify(entry.inputShape),
+      actual: JSON.stringify(expected)
+    }));
   }
-  
-  try {
-    console.log('🔄 Loading TensorFlow.js models...');
-    
-    // Set TensorFlow.js backend (WebGL preferred)
-    await tf.ready();
-    console.log(`📊 TensorFlow.js backend: ${tf.getBackend()}`);
-    
-    // Load language labels and spoofing config
-    await loadLabels();
-    await loadSpoofingConfig();
-    
-    // Load language model
-    console.log('📥 Loading language detection model...');
-    console.log('   Fetching from:', MODEL_PATHS.language);
-    
-    try {
-      languageModel = await tf.loadLayersModel(MODEL_PATHS.language);
-      console.log('✅ Language model loaded successfully');
-      console.log(`   Input shape: ${JSON.stringify(languageModel.inputs[0].shape)}`);
-      console.log(`   Output shape: ${JSON.stringify(languageModel.outputs[0].shape)}`);
-    } catch (langError) {
-      console.error('❌ Language model load error:', langError);
-      throw new Error(`Error cargando modelo de idioma: ${langError.message}`);
+
+  const recipe = entry.features || {};
+  const checks = [
+    ['sampleRate', CONFIG.sampleRate],
+    ['duration', CONFIG.duration],
+    ['nMfcc', CONFIG.nMfcc],
+    ['nMels', CONFIG.nMels],
+    ['fftSize', CONFIG.fftSize],
+    ['hopLength', CONFIG.hopLength],
+    ['frames', expected[1]]
+  ];
+  for (const [key, value] of checks) {
+    if (recipe[key] !== undefined && recipe[key] !== value) {
+      throw new Error(t('Receta de características incompatible para {kind} v{version}: {key}={value} (el extractor usa {expected})', {
+        kind: modelKindName(entry.kind),
+        version: entry.version,
+        key,
+        value: recipe[key],
+        expected: value
+      }));
     }
-    // Try to load accent model (optional - may not exist yet)
-    try {
-      console.log('📥 Loading accent detection model...');
-      accentModel = await tf.loadLayersModel(MODEL_PATHS.accent);
-      console.log('✅ Accent model loaded successfully');
-      console.log(`   Input shape: ${JSON.stringify(accentModel.inputs[0].shape)}`);
-      console.log(`   Output shape: ${JSON.stringify(accentModel.outputs[0].shape)}`);
-    } catch (accentError) {
-      console.warn('⚠️ Accent model not available yet (will be added in future update)');
-      accentModel = null;
+  }
+}
+
+/**
+ * Load a layers model from a manifest entry, verifying every weight shard
+ * Keras 3 exports (the spoofing model: `batch_shape` InputLayer, `args` inbound nodes,
+ * `<layer>_<layer>_<param>` weight names) are patched on the fly.
+ * @param {Object} entry - Manifest entry
+ * @returns {Promise<tf.LayersModel>}
+ */
+async function loadVerifiedLayersModel(entry) {
+  const url = entry.url;
+  const modelJson = await fetchJson(url);
+  const keras3 = isKeras3Topology(modelJson);
+  const topology = modelJson.modelTopology;
+
+  if (keras3) {
+    console.log('   Keras 3 topology detected, normalizing for TF.js');
+    const config = topology.config;
+    for (const layer of config.layers) {
+      layer.config = normalizeKeras3Value(layer.config);
+      if (layer.config.batch_shape) {
+        layer.config.batch_input_shape = layer.config.batch_shape;
+        delete layer.config.batch_shape;
+      }
+      layer.inbound_nodes = (layer.inbound_nodes || []).map(normalizeKeras3Node);
     }
-    
-    // Load spoofing detection model
-    try {
-      console.log('📥 Loading spoofing detection model...');
-      spoofingModel = await tf.loadLayersModel(MODEL_PATHS.spoofing);
-      console.log('✅ Spoofing model loaded successfully');
-      console.log(`   Input shape: ${JSON.stringify(spoofingModel.inputs[0].shape)}`);
-      console.log(`   Output shape: ${JSON.stringify(spoofingModel.outputs[0].shape)}`);
-    } catch (spoofError) {
-      console.warn('⚠️ Spoofing model not available:', spoofError.message);
-      spoofingModel = null;
+    // Keras 3 stores a single [name, node, tensor] triple instead of a list of them
+    if (typeof config.input_layers?.[0] === 'string') config.input_layers = [config.input_layers];
+    if (typeof config.output_layers?.[0] === 'string') config.output_layers = [config.output_layers];
+  }
+
+  const hashes = new Map((entry.weights || []).map((weight) => [weight.path, weight.sha256]));
+  const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+  const weightSpecs = [];
+  const buffers = [];
+
+  for (const group of modelJson.weightsManifest) {
+    for (const spec of group.weights) {
+      weightSpecs.push(keras3 ? { ...spec, name: spec.name.replace(/^(.+)_\1_(.+)$/, '$1/$2') } : spec);
     }
-    
-    modelsLoaded = true;
-    
-    // Log memory info
-    const memInfo = tf.memory();
-    console.log(`💾 TensorFlow.js memory: ${memInfo.numTensors} tensors, ${(memInfo.numBytes / 1024 / 1024).toFixed(2)} MB`);
-    
-    return { languageModel, accentModel, spoofingModel, languageLabels, spoofingConfig };
-    
+    for (const path of group.paths) {
+      const expectedHash = hashes.get(path);
+      if (!expectedHash) {
+        throw new Error(t('El manifiesto no tiene hash para {path} ({kind} v{version})', { path, kind: modelKindName(entry.kind), version: entry.version }));
+      }
+      const shard = await fetch(baseUrl + path);
+      if (!shard.ok) {
+        throw new Error(`HTTP ${shard.status} (${baseUrl + path})`);
+      }
+      const buffer = await shard.arrayBuffer();
+      const actualHash = await sha256Hex(buffer);
+      if (actualHash !== expectedHash) {
+        throw new Error(t('Integridad fallida en {path} ({kind} v{version}): SHA-256 {actual}… ≠ {expected}…', {
+          path,
+          kind: modelKindName(entry.kind),
+          version: entry.version,
+          actual: actualHash.slice(0, 12),
+          expected: expectedHash.slice(0, 12)
+        }));
+      }
+      buffers.push(buffer);
+    }
+  }
+
+  return tf.loadLayersModel(tf.io.fromMemory({
+    modelTopology: topology,
+    weightSpecs,
+    weightData: buffers
+  }));
+}
+
+/**
+ * Labels for an entry: an inline array or the URL of a JSON array
+ */
+async function loadEntryLabels(entry) {
+  if (Array.isArray(entry.labels)) return entry.labels;
+  if (typeof entry.labels === 'string') return fetchJson(entry.labels);
+  return null;
+}
+
+async function loadSpoofingConfig(entry) {
+  if (!entry.config) return { ...DEFAULT_SPOOFING_CONFIG };
+  try {
+    return { ...DEFAULT_SPOOFING_CONFIG, ...(await fetchJson(entry.config)) };
   } catch (error) {
-    console.error('❌ Error loading models:', error);
-    
-    if (error.message.includes('404')) {
-      throw new Error(
-        'No se encontraron los modelos. Asegúrate de haber entrenado y convertido los modelos a TensorFlow.js. ' +
-        'Los archivos deben estar en /public/models/language/'
-      );
+    console.warn('⚠️ Could not load spoofing config, using defaults:', error.message);
+    return { ...DEFAULT_SPOOFING_CONFIG };
+  }
+}
+
+/**
+ * Load and check the model of one manifest entry (not cached)
+ * @param {Object} entry - Manifest entry
+ * @returns {Promise<LoadedModel>}
+ */
+async function loadEntryModel(entry) {
+  const { kind } = entry;
+  await tf.ready();
+  checkFeatureRecipe(entry);
+
+  console.log(`📥 Loading ${kind} model v${entry.version} from ${entry.url}`);
+  const [model, rawLabels, config] = await Promise.all([
+    loadVerifiedLayersModel(entry),
+    loadEntryLabels(entry),
+    kind === 'spoofing' ? loadSpoofingConfig(entry) : Promise.resolve(null)
+  ]);
+
+  // Accents are only usable with the language each one belongs to
+  let labels = rawLabels;
+  let languages = null;
+  if (kind === 'accent') {
+    try {
+      ({ labels, languages } = parseAccentLabels(rawLabels));
+    } catch (error) {
+      model.dispose();
+      throw error;
+    }
+  }
+
+  const inputShape = model.inputs[0].shape;
+  const outputShape = model.outputs[0].shape;
+  if (!sameShape(inputShape, entry.inputShape)) {
+    model.dispose();
+    throw new Error(t('Forma de entrada {actual} distinta de la del manifiesto {expected}', { actual: JSON.stringify(inputShape), expected: JSON.stringify(entry.inputShape) }));
+  }
+  if (entry.outputShape && !sameShape(outputShape, entry.outputShape)) {
+    model.dispose();
+    throw new Error(t('Forma de salida {actual} distinta de la del manifiesto {expected}', { actual: JSON.stringify(outputShape), expected: JSON.stringify(entry.outputShape) }));
+  }
+  // Softmax heads need one label per output unit
+  if (kind !== 'spoofing' && labels && labels.length !== outputShape[1]) {
+    model.dispose();
+    throw new Error(t('{labels} etiquetas para {outputs} salidas en el modelo de {kind}', { labels: labels.length, outputs: outputShape[1], kind: modelKindName(kind) }));
+  }
+
+  console.log(`✅ ${kind} model v${entry.version} loaded (input ${JSON.stringify(inputShape)}, output ${JSON.stringify(outputShape)})`);
+  return { model, version: entry.version, entry, labels, languages, config };
+}
+
+/**
+ * Load one model kind (once per version)
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @returns {Promise<LoadedModel|null>} null when the manifest does not list the kind
+ */
+export function loadModel(kind) {
+  if (loading.has(kind)) return loading.get(kind);
+
+  const promise = (async () => {
+    const manifest = await loadManifest();
+    const entry = resolveModelEntry(manifest, kind, selectedVersions[kind]);
+    if (!entry) return null;
+
+    // Already loaded for an ensemble: take it over instead of loading it twice
+    const key = `${kind}@${entry.version}`;
+    const result = extraLoading.has(key) ? await extraLoading.get(key) : await loadEntryModel(entry);
+    extraLoading.delete(key);
+    extraLoaded.delete(key);
+    // Another version was selected while this one loaded
+    if (loading.get(kind) === promise) loaded.set(kind, result);
+    else retireModel(result.model);
+    return result;
+  })();
+
+  loading.set(kind, promise);
+  // A failed load is forgotten, so a network error does not stick: the next call retries
+  promise.catch(() => {
+    if (loading.get(kind) === promise) loading.delete(kind);
+  });
+  return promise;
+}
+
+/**
+ * Dispose a model that is no longer selected once no inference can be using it
+ * @param {tf.LayersModel} model
+ */
+function retireModel(model) {
+  retired.push(model);
+  disposeRetired();
+}
+
+function disposeRetired() {
+  if (activeInferences > 0) return;
+  for (const model of retired.splice(0)) model.dispose();
+}
+
+/**
+ * Run an inference; models replaced by setModelVersion() while it runs are only
+ * disposed after it (and every other running inference) has finished
+ * @template T
+ * @param {() => Promise<T>} run
+ * @returns {Promise<T>}
+ */
+export async function withModels(run) {
+  activeInferences++;
+  try {
+    return await run();
+  } finally {
+    activeInferences--;
+    disposeRetired();
+  }
+}
+
+/**
+ * Switch a model kind to another manifest version
+ * The new version starts loading right away; the current model is disposed once it
+ * has loaded and the inferences still using the old one have finished.
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {string|null} version - null goes back to the manifest default
+ */
+export async function setModelVersion(kind, version) {
+  const manifest = await loadManifest();
+  const entry = resolveModelEntry(manifest, kind, version);
+  if (!entry) throw new Error(t('El manifiesto no incluye modelos de {kind}', { kind: modelKindName(kind) }));
+
+  const current = loaded.get(kind);
+  if (version) selectedVersions[kind] = version;
+  else delete selectedVersions[kind];
+  if (current?.version === entry.version) return;
+
+  loading.delete(kind);
+  loaded.delete(kind);
+  console.log(`🔁 ${kind} model switched to v${entry.version}`);
+  if (current) {
+    // A failed load is reported by the next analysis, which retries it
+    loadModel(kind).catch(() => {}).finally(() => retireModel(current.model));
+  }
+}
+
+/**
+ * Apply several version choices at once
+ * @param {Record<string, string|null>} versions - kind → version (null = manifest default)
+ */
+export async function setModelVersions(versions) {
+  for (const [kind, version] of Object.entries(versions)) {
+    await setModelVersion(kind, version);
+  }
+}
+
+/**
+ * Versions of one model kind the manifest lists
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @returns {Promise<string[]>}
+ */
+export async function listVersions(kind) {
+  const manifest = await loadManifest();
+  return Object.keys(manifest.models[kind]?.versions || {});
+}
+
+/**
+ * Load several versions of one kind side by side (spoofing ensembles)
+ * The selected version is the one loadModel() uses; the others are cached apart
+ * until unloadModels(). Versions that fail to load are left out with a warning.
+ * @param {'language'|'accent'|'spoofing'} kind
+ * @param {string[]|null} [versions] - null = every version the manifest lists
+ * @returns {Promise<LoadedModel[]>} In the order asked for
+ */
+export async function loadModelVersions(kind, versions = null) {
+  const manifest = await loadManifest();
+  const wanted = versions ?? await listVersions(kind);
+  const selected = resolveModelEntry(manifest, kind, selectedVersions[kind]);
+  if (!selected) return [];
+
+  const results = await Promise.allSettled(wanted.map(async (version) => {
+    if (version === selected.version) return loadModel(kind);
+    const key = `${kind}@${version}`;
+    if (!extraLoading.has(key)) {
+      const promise = loadEntryModel(resolveModelEntry(manifest, kind, version));
+      promise.then((model) => extraLoaded.set(key, model), () => extraLoading.delete(key));
+      extraLoading.set(key, promise);
+    }
+    return extraLoading.get(key);
+  }));
+
+  return results.flatMap((result, i) => {
+    if (result.status === 'fulfilled' && result.value) return [result.value];
+    if (result.status === 'rejected') {
+      console.warn(`⚠️ ${kind} model v${wanted[i]} not available:`, result.reason.message);
     }
-    
-    throw new Error(`Error cargando modelos: ${error.message}`);
+    return [];
+  });
+}
+
+/**
+ * Load every model in the manifest
+ * The language model is required; accent and spoofing load independently and
+ * are null when unavailable.
+ * @returns {Promise<{languageModel: tf.LayersModel, accentModel: tf.LayersModel|null, spoofingModel: tf.LayersModel|null,
+ *   languageLabels: string[]|null, accentLabels: string[]|null, accentLanguages: string[]|null, spoofingConfig: object,
+ *   versions: Record<string, string>}>}
+ */
+export async function loadModels() {
+  const [language, accent, spoofing] = await Promise.allSettled(MODEL_KINDS.map(loadModel));
+
+  if (language.status === 'rejected') {
+    console.error('❌ Language model load error:', language.reason);
+    throw new Error(t('Error cargando modelo de idioma: {message}', { message: language.reason.message }));
+  }
+  if (!language.value) {
+    throw new Error(t('El manifiesto no incluye un modelo de idioma'));
+  }
+  if (accent.status === 'rejected') {
+    console.warn('⚠️ Accent model not available:', accent.reason.message);
+  }
+  if (spoofing.status === 'rejected') {
+    console.warn('⚠️ Spoofing model not available:', spoofing.reason.message);
   }
+
+  const accentModel = accent.status === 'fulfilled' ? accent.value : null;
+  const spoofingModel = spoofing.status === 'fulfilled' ? spoofing.value : null;
+
+  return {
+    languageModel: language.value.model,
+    accentModel: accentModel?.model ?? null,
+    spoofingModel: spoofingModel?.model ?? null,
+    languageLabels: language.value.labels,
+    accentLabels: accentModel?.labels ?? null,
+    accentLanguages: accentModel?.languages ?? null,
+    spoofingConfig: spoofingModel?.config ?? { ...DEFAULT_SPOOFING_CONFIG },
+    versions: getModelVersions()
+  };
+}
+
+/**
+ * Versions of the models currently loaded
+ * @returns {Record<string, string>}
+ */
+export function getModelVersions() {
+  return Object.fromEntries([...loaded].map(([kind, { version }]) => [kind, version]));
 }
 
 /**
  * Get loaded models (singleton pattern)
- * @returns {{languageModel: tf.LayersModel|null, accentModel: tf.LayersModel|null, spoofingModel: tf.LayersModel|null, languageLabels: string[]|null, spoofingConfig: object|null, modelsLoaded: boolean}}
+ * @returns {{languageModel: tf.LayersModel|null, accentModel: tf.LayersModel|null, spoofingModel: tf.LayersModel|null, languageLabels: string[]|null, spoofingConfig: object|null, modelsLoaded: boolean, versions: Record<string, string>}}
  */
 export function getModels() {
-  return { languageModel, accentModel, spoofingModel, languageLabels, spoofingConfig, modelsLoaded };
+  return {
+    languageModel: loaded.get('language')?.model ?? null,
+    accentModel: loaded.get('accent')?.model ?? null,
+    spoofingModel: loaded.get('spoofing')?.model ?? null,
+    languageLabels: loaded.get('language')?.labels ?? null,
+    spoofingConfig: loaded.get('spoofing')?.config ?? null,
+    modelsLoaded: loaded.has('language'),
+    versions: getModelVersions()
+  };
 }
 
 /**
  * Unload models and free memory
  */
 export function unloadModels() {
-  if (languageModel) {
-    languageModel.dispose();
-    languageModel = null;
-  }
-  if (accentModel) {
-    accentModel.dispose();
-    accentModel = null;
-  }
-  if (spoofingModel) {
-    spoofingModel.dispose();
-    spoofingModel = null;
+  for (const { model } of [...loaded.values(), ...extraLoaded.values()]) {
+    model.dispose();
   }
-  modelsLoaded = false;
-  languageLabels = null;
-  spoofingConfig = null;
+  loaded.clear();
+  loading.clear();
+  extraLoaded.clear();
+  extraLoading.clear();
   console.log('🗑️ Models unloaded and memory freed');
 }
@@ -0,0 +1,142 @@
+/**
+ * 📋 Model manifest for EpigrafIA
+ * public/models/manifest.json lists every model version with its URL, weight-shard
+ * SHA-256 hashes, labels, expected input shape and feature recipe. This module has no
+ * TF.js dependency so the page can read versions without pulling in the models.
+ */
+import { t } from './i18n.js';
+
+export const MANIFEST_URL = '/models/manifest.json';
+export const MODEL_VERSIONS_STORAGE_KEY = 'epigrafia.modelVersions';
+
+/**
+ * Model kinds the app knows about (a kind missing from the manifest is simply not loaded)
+ */
+export const MODEL_KINDS = ['language', 'accent', 'spoofing'];
+
+const KIND_NAMES = {
+    language: 'idioma',
+    accent: 'acento',
+    spoofing: 'spoofing'
+};
+
+let manifestPromise = null;
+
+/**
+ * Localised name of a model kind, for messages
+ * @param {string} kind
+ * @returns {string}
+ */
+export function modelKindName(kind) {
+    return KIND_NAMES[kind] ? t(KIND_NAMES[kind]) : kind;
+}
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} kind
+ * @property {string} name
+ * @property {string} version
+ * @property {string} url - model.json
+ * @property {{path: string, sha256: string}[]} weights
+ * @property {string|string[]|{label: string, language: string}[]} [labels] - labels.json URL or the labels themselves
+ *           (accent labels name their parent language, see accent.js)
+ * @property {string} [config] - config.json URL (spoofing)
+ * @property {(number|null)[]} inputShape
+ * @property {(number|null)[]} [outputShape]
+ * @property {Object} [features] - Feature recipe the model was trained on
+ */
+
+/**
+ * Fetch and sanity-check the manifest (once)
+ * @returns {Promise<{schemaVersion: number, models: Object}>}
+ */
+export function loadManifest() {
+    if (!manifestPromise) {
+        manifestPromise = fetch(MANIFEST_URL)
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} (${MANIFEST_URL})`);
+                return response.json();
+            })
+            .then((manifest) => {
+                if (manifest?.schemaVersion !== 1 || typeof manifest.models !== 'object') {
+                    throw new Error(t('Formato de manifest.json no soportado'));
+                }
+                return manifest;
+            })
+            .catch((error) => {
+                manifestPromise = null;
+                throw new Error(t('No se pudo leer el manifiesto de modelos: {message}', { message: error.message }));
+            });
+    }
+    return manifestPromise;
+}
+
+/**
+ * Manifest entry for one model version
+ * @param {Object} manifest
+ * @param {string} kind - 'language' | 'accent' | 'spoofing'
+ * @param {string|null} [version] - Defaults to the kind's `default`
+ * @returns {ModelEntry|null} null if the kind is not listed
+ */
+export function resolveModelEntry(manifest, kind, version = null) {
+    const model = manifest.models[kind];
+    if (!model) return null;
+
+    const resolved = version || model.default;
+    const entry = model.versions?.[resolved];
+    if (!entry) {
+        throw new Error(t('Versión {version} del modelo de {kind} no encontrada en el manifiesto', { version: resolved, kind: modelKindName(kind) }));
+    }
+    return { ...entry, kind, name: model.name || kind, version: resolved };
+}
+
+/**
+ * Versions available per model kind
+ * @param {Object} manifest
+ * @returns {{kind: string, name: string, default: string, versions: string[]}[]}
+ */
+export function listModelVersions(manifest) {
+    return MODEL_KINDS
+        .filter((kind) => manifest.models[kind])
+        .map((kind) => ({
+            kind,
+            name: manifest.models[kind].name || kind,
+            default: manifest.models[kind].default,
+            versions: Object.keys(manifest.models[kind].versions || {})
+        }));
+}
+
+/**
+ * Short human-readable summary in the page locale, e.g. "idioma 1.0.0 · spoofing 1.0.0"
+ * @param {Record<string, string|null>} versions
+ * @returns {string}
+ */
+export function formatModelVersions(versions) {
+    return MODEL_KINDS
+        .filter((kind) => versions?.[kind])
+        .map((kind) => `${modelKindName(kind)} ${versions[kind]}`)
+        .join(' · ');
+}
+
+/**
+ * Versions chosen in the UI (page only; workers receive them by message)
+ * @returns {Record<string, string>}
+ */
+export function readStoredModelVersions() {
+    try {
+        return JSON.parse(localStorage.getItem(MODEL_VERSIONS_STORAGE_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @param {Record<string, string>} versions
+ */
+export function storeModelVersions(versions) {
+    try {
+        localStorage.setItem(MODEL_VERSIONS_STORAGE_KEY, JSON.stringify(versions));
+    } catch {
+        // Storage disabled: the choice only lasts for this page load
+    }
+}
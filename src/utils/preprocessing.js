@@ -0,0 +1,335 @@
+/**
+ * 🎚️ Audio preprocessing for EpigrafIA
+ * One chain for every way audio reaches the models (recording, upload, batch, editor
+ * selection, live monitor, evaluation, the embeddable library). The browser's own
+ * capture processing is always off (CAPTURE_CONSTRAINTS); instead these stages run on
+ * the mono 16 kHz samples, in this order:
+ *
+ *   DC removal → high-pass → loudness normalisation (peak or LUFS) → noise gate → pre-emphasis
+ *
+ * Presets name reproducible combinations of them, and the preset used is stored with
+ * each result (`result.preprocessing`). The quality gate looks at the audio before this
+ * chain, so a DC offset or clipping is still reported.
+ */
+import { t } from './i18n.js';
+
+export const PREPROCESSING_STORAGE_KEY = 'epigrafia.preprocessing';
+
+/**
+ * getUserMedia audio constraints for every capture path: mono, no echo cancellation,
+ * noise suppression or automatic gain (they differ between browsers and devices)
+ */
+export const CAPTURE_CONSTRAINTS = {
+    channelCount: 1,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false
+};
+
+/**
+ * @typedef {Object} PreprocessingPreset
+ * @property {string} id
+ * @property {string} name - Spanish display name (translate with t())
+ * @property {string} description - Spanish, for tooltips
+ * @property {boolean} removeDc
+ * @property {number|null} highPassHz - Cut-off of a 2nd-order Butterworth high-pass
+ * @property {{mode: 'peak', targetDb: number}|{mode: 'lufs', targetLufs: number}|null} normalize
+ * @property {number|null} noiseGateDb - 10 ms frames quieter than this (dBFS, after normalisation) are muted
+ * @property {number|null} preEmphasis - Coefficient of y[n] = x[n] − a·x[n−1]
+ */
+
+/** @type {Record<string, PreprocessingPreset>} */
+export const PREPROCESSING_PRESETS = {
+    raw: {
+        id: 'raw',
+        name: 'Forense (sin procesar)',
+        description: 'Los modelos reciben el audio tal cual, sin ninguna modificación',
+        removeDc: false,
+        highPassHz: null,
+        normalize: null,
+        noiseGateDb: null,
+        preEmphasis: null
+    },
+    normalized: {
+        id: 'normalized',
+        name: 'Nivel normalizado',
+        description: 'Sin componente continua, paso alto a 50 Hz y pico a −1 dBFS: el nivel de grabación no cambia la entrada de los modelos',
+        removeDc: true,
+        highPassHz: 50,
+        normalize: { mode: 'peak', targetDb: -1 },
+        noiseGateDb: null,
+        preEmphasis: null
+    },
+    enhanced: {
+        id: 'enhanced',
+        name: 'Voz realzada',
+        description: 'Paso alto a 80 Hz, sonoridad a −23 LUFS, puerta de ruido a −50 dBFS y preénfasis 0,97',
+        removeDc: true,
+        highPassHz: 80,
+        normalize: { mode: 'lufs', targetLufs: -23 },
+        noiseGateDb: -50,
+        preEmphasis: 0.97
+    }
+};
+
+// The models get the audio unchanged unless the user picks another preset
+export const DEFAULT_PRESET = 'raw';
+
+// Renamed presets: old id → current id (stored choices and results keep the old one)
+/** @type {Record<string, string>} */
+const LEGACY_PRESET_IDS = {
+    training: 'normalized'
+};
+
+// Loudness normalisation never pushes the peak above this (dBFS)
+const PEAK_CEILING_DB = -1;
+
+/**
+ * Current id of a preset, for ids that were renamed
+ * @param {string} id
+ * @returns {string}
+ */
+export function canonicalPresetId(id) {
+    return LEGACY_PRESET_IDS[id] ?? id;
+}
+
+/**
+ * Preset by id (renamed ids included)
+ * @param {string} id
+ * @returns {PreprocessingPreset}
+ */
+export function resolvePreset(id) {
+    const preset = PREPROCESSING_PRESETS[canonicalPresetId(id)];
+    if (!preset) throw new Error(t('Preprocesado desconocido: {id}', { id }));
+    return preset;
+}
+
+/**
+ * Preset chosen in the UI (the default when none or an unknown one is stored; a
+ * renamed id is rewritten to the current one)
+ * @returns {string}
+ */
+export function getPreprocessingPreset() {
+    try {
+        const stored = localStorage.getItem(PREPROCESSING_STORAGE_KEY);
+        const id = stored && canonicalPresetId(stored);
+        if (id && PREPROCESSING_PRESETS[id]) {
+            if (id !== stored) localStorage.setItem(PREPROCESSING_STORAGE_KEY, id);
+            return id;
+        }
+    } catch {
+        // Storage disabled: default preset
+    }
+    return DEFAULT_PRESET;
+}
+
+/**
+ * @param {string} id
+ */
+export function setPreprocessingPreset(id) {
+    const preset = resolvePreset(id);
+    try {
+        localStorage.setItem(PREPROCESSING_STORAGE_KEY, preset.id);
+    } catch {
+        // Storage disabled: the choice only lasts for this page load
+    }
+}
+
+// ========== Stages (all in place) ==========
+
+/**
+ * @param {Float32Array} samples
+ */
+function removeDc(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i];
+    const mean = sum / Math.max(1, samples.length);
+    for (let i = 0; i < samples.length; i++) samples[i] -= mean;
+}
+
+/**
+ * Biquad filter (normalised coefficients, direct form I)
+ * @param {Float32Array} samples
+ * @param {{b0: number, b1: number, b2: number, a1: number, a2: number}} c
+ */
+function biquad(samples, { b0, b1, b2, a1, a2 }) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        samples[i] = y;
+    }
+}
+
+/**
+ * High-pass biquad coefficients (Audio EQ Cookbook)
+ * @param {number} cutoff - Hz
+ * @param {number} sampleRate
+ * @param {number} [q] - 1/√2 = Butterworth
+ */
+function highPassCoefficients(cutoff, sampleRate, q = Math.SQRT1_2) {
+    const w = 2 * Math.PI * cutoff / sampleRate;
+    const alpha = Math.sin(w) / (2 * q);
+    const cos = Math.cos(w);
+    const a0 = 1 + alpha;
+    return {
+        b0: (1 + cos) / 2 / a0,
+        b1: -(1 + cos) / a0,
+        b2: (1 + cos) / 2 / a0,
+        a1: -2 * cos / a0,
+        a2: (1 - alpha) / a0
+    };
+}
+
+/**
+ * High-shelf biquad coefficients (Audio EQ Cookbook)
+ * @param {number} frequency - Hz
+ * @param {number} gainDb
+ * @param {number} sampleRate
+ * @param {number} [q]
+ */
+function highShelfCoefficients(frequency, gainDb, sampleRate, q = Math.SQRT1_2) {
+    const A = 10 ** (gainDb / 40);
+    const w = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w) / (2 * q);
+    const cos = Math.cos(w);
+    const root = 2 * Math.sqrt(A) * alpha;
+    const a0 = (A + 1) - (A - 1) * cos + root;
+    return {
+        b0: A * ((A + 1) + (A - 1) * cos + root) / a0,
+        b1: -2 * A * ((A - 1) + (A + 1) * cos) / a0,
+        b2: A * ((A + 1) + (A - 1) * cos - root) / a0,
+        a1: 2 * ((A - 1) - (A + 1) * cos) / a0,
+        a2: ((A + 1) - (A - 1) * cos - root) / a0
+    };
+}
+
+/**
+ * @param {Float32Array} samples
+ */
+function peakOf(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    return peak;
+}
+
+/**
+ * Integrated loudness (ITU-R BS.1770: K-weighting, 400 ms blocks with 75 % overlap,
+ * −70 LUFS absolute and −10 LU relative gates)
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number} LUFS, -Infinity for silence
+ */
+export function integratedLoudness(samples, sampleRate) {
+    const weighted = new Float32Array(samples);
+    biquad(weighted, highShelfCoefficients(1500, 4, sampleRate));
+    biquad(weighted, highPassCoefficients(38, sampleRate, 0.5));
+
+    const blockLength = Math.round(0.4 * sampleRate);
+    const step = Math.round(0.1 * sampleRate);
+    const blocks = [];
+    for (let start = 0; start + blockLength <= weighted.length; start += step) {
+        let sum = 0;
+        for (let i = start; i < start + blockLength; i++) sum += weighted[i] * weighted[i];
+        blocks.push(sum / blockLength);
+    }
+    // Clips shorter than one block: measure them whole
+    if (blocks.length === 0 && weighted.length > 0) {
+        let sum = 0;
+        for (let i = 0; i < weighted.length; i++) sum += weighted[i] * weighted[i];
+        blocks.push(sum / weighted.length);
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const aboveAbsolute = blocks.filter((power) => loudness(power) > -70);
+    if (aboveAbsolute.length === 0) return -Infinity;
+    const relativeGate = loudness(mean(aboveAbsolute)) - 10;
+    const gated = aboveAbsolute.filter((power) => loudness(power) > relativeGate);
+    return loudness(mean(gated));
+}
+
+/**
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {NonNullable<PreprocessingPreset['normalize']>} normalize
+ */
+function normalizeLevel(samples, sampleRate, normalize) {
+    const peak = peakOf(samples);
+    if (peak === 0) return;
+
+    let gain;
+    if (normalize.mode === 'peak') {
+        gain = 10 ** (normalize.targetDb / 20) / peak;
+    } else {
+        const lufs = integratedLoudness(samples, sampleRate);
+        if (!Number.isFinite(lufs)) return;
+        gain = Math.min(10 ** ((normalize.targetLufs - lufs) / 20), 10 ** (PEAK_CEILING_DB / 20) / peak);
+    }
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+}
+
+/**
+ * Mute 10 ms frames below the threshold, with 5 ms gain ramps so no clicks are added
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} thresholdDb
+ */
+function noiseGate(samples, sampleRate, thresholdDb) {
+    const frameLength = Math.max(1, Math.round(0.01 * sampleRate));
+    const threshold = 10 ** (thresholdDb / 20);
+    const smoothing = 1 - Math.exp(-1 / (0.005 * sampleRate));
+
+    let gain = 0;
+    for (let start = 0; start < samples.length; start += frameLength) {
+        const end = Math.min(start + frameLength, samples.length);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+        const target = Math.sqrt(sum / (end - start)) >= threshold ? 1 : 0;
+        for (let i = start; i < end; i++) {
+            gain += (target - gain) * smoothing;
+            samples[i] *= gain;
+        }
+    }
+}
+
+/**
+ * @param {Float32Array} samples
+ * @param {number} coefficient
+ */
+function preEmphasis(samples, coefficient) {
+    for (let i = samples.length - 1; i > 0; i--) samples[i] -= coefficient * samples[i - 1];
+}
+
+/**
+ * Run a preset's stages on mono samples
+ * @param {Float32Array} samples - Not modified
+ * @param {number} sampleRate
+ * @param {string} [presetId]
+ * @returns {{samples: Float32Array, preset: string}} A new array, even for the raw preset
+ */
+export function applyPreprocessing(samples, sampleRate, presetId = getPreprocessingPreset()) {
+    const preset = resolvePreset(presetId);
+    const out = new Float32Array(samples);
+
+    if (preset.removeDc) removeDc(out);
+    if (preset.highPassHz) biquad(out, highPassCoefficients(preset.highPassHz, sampleRate));
+    if (preset.normalize) normalizeLevel(out, sampleRate, preset.normalize);
+    if (preset.noiseGateDb !== null) noiseGate(out, sampleRate, preset.noiseGateDb);
+    if (preset.preEmphasis) preEmphasis(out, preset.preEmphasis);
+
+    return { samples: out, preset: preset.id };
+}
+
+/**
+ * Display name of a preset id stored with a result
+ * @param {string|null|undefined} id
+ * @returns {string}
+ */
+export function presetLabel(id) {
+    const preset = id ? PREPROCESSING_PRESETS[canonicalPresetId(id)] : null;
+    return preset ? t(preset.name) : t('Sin preprocesado registrado');
+}
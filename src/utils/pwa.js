@@ -0,0 +1,112 @@
+/**
+ * 📲 Service worker client for EpigrafIA
+ * Registers /sw.js (production builds only: it is generated by the build, see
+ * src/integrations/serviceWorker.mjs), reports waiting updates with the model
+ * versions they bring, and tracks connectivity.
+ */
+
+// How often an open tab asks the server for a new sw.js
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Whether the app can be installed and used offline in this browser
+ * @returns {boolean}
+ */
+export function isServiceWorkerSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Ask a service worker for its build id and precached model versions
+ * @param {ServiceWorker|null} worker
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<{build: string, models: Record<string, string>}|null>} null when it does not answer
+ */
+export function getWorkerInfo(worker, timeoutMs = 2000) {
+    if (!worker) return Promise.resolve(null);
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), timeoutMs);
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        worker.postMessage({ type: 'info' }, [channel.port2]);
+    });
+}
+
+/**
+ * @typedef {Object} PendingUpdate
+ * @property {{kind: string, from: string|null, to: string|null}[]} modelChanges - Empty for app-only updates
+ * @property {() => void} apply - Activate the new version and reload
+ */
+
+/**
+ * Register the service worker
+ * @param {{onUpdate?: (update: PendingUpdate) => void}} [options]
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker({ onUpdate = () => {} } = {}) {
+    if (!isServiceWorkerSupported() || !import.meta.env.PROD) return null;
+
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    let updateAccepted = false;
+
+    async function announce(worker) {
+        const [current, next] = await Promise.all([
+            getWorkerInfo(navigator.serviceWorker.controller),
+            getWorkerInfo(worker)
+        ]);
+        const kinds = new Set([...Object.keys(current?.models ?? {}), ...Object.keys(next?.models ?? {})]);
+        const modelChanges = [...kinds]
+            .map((kind) => ({ kind, from: current?.models[kind] ?? null, to: next?.models[kind] ?? null }))
+            .filter(({ from, to }) => from !== to);
+
+        onUpdate({
+            modelChanges,
+            apply: () => {
+                updateAccepted = true;
+                worker.postMessage({ type: 'skip-waiting' });
+            }
+        });
+    }
+
+    // The first install also takes control (clients.claim); only reload for accepted updates
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) location.reload();
+    });
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        announce(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                announce(worker);
+            }
+        });
+    });
+
+    const checkForUpdate = () => registration.update().catch(() => {});
+    setInterval(checkForUpdate, UPDATE_CHECK_MS);
+    window.addEventListener('online', checkForUpdate);
+
+    return registration;
+}
+
+/**
+ * Call `callback` with the connectivity now and whenever it changes
+ * @param {(online: boolean) => void} callback
+ * @returns {() => void} Stops watching
+ */
+export function watchConnectivity(callback) {
+    const update = () => callback(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+    return () => {
+        window.removeEventListener('online', update);
+        window.removeEventListener('offline', update);
+    };
+}
@@ -0,0 +1,453 @@
+/**
+ * 🧾 Forensic report export for EpigrafIA
+ * Turns one or more analyses (history entries or the current result) into
+ * JSON, CSV or a printable HTML page (print → "Save as PDF") for investigation tickets.
+ */
+import { decodeToMono } from './resample.js';
+import { loadLabels, getLabels } from './labels.js';
+import { spoofingVerdict } from './verdict.js';
+import { loadManifest, resolveModelEntry } from './modelManifest.js';
+import { applyDecision } from './decision.js';
+import { PREPROCESSING_PRESETS, canonicalPresetId } from './preprocessing.js';
+import { t, getLocale, dateLocale } from './i18n.js';
+
+// Spoofing model version → Promise of its config.json
+const modelMetadata = new Map();
+
+/**
+ * @typedef {Object} ReportSource
+ * @property {Blob} audio
+ * @property {{type: 'mic'|'file', name: string}} source
+ * @property {Object} result - /api/analyze-shaped result (with `preprocessing`, the preset id)
+ * @property {string} engine
+ * @property {string|null} [modelVersion]
+ * @property {{metrics: Object, issues: Object[]}|null} [quality]
+ * @property {number|null} [duration]
+ * @property {number} timestamp
+ * @property {number} [analyzedAt]
+ */
+
+/**
+ * SHA-256 of a blob as lowercase hex
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Spoofing model metadata from the config.json the manifest lists (fetched once per version)
+ * @param {string|null} [version] - Manifest version; defaults to the manifest's default
+ * @returns {Promise<any>}
+ */
+export function fetchModelMetadata(version = null) {
+    const key = version ?? '';
+    if (!modelMetadata.has(key)) {
+        modelMetadata.set(key, loadManifest()
+            .then((manifest) => {
+                const entry = resolveModelEntry(manifest, 'spoofing', version);
+                return entry?.config ? fetch(entry.config) : null;
+            })
+            .then((response) => (response?.ok ? response.json() : null))
+            .catch(() => null));
+    }
+    return modelMetadata.get(key);
+}
+
+/**
+ * Map a probability vector onto its labels ({label: p}); null when unknown
+ */
+function labelled(probabilities, labels) {
+    if (!Array.isArray(probabilities)) return null;
+    return Object.fromEntries(probabilities.map((p, i) => [labels[i] ?? `clase_${i}`, p]));
+}
+
+/**
+ * Build the machine-readable record for one analysis
+ * @param {ReportSource} entry
+ * @returns {Promise<Object>}
+ */
+export async function buildReportRecord(entry) {
+    const { quality } = entry;
+    // Exports state the verdict of the threshold in use, not the one of the analysis
+    const result = applyDecision(entry.result);
+    const metrics = quality?.metrics ?? {};
+    // Remote results carry no per-model versions; the manifest default is the best guess
+    const spoofingVersion = result.model_versions?.spoofing ?? null;
+    const [spoofingConfig, labels] = await Promise.all([fetchModelMetadata(spoofingVersion), loadLabels()]);
+    const spoofing = result.spoofing;
+
+    return {
+        file_name: entry.source?.type === 'mic' ? 'microphone-recording.wav' : entry.source?.name,
+        source: entry.source?.type ?? null,
+        sha256: await sha256Hex(entry.audio),
+        size_bytes: entry.audio.size,
+        duration_seconds: entry.duration ?? metrics.duration ?? null,
+        original_sample_rate: metrics.originalSampleRate ?? null,
+        analysis_sample_rate: metrics.sampleRate ?? null,
+        analyzed_at: new Date(entry.analyzedAt ?? entry.timestamp).toISOString(),
+        engine: entry.engine,
+        model_version: entry.modelVersion ?? null,
+        model_versions: result.model_versions ?? null,
+        preprocessing: result.preprocessing ?? null,
+        uncertainty: result.uncertainty ?? null,
+        language: {
+            prediction: result.language_prediction,
+            label: labels.language[result.language_prediction] ?? null,
+            confidence: result.language_confidence,
+            probabilities: labelled(result.language_probabilities, labels.language)
+        },
+        accent: result.accent_prediction == null ? null : {
+            prediction: result.accent_prediction,
+            label: labels.accent[result.accent_prediction] ?? null,
+            confidence: result.accent_confidence,
+            probabilities: labelled(result.accent_probabilities, labels.accent)
+        },
+        spoofing: spoofing ? {
+            label: spoofing.label,
+            is_genuine: spoofing.is_genuine,
+            spoof_probability: spoofing.spoof_probability,
+            probabilities: {
+                [labels.spoofing[0]]: 1 - spoofing.spoof_probability,
+                [labels.spoofing[1]]: spoofing.spoof_probability
+            },
+            threshold: spoofing.threshold,
+            model_threshold: spoofing.model_threshold,
+            threshold_source: spoofing.threshold_source
+        } : null,
+        spoofing_model: spoofingConfig ? {
+            type: spoofingConfig.modelType,
+            version: spoofingVersion,
+            description: spoofingConfig.description,
+            input_shape: spoofingConfig.inputShape,
+            sample_rate: spoofingConfig.sampleRate,
+            n_mfcc: spoofingConfig.nMfcc,
+            metrics: spoofingConfig.metrics
+        } : null,
+        aggregation: result.aggregation ?? null,
+        segments: result.segments ?? null,
+        quality: quality ? { metrics: quality.metrics, issues: quality.issues } : null
+    };
+}
+
+/**
+ * @param {Object[]} records - From buildReportRecord
+ * @returns {string}
+ */
+export function toJSON(records) {
+    return JSON.stringify({
+        tool: 'EpigrafIA',
+        generated_at: new Date().toISOString(),
+        reports: records
+    }, null, 2);
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    // Text a spreadsheet would run as a formula (file names, labels, issue codes) is
+    // prefixed with ' so it stays text; numbers, negative ones included, are left as they are
+    const text = typeof value !== 'number' && /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per analysis; per-class probabilities get one column each
+ * @param {Object[]} records - From buildReportRecord
+ * @returns {string}
+ */
+export function toCSV(records) {
+    const labels = getLabels();
+    const spoofClasses = [...new Set(records.flatMap((r) => Object.keys(r.spoofing?.probabilities ?? {})))];
+
+    const columns = [
+        ['file_name', (r) => r.file_name],
+        ['sha256', (r) => r.sha256],
+        ['duration_seconds', (r) => r.duration_seconds],
+        ['original_sample_rate', (r) => r.original_sample_rate],
+        ['analysis_sample_rate', (r) => r.analysis_sample_rate],
+        ['analyzed_at', (r) => r.analyzed_at],
+        ['engine', (r) => r.engine],
+        ['model_version', (r) => r.model_version],
+        ['preprocessing', (r) => r.preprocessing],
+        ['language', (r) => r.language.label],
+        ['language_confidence', (r) => r.language.confidence],
+        ['language_spread', (r) => r.uncertainty?.language],
+        ...labels.language.map((label) => [`p_language_${label}`, (r) => r.language.probabilities?.[label]]),
+        ['accent', (r) => r.accent?.label],
+        ['accent_confidence', (r) => r.accent?.confidence],
+        ...labels.accent.map((label) => [`p_accent_${label}`, (r) => r.accent?.probabilities?.[label]]),
+        ['spoofing_label', (r) => r.spoofing?.label],
+        ...spoofClasses.map((label) => [`p_spoofing_${label}`, (r) => r.spoofing?.probabilities[label]]),
+        ['spoof_spread', (r) => r.uncertainty?.spoofing],
+        ['tta_variants', (r) => r.uncertainty?.variants],
+        ['spoofing_ensemble', (r) => r.uncertainty?.spoofing_versions.join(' ')],
+        ['threshold', (r) => r.spoofing?.threshold],
+        ['model_threshold', (r) => r.spoofing?.model_threshold],
+        ['threshold_source', (r) => r.spoofing?.threshold_source],
+        ['spoofing_model', (r) => r.spoofing_model?.type],
+        ['spoofing_model_accuracy', (r) => r.spoofing_model?.metrics?.accuracy],
+        ['spoofing_model_auc', (r) => r.spoofing_model?.metrics?.auc],
+        ['spoofing_model_eer', (r) => r.spoofing_model?.metrics?.eer],
+        ['quality_issues', (r) => r.quality?.issues.map((issue) => issue.code).join(' ')]
+    ];
+
+    const lines = [columns.map(([name]) => csvCell(name)).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(([, get]) => csvCell(get(record))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Trigger a file download in the browser
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Report file name stem, e.g. epigrafia-informe-2025-01-31T10-20-00
+ * @returns {string}
+ */
+export function reportFileStem() {
+    return `epigrafia-informe-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+}
+
+// ========== Printable report ==========
+
+/**
+ * Element with attributes and children; strings become text nodes, null and false are skipped
+ * @param {string} tag
+ * @param {Record<string, string>|null} [attributes]
+ * @param {...(Node|string|null|false|undefined)} children
+ * @returns {HTMLElement}
+ */
+function el(tag, attributes = null, ...children) {
+    const element = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes ?? {})) element.setAttribute(name, value);
+    for (const child of children) {
+        if (child !== null && child !== undefined && child !== false) element.append(child);
+    }
+    return element;
+}
+
+function text(value) {
+    return value === null || value === undefined ? '—' : String(value);
+}
+
+function percent(value, digits = 1) {
+    return typeof value === 'number' ? `${(value * 100).toFixed(digits)}%` : '—';
+}
+
+function row(label, value) {
+    return el('tr', null, el('td', null, label), el('td', null, value));
+}
+
+/**
+ * Waveform of the clip as a PNG data URL (drawWaveform on a light background)
+ * @param {Blob} audio
+ * @returns {Promise<string|null>}
+ */
+async function waveformImage(audio) {
+    try {
+        const [{ drawWaveform }, { samples }] = await Promise.all([
+            import('./audioProcessing.js'),
+            decodeToMono(audio)
+        ]);
+        const canvas = document.createElement('canvas');
+        canvas.width = 900;
+        canvas.height = 120;
+        drawWaveform(samples, canvas, { background: '#ffffff', color: '#6d28d9' });
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        console.warn('⚠️ Could not render waveform for report:', error);
+        return null;
+    }
+}
+
+// Verdict card: icon, confidence bar, description and model details
+function verdictElement(record) {
+    if (!record.spoofing) {
+        return el('div', { class: 'verdict' }, el('p', null, t('Detección de spoofing no disponible')));
+    }
+    const verdict = spoofingVerdict(record.spoofing.is_genuine);
+    const spoofProbability = record.spoofing.spoof_probability;
+    const confidence = record.spoofing.is_genuine ? 1 - spoofProbability : spoofProbability;
+    const metrics = record.spoofing_model?.metrics;
+    const model = `${record.spoofing_model?.type ?? 'spoofing'}${record.spoofing_model?.version ? ` v${record.spoofing_model.version}` : ''}`;
+
+    return el('div', { class: `verdict ${verdict.color}` },
+        el('div', { class: 'verdict-head' },
+            el('div', { class: 'verdict-icon' }, verdict.icon),
+            el('div', null,
+                el('h3', null, verdict.text),
+                el('p', { class: 'muted' }, t('Detección de Spoofing')))),
+        el('div', { class: 'bar-label' }, el('span', null, t('Confianza')), el('strong', null, percent(confidence))),
+        el('div', { class: 'bar' }, el('div', { style: `width:${(confidence * 100).toFixed(1)}%` })),
+        el('p', null, verdict.description),
+        el('div', { class: 'tech' },
+            el('span', null, t('Modelo: {name}', { name: model })),
+            el('span', null, metrics ? `AUC: ${percent(metrics.auc, 0)} | Accuracy: ${percent(metrics.accuracy)}` : ''),
+            el('span', null, t('Umbral: {threshold} · P(artificial) {probability}', {
+                threshold: text(record.spoofing.threshold),
+                probability: percent(spoofProbability)
+            }))));
+}
+
+function probabilityTable(probabilities) {
+    const table = el('table');
+    for (const [label, p] of Object.entries(probabilities ?? {})) table.append(row(label, percent(p)));
+    return table;
+}
+
+function qualityElements(record) {
+    if (!record.quality) return [el('p', { class: 'muted' }, t('Métricas de calidad no disponibles.'))];
+    const m = record.quality.metrics;
+    const issues = record.quality.issues.length
+        ? el('ul', null, ...record.quality.issues.map((issue) => el('li', null, issue.message)))
+        : el('p', { class: 'muted' }, t('Sin incidencias.'));
+    return [
+        el('table', null,
+            row(t('Nivel RMS'), `${m.rmsDb.toFixed(1)} dBFS`),
+            row(t('Pico'), m.peak.toFixed(3)),
+            row(t('Muestras saturadas'), percent(m.clippingRatio, 2)),
+            row(t('Desplazamiento DC'), m.dcOffset.toFixed(4)),
+            row(t('Voz detectada'), `${m.voicedSeconds.toFixed(1)} s (${percent(m.voicedRatio, 0)})`),
+            row(t('SNR estimada'), `${m.snrDb.toFixed(0)} dB`)),
+        issues
+    ];
+}
+
+async function recordElement(record, audio) {
+    const image = await waveformImage(audio);
+    const sampleRate = t('{rate} Hz (análisis)', { rate: text(record.analysis_sample_rate) });
+    const preset = record.preprocessing ? PREPROCESSING_PRESETS[canonicalPresetId(record.preprocessing)] : null;
+    const engine = record.engine === 'remote' ? t('Servidor') : t('Navegador (TF.js)');
+
+    return el('article', null,
+        el('h2', null, text(record.file_name)),
+        el('table', { class: 'meta' },
+            el('tr', null, el('td', null, 'SHA-256'), el('td', { class: 'mono' }, record.sha256)),
+            row(t('Fecha de análisis'), new Date(record.analyzed_at).toLocaleString(dateLocale())),
+            row(t('Duración'), record.duration_seconds ? `${record.duration_seconds.toFixed(2)} s` : '—'),
+            row(t('Frecuencia de muestreo'), record.original_sample_rate
+                ? `${t('{rate} Hz (original)', { rate: record.original_sample_rate })} · ${sampleRate}`
+                : sampleRate),
+            row(t('Motor'), record.model_version ? `${engine} · ${t('modelos: {version}', { version: record.model_version })}` : engine),
+            row(t('Preprocesado'), record.preprocessing ? (preset ? t(preset.name) : record.preprocessing) : t('No registrado')),
+            record.uncertainty && row(t('Modo robusto'), t('{count} variantes · spoofing: {versions}', {
+                count: record.uncertainty.variants,
+                versions: record.uncertainty.spoofing_versions.map((version) => `v${version}`).join(' + ')
+            }))),
+        image && el('img', { class: 'waveform', src: image, alt: t('Forma de onda') }),
+        el('div', { class: 'columns' },
+            verdictElement(record),
+            el('div', null,
+                el('h4', null, `${t('Idioma')}: ${text(record.language.label)} (${percent(record.language.confidence)})`),
+                probabilityTable(record.language.probabilities),
+                record.accent && el('h4', null, `${t('Acento')}: ${text(record.accent.label)} (${percent(record.accent.confidence)})`),
+                record.accent && probabilityTable(record.accent.probabilities),
+                el('h4', null, t('Calidad del audio')),
+                ...qualityElements(record))));
+}
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, sans-serif; color: #111; margin: 2rem; }
+  header { border-bottom: 2px solid #111; margin-bottom: 1.5rem; }
+  article { page-break-inside: avoid; margin-bottom: 2.5rem; }
+  article + article { page-break-before: always; }
+  h1 { margin: 0 0 .25rem; } h2 { margin: 0 0 .75rem; word-break: break-all; }
+  h4 { margin: 1rem 0 .25rem; }
+  table { border-collapse: collapse; font-size: .85rem; }
+  td { padding: .15rem .75rem .15rem 0; vertical-align: top; }
+  .meta td:first-child, table td:first-child { color: #555; }
+  .mono { font-family: ui-monospace, monospace; font-size: .75rem; word-break: break-all; }
+  .muted { color: #666; font-size: .85rem; }
+  .waveform { width: 100%; border: 1px solid #ddd; border-radius: 8px; margin: 1rem 0; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem; }
+  .verdict { border: 2px solid; border-radius: 16px; padding: 1.25rem; }
+  .verdict.green { border-color: #22c55e; } .verdict.red { border-color: #ef4444; }
+  .verdict-head { display: flex; gap: .75rem; align-items: center; margin-bottom: 1rem; }
+  .verdict-head h3 { margin: 0; } .verdict.green h3 { color: #15803d; } .verdict.red h3 { color: #b91c1c; }
+  .verdict-icon { width: 3rem; height: 3rem; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 1.5rem; }
+  .verdict.green .verdict-icon { background: #dcfce7; } .verdict.red .verdict-icon { background: #fee2e2; }
+  .bar-label { display: flex; justify-content: space-between; font-size: .85rem; margin-bottom: .35rem; }
+  .bar { height: .6rem; background: #eee; border-radius: 999px; overflow: hidden; }
+  .bar div { height: 100%; } .verdict.green .bar div { background: #22c55e; } .verdict.red .bar div { background: #ef4444; }
+  .tech { margin-top: 1rem; padding-top: .75rem; border-top: 1px solid #ddd; display: flex; flex-direction: column; gap: .2rem; font-size: .75rem; color: #555; }
+  @media print { body { margin: 0; } }
+`;
+
+/**
+ * Printable document for one or more analyses, in the active locale
+ * @param {Object[]} records - From buildReportRecord
+ * @param {Blob[]} audios - Matching audio blobs (for the waveforms)
+ * @returns {Promise<Document>}
+ */
+export async function buildPrintableReport(records, audios) {
+    const report = document.implementation.createHTMLDocument(reportFileStem());
+    report.documentElement.lang = getLocale();
+    report.head.prepend(el('meta', { charset: 'utf-8' }));
+    report.head.append(el('style', null, PRINT_STYLES));
+    const params = { date: new Date().toLocaleString(dateLocale()), count: records.length };
+    report.body.append(el('header', null,
+        el('h1', null, t('EpigrafIA · Informe de análisis')),
+        el('p', { class: 'muted' }, records.length === 1
+            ? t('Generado el {date} · {count} audio', params)
+            : t('Generado el {date} · {count} audios', params))));
+    for (let i = 0; i < records.length; i++) {
+        report.body.append(await recordElement(records[i], audios[i]));
+    }
+    return report;
+}
+
+/**
+ * Export analyses in the requested format
+ * For 'print' the report opens in a new window; call this straight from a click
+ * handler so the window is not blocked as a pop-up.
+ * @param {ReportSource[]} entries
+ * @param {'json'|'csv'|'print'} format
+ */
+export async function exportReport(entries, format) {
+    if (entries.length === 0) throw new Error(t('No hay análisis que exportar'));
+
+    // Open the window before any await so pop-up blockers allow it
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+    if (format === 'print' && !printWindow) {
+        throw new Error(t('El navegador bloqueó la ventana del informe'));
+    }
+
+    try {
+        const records = [];
+        for (const entry of entries) {
+            records.push(await buildReportRecord(entry));
+        }
+
+        if (format === 'json') {
+            downloadBlob(new Blob([toJSON(records)], { type: 'application/json' }), `${reportFileStem()}.json`);
+        } else if (format === 'csv') {
+            downloadBlob(new Blob([toCSV(records)], { type: 'text/csv;charset=utf-8' }), `${reportFileStem()}.csv`);
+        } else {
+            const report = await buildPrintableReport(records, entries.map((entry) => entry.audio));
+            const target = printWindow.document;
+            target.replaceChild(target.importNode(report.documentElement, true), target.documentElement);
+            printWindow.focus();
+            printWindow.setTimeout(() => printWindow.print(), 300);
+        }
+    } catch (error) {
+        // Do not leave an empty report window behind
+        printWindow?.close();
+        throw error;
+    }
+}
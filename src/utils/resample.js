@@ -0,0 +1,295 @@
+/**
+ * 🎚️ Decoding, downmix and resampling for EpigrafIA
+ * Shared by the recording and upload paths so both reach the models as mono 16 kHz.
+ *
+ * Resampling uses the browser's decoder at 16 kHz (OfflineAudioContext) when it can,
+ * and otherwise a band-limited windowed-sinc (Kaiser) resampler in plain JavaScript.
+ */
+import { t } from './i18n.js';
+
+export const TARGET_SAMPLE_RATE = 16000;
+
+// ADTS sampling_frequency_index → Hz
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * How multi-channel audio is reduced to mono
+ */
+export const DOWNMIX_STRATEGIES = ['average', 'left', 'right'];
+
+/**
+ * Reduce an AudioBuffer to a single channel
+ * @param {AudioBuffer} audioBuffer
+ * @param {'average'|'left'|'right'} [strategy='average']
+ * @returns {Float32Array} A new array (never the buffer's own channel data)
+ */
+export function downmix(audioBuffer, strategy = 'average') {
+    const channels = audioBuffer.numberOfChannels;
+
+    if (channels === 1 || strategy === 'left') {
+        return Float32Array.from(audioBuffer.getChannelData(0));
+    }
+    if (strategy === 'right') {
+        return Float32Array.from(audioBuffer.getChannelData(1));
+    }
+    if (strategy !== 'average') {
+        throw new Error(t('Estrategia de mezcla desconocida: {strategy}', { strategy }));
+    }
+
+    const mono = new Float32Array(audioBuffer.length);
+    for (let c = 0; c < channels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i];
+        }
+    }
+    for (let i = 0; i < mono.length; i++) {
+        mono[i] /= channels;
+    }
+    return mono;
+}
+
+// Zeroth-order modified Bessel function of the first kind (Kaiser window)
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const half = x / 2;
+    for (let k = 1; k < 50; k++) {
+        term *= (half / k) * (half / k);
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+const kaiserCache = new Map();
+
+// Kaiser window sampled on [0, 1] (distance from the centre / half width)
+function kaiserTable(beta, size = 4096) {
+    if (!kaiserCache.has(beta)) {
+        const table = new Float64Array(size + 1);
+        const norm = besselI0(beta);
+        for (let i = 0; i <= size; i++) {
+            const r = i / size;
+            table[i] = besselI0(beta * Math.sqrt(1 - r * r)) / norm;
+        }
+        kaiserCache.set(beta, table);
+    }
+    return kaiserCache.get(beta);
+}
+
+/**
+ * Band-limited resampling with a Kaiser-windowed sinc filter
+ * The low-pass cut-off sits at `rolloff` × the lower of the two Nyquist frequencies,
+ * so downsampling 44.1/48 kHz → 16 kHz does not alias.
+ * @param {Float32Array} input
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @param {{zeroCrossings?: number, rolloff?: number, beta?: number}} [options]
+ * @returns {Float32Array}
+ */
+export function resampleSinc(input, fromRate, toRate, options = {}) {
+    const { zeroCrossings = 16, rolloff = 0.945, beta = 8.6 } = options;
+    if (fromRate === toRate) return Float32Array.from(input);
+
+    const ratio = toRate / fromRate;
+    const outLength = Math.round(input.length * ratio);
+    const output = new Float32Array(outLength);
+
+    // Cut-off relative to the input Nyquist, and filter half width in input samples
+    const cutoff = Math.min(1, ratio) * rolloff;
+    const halfWidth = zeroCrossings / cutoff;
+    const window = kaiserTable(beta);
+    const tableScale = (window.length - 1) / halfWidth;
+
+    for (let n = 0; n < outLength; n++) {
+        const centre = n / ratio;
+        const first = Math.max(0, Math.ceil(centre - halfWidth));
+        const last = Math.min(input.length - 1, Math.floor(centre + halfWidth));
+
+        let sum = 0;
+        for (let k = first; k <= last; k++) {
+            const x = k - centre;
+            const arg = Math.PI * cutoff * x;
+            const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+            sum += input[k] * cutoff * sinc * window[Math.round(Math.abs(x) * tableScale)];
+        }
+        output[n] = sum;
+    }
+
+    return output;
+}
+
+/**
+ * Pad with silence or truncate to an exact number of samples
+ * @param {Float32Array} samples
+ * @param {number} length
+ * @returns {Float32Array}
+ */
+export function padOrTrim(samples, length) {
+    if (samples.length === length) return samples;
+    if (samples.length > length) return samples.slice(0, length);
+    const padded = new Float32Array(length);
+    padded.set(samples);
+    return padded;
+}
+
+/**
+ * Sample rate the audio was encoded at, read from the container or stream header
+ * decodeAudioData always resamples to its context rate (AudioBuffer.sampleRate is that
+ * rate, not the file's), so the header is the only way to know it. Understands WAV,
+ * FLAC, Ogg (Vorbis, Opus), MP3, ADTS AAC, MP4/M4A and WebM/Matroska.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {number|null} null when the format is not recognised or carries no rate
+ */
+export function sniffSampleRate(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const tag = (offset, length = 4) => (offset + length <= bytes.length
+        ? String.fromCharCode(...bytes.subarray(offset, offset + length))
+        : '');
+    const plausible = (rate) => (rate >= 1000 && rate <= 384000 ? Math.round(rate) : null);
+
+    if (tag(0) === 'RIFF' && tag(8) === 'WAVE') {
+        // Walk the chunks until "fmt "
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const size = view.getUint32(offset + 4, true);
+            if (tag(offset) === 'fmt ' && offset + 16 <= bytes.length) {
+                return plausible(view.getUint32(offset + 12, true));
+            }
+            offset += 8 + size + (size % 2);
+        }
+        return null;
+    }
+
+    if (tag(0) === 'fLaC' && bytes.length >= 21) {
+        // STREAMINFO is always the first metadata block: 20-bit rate at byte 18
+        return plausible((bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4));
+    }
+
+    if (tag(0) === 'OggS' && bytes.length >= 28) {
+        const packet = 27 + bytes[26];
+        if (tag(packet + 1, 6) === 'vorbis' && packet + 16 <= bytes.length) {
+            return plausible(view.getUint32(packet + 12, true));
+        }
+        if (tag(packet, 8) === 'OpusHead' && packet + 16 <= bytes.length) {
+            // Opus always decodes at 48 kHz; this is the rate of the audio that was encoded
+            return plausible(view.getUint32(packet + 12, true));
+        }
+        return null;
+    }
+
+    if (tag(4) === 'ftyp') {
+        // AudioSampleEntry: the rate is a 16.16 number 24 bytes after the "mp4a" type
+        for (let i = 8; i + 30 <= bytes.length; i++) {
+            if (bytes[i] === 0x6D && tag(i) === 'mp4a') return plausible(view.getUint16(i + 28));
+        }
+        return null;
+    }
+
+    if (view.byteLength >= 4 && view.getUint32(0) === 0x1A45DFA3) {
+        // EBML: the SamplingFrequency element (0xB5) of the first audio track, a float
+        const end = Math.min(bytes.length, 1 << 16);
+        for (let i = 4; i + 2 < end; i++) {
+            if (bytes[i] !== 0xB5) continue;
+            if (bytes[i + 1] === 0x88 && i + 10 <= end) return plausible(view.getFloat64(i + 2));
+            if (bytes[i + 1] === 0x84 && i + 6 <= end) return plausible(view.getFloat32(i + 2));
+        }
+        return null;
+    }
+
+    // MP3 or ADTS AAC: skip an ID3v2 tag, then read the first frame header
+    let offset = 0;
+    if (tag(0, 3) === 'ID3' && bytes.length >= 10) {
+        offset = 10 + ((bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]) + (bytes[5] & 0x10 ? 10 : 0);
+    }
+    for (const end = Math.min(bytes.length - 3, offset + 4096); offset < end; offset++) {
+        if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) continue;
+        const version = (bytes[offset + 1] >> 3) & 0x03;
+        const layer = (bytes[offset + 1] >> 1) & 0x03;
+        if (layer === 0 && (bytes[offset + 1] & 0xF6) === 0xF0) {
+            const index = (bytes[offset + 2] >> 2) & 0x0F;
+            return ADTS_SAMPLE_RATES[index] ?? null;
+        }
+        const index = (bytes[offset + 2] >> 2) & 0x03;
+        const bitrate = bytes[offset + 2] >> 4;
+        if (version === 1 || layer === 0 || index === 3 || bitrate === 0 || bitrate === 15) continue;
+        return [44100, 48000, 32000][index] / { 3: 1, 2: 2, 0: 4 }[version];
+    }
+    return null;
+}
+
+/**
+ * Decode an audio blob at the context's default rate, keeping all channels
+ * @param {Blob} blob
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudio(blob) {
+    const arrayBuffer = await blob.arrayBuffer();
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+        return await audioContext.decodeAudioData(arrayBuffer);
+    } finally {
+        audioContext.close();
+    }
+}
+
+/**
+ * Decode directly at the target rate with the browser's own (band-limited) resampler
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {number} sampleRate
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeOffline(arrayBuffer, sampleRate) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        throw new Error(t('OfflineAudioContext no disponible'));
+    }
+    const context = new OfflineContext(1, 1, sampleRate);
+    return context.decodeAudioData(arrayBuffer);
+}
+
+/**
+ * Decode any audio blob to mono samples at 16 kHz
+ * @param {Blob} blob - Uploaded file or recorded WAV
+ * @param {{downmix?: 'average'|'left'|'right', sampleRate?: number}} [options]
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, originalSampleRate: number|null, channels: number, duration: number, resampler: string}>}
+ *   originalSampleRate is null when the file header does not say (see sniffSampleRate).
+ */
+export async function decodeToMono(blob, options = {}) {
+    const { downmix: strategy = 'average', sampleRate = TARGET_SAMPLE_RATE } = options;
+    const arrayBuffer = await blob.arrayBuffer();
+    const originalSampleRate = sniffSampleRate(arrayBuffer);
+
+    // decodeAudioData detaches its input, so keep a copy for the fallback path
+    let audioBuffer;
+    let resampler = 'offline';
+    try {
+        audioBuffer = await decodeOffline(arrayBuffer.slice(0), sampleRate);
+    } catch (error) {
+        console.warn('⚠️ OfflineAudioContext decode failed, using JS resampler:', error);
+        resampler = 'sinc';
+        audioBuffer = await decodeAudio(new Blob([arrayBuffer]));
+    }
+
+    const channels = audioBuffer.numberOfChannels;
+    const sourceRate = audioBuffer.sampleRate;
+    let samples = downmix(audioBuffer, strategy);
+    if (sourceRate !== sampleRate) {
+        samples = resampleSinc(samples, sourceRate, sampleRate);
+    } else if (resampler === 'sinc') {
+        resampler = 'none';
+    }
+
+    console.log(`✅ Audio decoded: ${channels}ch → mono (${strategy}), ${sampleRate}Hz via ${resampler}`);
+
+    return {
+        samples,
+        sampleRate,
+        originalSampleRate,
+        channels,
+        duration: samples.length / sampleRate,
+        resampler
+    };
+}
@@ -0,0 +1,214 @@
+import * as tf from '@tensorflow/tfjs';
+import { loadModel } from './modelLoader.js';
+import {
+    logMelSpectrogram,
+    dctMatrix,
+    hzToMel,
+    melToHz,
+    standardize,
+    fitFrames,
+    flattenFrames
+} from './mfcc.js';
+import { CONFIG } from './audioProcessing.js';
+import { padOrTrim } from './resample.js';
+import { t } from './i18n.js';
+
+/**
+ * 🔍 Spoofing explainability for EpigrafIA
+ * Occlusion saliency for the local spoofing model: patches of the log-mel spectrogram
+ * are replaced by each band's average level, the clip goes through the usual MFCC
+ * chain (DCT → per-coefficient standardisation → zero padding to [128, 40]) and the
+ * drop in spoof probability is credited to the hidden cells. Positive values pushed
+ * the decision towards "spoof", negative ones towards "human".
+ *
+ * Occlusion rather than gradients: the per-clip standardisation makes the model blind
+ * to level changes, so gradients through it say little about what an analyst can
+ * hear; hiding a region answers "would the verdict change without this?".
+ */
+
+/**
+ * Occluded patch size and stride, in STFT frames and mel bands (overlapping patches
+ * are averaged, so each cell gets credit from every patch that hid it)
+ */
+export const OCCLUSION_PATCH = { frames: 8, bands: 16, frameStride: 4, bandStride: 8 };
+
+// Occluded variants scored per model call
+const BATCH_SIZE = 64;
+
+/**
+ * Give the event loop a turn so progress and cancel messages get through
+ */
+function nextTick() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Patch offsets covering `length` cells, the last one flush with the end
+ * @param {number} length
+ * @param {number} size
+ * @param {number} stride
+ * @returns {number[]}
+ */
+function patchStarts(length, size, stride) {
+    const starts = [];
+    for (let start = 0; start + size < length; start += stride) starts.push(start);
+    const last = Math.max(0, length - size);
+    if (starts[starts.length - 1] !== last) starts.push(last);
+    return starts;
+}
+
+/**
+ * @param {Float64Array} mel - One log-mel frame
+ * @param {Float64Array[]} basis - dctMatrix(nMels, nMfcc)
+ * @returns {Float32Array}
+ */
+function toMfcc(mel, basis) {
+    const coeffs = new Float32Array(basis.length);
+    for (let k = 0; k < basis.length; k++) {
+        const row = basis[k];
+        let sum = 0;
+        for (let n = 0; n < mel.length; n++) sum += row[n] * mel[n];
+        coeffs[k] = sum;
+    }
+    return coeffs;
+}
+
+/**
+ * Spoofing model input for MFCC frames (same steps as computeFeatures)
+ * @param {Float32Array[]} frames - Not modified
+ * @returns {Float32Array} Flattened [spoofingFrames * nMfcc]
+ */
+function spoofingInput(frames) {
+    const copy = frames.map((coeffs) => Float32Array.from(coeffs));
+    return flattenFrames(fitFrames(standardize(copy), CONFIG.spoofingFrames, CONFIG.nMfcc));
+}
+
+/**
+ * @typedef {Object} SpoofingExplanation
+ * @property {'occlusion'} method
+ * @property {typeof OCCLUSION_PATCH} patch
+ * @property {number} probability - Spoof probability of the clip as is
+ * @property {number} threshold
+ * @property {string} modelVersion
+ * @property {number} frames - Time frames (rows of logMel/saliency)
+ * @property {number} bands - Mel bands, low to high
+ * @property {number} secondsPerFrame
+ * @property {number} duration - Seconds covered
+ * @property {number[]} bandCenters - Centre frequency of each mel band (Hz)
+ * @property {Float32Array} logMel - [frames * bands] dB
+ * @property {Float32Array} saliency - [frames * bands] average drop in spoof probability when hidden
+ * @property {{start: number, end: number, fMin: number, fMax: number, delta: number}|null} strongest -
+ *   Patch whose occlusion lowered the spoof probability the most (null if none did)
+ */
+
+/**
+ * Explain the local spoofing model's decision on a clip
+ * @param {Float32Array} audioData - Mono samples at CONFIG.sampleRate (padded/trimmed to CONFIG.duration)
+ * @param {{onProgress?: (stage: string, progress: number) => void, signal?: AbortSignal}} [options]
+ * @returns {Promise<SpoofingExplanation>}
+ */
+export async function explainSpoofing(audioData, { onProgress = () => {}, signal } = {}) {
+    onProgress('models', 0);
+    const loaded = await loadModel('spoofing');
+    if (!loaded) throw new Error(t('El manifiesto no incluye un modelo de spoofing'));
+    signal?.throwIfAborted();
+
+    const clip = padOrTrim(audioData, CONFIG.sampleRate * CONFIG.duration);
+    const options = {
+        sampleRate: CONFIG.sampleRate,
+        fftSize: CONFIG.fftSize,
+        hopLength: CONFIG.hopLength,
+        nMels: CONFIG.nMels
+    };
+    const logMel = logMelSpectrogram(clip, options);
+    const basis = dctMatrix(CONFIG.nMels, CONFIG.nMfcc);
+    const baseMfcc = logMel.map((mel) => toMfcc(mel, basis));
+    const numFrames = logMel.length;
+    const numBands = CONFIG.nMels;
+
+    // Occluded cells take their band's average level over the clip
+    const baseline = new Float64Array(numBands);
+    for (const mel of logMel) {
+        for (let m = 0; m < numBands; m++) baseline[m] += mel[m] / numFrames;
+    }
+
+    const { frames: patchFrames, bands: patchBands, frameStride, bandStride } = OCCLUSION_PATCH;
+    const variants = [];
+    for (const frame of patchStarts(numFrames, patchFrames, frameStride)) {
+        for (const band of patchStarts(numBands, patchBands, bandStride)) {
+            variants.push({ frame, band });
+        }
+    }
+
+    const inputSize = CONFIG.spoofingFrames * CONFIG.nMfcc;
+    const predict = (input, count) => tf.tidy(() => {
+        const tensor = tf.tensor3d(input, [count, CONFIG.spoofingFrames, CONFIG.nMfcc]);
+        return /** @type {tf.Tensor} */ (loaded.model.predict(tensor)).dataSync();
+    });
+
+    const probability = predict(spoofingInput(baseMfcc), 1)[0];
+    const sums = new Float64Array(numFrames * numBands);
+    const counts = new Uint16Array(numFrames * numBands);
+    let strongest = null;
+
+    for (let i = 0; i < variants.length; i += BATCH_SIZE) {
+        onProgress('saliency', i / variants.length);
+        await nextTick();
+        signal?.throwIfAborted();
+
+        const batch = variants.slice(i, i + BATCH_SIZE);
+        const input = new Float32Array(batch.length * inputSize);
+        batch.forEach(({ frame, band }, j) => {
+            // Only the hidden frames change before standardisation
+            const frames = baseMfcc.slice();
+            for (let t = frame; t < Math.min(numFrames, frame + patchFrames); t++) {
+                const mel = Float64Array.from(logMel[t]);
+                for (let m = band; m < band + patchBands; m++) mel[m] = baseline[m];
+                frames[t] = toMfcc(mel, basis);
+            }
+            input.set(spoofingInput(frames), j * inputSize);
+        });
+
+        const probabilities = predict(input, batch.length);
+        batch.forEach(({ frame, band }, j) => {
+            const delta = probability - probabilities[j];
+            for (let t = frame; t < Math.min(numFrames, frame + patchFrames); t++) {
+                for (let m = band; m < band + patchBands; m++) {
+                    sums[t * numBands + m] += delta;
+                    counts[t * numBands + m]++;
+                }
+            }
+            if (delta > 0 && (!strongest || delta > strongest.delta)) {
+                strongest = { frame, band, delta };
+            }
+        });
+    }
+
+    // Band centres/edges: nMels + 2 points evenly spaced on the mel scale (as melFilterbank)
+    const melMax = hzToMel(CONFIG.sampleRate / 2);
+    const edgeHz = (point) => melToHz((melMax * point) / (numBands + 1));
+    const secondsPerFrame = CONFIG.hopLength / CONFIG.sampleRate;
+
+    onProgress('done', 1);
+    return {
+        method: 'occlusion',
+        patch: OCCLUSION_PATCH,
+        probability,
+        threshold: loaded.config?.threshold ?? 0.5,
+        modelVersion: loaded.version,
+        frames: numFrames,
+        bands: numBands,
+        secondsPerFrame,
+        duration: CONFIG.duration,
+        bandCenters: Array.from({ length: numBands }, (_, m) => edgeHz(m + 1)),
+        logMel: Float32Array.from(logMel.flatMap((mel) => Array.from(mel))),
+        saliency: Float32Array.from(sums, (sum, i) => (counts[i] ? sum / counts[i] : 0)),
+        strongest: strongest && {
+            start: strongest.frame * secondsPerFrame,
+            end: Math.min(CONFIG.duration, (strongest.frame + patchFrames) * secondsPerFrame),
+            fMin: edgeHz(strongest.band),
+            fMax: edgeHz(strongest.band + patchBands + 1),
+            delta: strongest.delta
+        }
+    };
+}
@@ -0,0 +1,190 @@
+/**
+ * ✂️ Sliding-window segmentation for EpigrafIA
+ * Splits long recordings into overlapping model-sized windows and combines
+ * the per-window predictions into one verdict plus a timeline.
+ */
+import { t } from './i18n.js';
+
+export const DEFAULT_SEGMENTATION = {
+    windowSeconds: 3,
+    hopSeconds: 1.5,
+    aggregation: 'max-risk'
+};
+
+/**
+ * How per-window predictions are combined
+ * - mean: average language and spoof probabilities
+ * - max-risk: average language, but keep the most suspicious window's spoof probability
+ * - majority: most voted language; spoof probability = share of windows over the threshold
+ */
+export const AGGREGATIONS = ['mean', 'max-risk', 'majority'];
+
+/**
+ * Split samples into overlapping windows
+ * The last window is zero-padded; clips shorter than one window yield a single window.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {{windowSeconds?: number, hopSeconds?: number}} [options]
+ * @returns {{start: number, end: number, samples: Float32Array}[]} start/end in seconds
+ */
+export function splitWindows(samples, sampleRate, options = {}) {
+    const { windowSeconds, hopSeconds } = { ...DEFAULT_SEGMENTATION, ...options };
+    if (windowSeconds <= 0 || hopSeconds <= 0) {
+        throw new Error(t('La ventana y el salto deben ser mayores que 0'));
+    }
+
+    const windowLength = Math.round(windowSeconds * sampleRate);
+    const hopLength = Math.round(hopSeconds * sampleRate);
+    const windows = [];
+
+    for (let start = 0; ; start += hopLength) {
+        const end = Math.min(start + windowLength, samples.length);
+        const chunk = new Float32Array(windowLength);
+        chunk.set(samples.subarray(start, end));
+        windows.push({ start: start / sampleRate, end: end / sampleRate, samples: chunk });
+
+        if (end >= samples.length) break;
+    }
+
+    return windows;
+}
+
+function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
+
+function meanVector(vectors) {
+    const out = new Array(vectors[0].length).fill(0);
+    for (const vector of vectors) {
+        vector.forEach((value, i) => { out[i] += value / vectors.length; });
+    }
+    return out;
+}
+
+/**
+ * Combine per-window results into one backend-compatible result
+ * @param {{start: number, end: number, result: Object}[]} segments - result in /api/analyze shape
+ * @param {{aggregation?: string, threshold?: number}} [options]
+ * @returns {Object} Combined result with a `segments` timeline
+ */
+export function aggregateSegments(segments, options = {}) {
+    const { aggregation = DEFAULT_SEGMENTATION.aggregation } = options;
+    if (!AGGREGATIONS.includes(aggregation)) {
+        throw new Error(t('Agregación desconocida: {aggregation}', { aggregation }));
+    }
+    if (segments.length === 0) {
+        throw new Error(t('No hay segmentos que combinar'));
+    }
+
+    const threshold = options.threshold ?? segments[0].result.spoofing?.threshold ?? 0.5;
+
+    // ----- Language -----
+    const languageProbs = segments.map(({ result }) => result.language_probabilities
+        || oneHot(result.language_prediction, result.language_confidence));
+    const numLanguages = Math.max(...languageProbs.map((probs) => probs.length));
+    const votes = new Array(numLanguages).fill(0);
+    segments.forEach(({ result }) => { votes[result.language_prediction]++; });
+
+    const meanLanguage = meanVector(languageProbs.map((probs) => pad(probs, numLanguages)));
+    const languageIdx = aggregation === 'majority' ? argmax(votes) : argmax(meanLanguage);
+    const languageConfidence = aggregation === 'majority'
+        ? votes[languageIdx] / segments.length
+        : meanLanguage[languageIdx];
+
+    // ----- Accent -----
+    // Each window's accent distribution only covers its own language's accents, so the
+    // windows that agree with the combined language are averaged
+    const accentProbs = segments
+        .filter(({ result }) => result.language_prediction === languageIdx && Array.isArray(result.accent_probabilities))
+        .map(({ result }) => result.accent_probabilities);
+    const meanAccent = accentProbs.length > 0 ? meanVector(accentProbs) : null;
+    const accentIdx = meanAccent ? argmax(meanAccent) : null;
+
+    // ----- Spoofing -----
+    const spoofProbs = segments
+        .map(({ result }) => result.spoofing?.spoof_probability)
+        .filter((value) => typeof value === 'number');
+
+    let spoofing = null;
+    if (spoofProbs.length > 0) {
+        let spoofProbability;
+        if (aggregation === 'max-risk') {
+            spoofProbability = Math.max(...spoofProbs);
+        } else if (aggregation === 'majority') {
+            spoofProbability = spoofProbs.filter((p) => p >= threshold).length / spoofProbs.length;
+        } else {
+            spoofProbability = spoofProbs.reduce((a, b) => a + b, 0) / spoofProbs.length;
+        }
+        const isGenuine = aggregation === 'majority' ? spoofProbability <= 0.5 : spoofProbability < threshold;
+
+        spoofing = {
+            is_genuine: isGenuine,
+            spoof_probability: spoofProbability,
+            label: isGenuine ? 'human' : 'spoof',
+            threshold
+        };
+    }
+
+    // ----- Timeline -----
+    const timeline = segments.map(({ start, end, result }, i) => {
+        const spoofProbability = result.spoofing?.spoof_probability ?? null;
+        const previous = segments[i - 1]?.result.language_prediction;
+        return {
+            start,
+            end,
+            language_prediction: result.language_prediction,
+            language_confidence: result.language_confidence,
+            spoof_probability: spoofProbability,
+            suspicious: spoofProbability !== null && spoofProbability >= threshold,
+            language_switch: i > 0 && result.language_prediction !== previous
+        };
+    });
+
+    // ----- Robust mode -----
+    // Windows analysed with test-time augmentation: the mean of their spreads
+    const uncertainties = segments.map(({ result }) => result.uncertainty).filter(Boolean);
+    const meanSpread = (key) => {
+        const values = uncertainties.map((uncertainty) => uncertainty[key]).filter((value) => typeof value === 'number');
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    };
+    const uncertainty = uncertainties.length > 0
+        ? {
+            variants: uncertainties[0].variants,
+            spoofing_versions: uncertainties[0].spoofing_versions,
+            language: meanSpread('language'),
+            accent: meanSpread('accent'),
+            spoofing: meanSpread('spoofing')
+        }
+        : null;
+
+    return {
+        language_prediction: languageIdx,
+        language_confidence: languageConfidence,
+        language_probabilities: meanLanguage,
+        accent_prediction: accentIdx,
+        accent_confidence: meanAccent ? meanAccent[accentIdx] : null,
+        accent_probabilities: meanAccent,
+        spoofing,
+        engine: segments[0].result.engine,
+        model_version: segments[0].result.model_version ?? null,
+        model_versions: segments[0].result.model_versions ?? null,
+        aggregation,
+        segments: timeline,
+        ...(uncertainty ? { uncertainty } : {})
+    };
+}
+
+function pad(values, length) {
+    return values.length >= length ? values : [...values, ...new Array(length - values.length).fill(0)];
+}
+
+// Backend results may only carry the winning class and its confidence
+function oneHot(index, confidence) {
+    const probs = new Array(index + 1).fill(0);
+    probs[index] = confidence;
+    return probs;
+}
@@ -0,0 +1,26 @@
+/**
+ * ⚖️ Spoofing verdict wording for EpigrafIA
+ * Icon, texts and colour of the verdict card in the printable report.
+ */
+import { t } from './i18n.js';
+
+/**
+ * Texts and colour for a spoofing decision
+ * @param {boolean} isHuman
+ * @returns {{icon: string, text: string, description: string, color: 'green'|'red'}}
+ */
+export function spoofingVerdict(isHuman) {
+    return isHuman
+        ? {
+            icon: '✓',
+            text: t('Audio Humano'),
+            description: t('Este audio parece ser de una voz humana real'),
+            color: 'green'
+        }
+        : {
+            icon: '⚠',
+            text: t('Audio Sintético'),
+            description: t('Este audio podría ser generado por IA (deepfake)'),
+            color: 'red'
+        };
+}
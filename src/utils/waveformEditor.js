@@ -0,0 +1,576 @@
+/**
+ * 🎚️ Interactive waveform editor for EpigrafIA
+ * Waveform + log-mel spectrogram of a decoded clip with zoom, playback cursor and a
+ * draggable selection whose length snaps to multiples of the model window (or to the
+ * whole clip). The selection is the region the page sends to analysis.
+ *
+ * Interaction (pointer on the view):
+ *   drag inside the selection   move it
+ *   drag one of its edges       resize it, snapping the length
+ *   drag elsewhere              new selection from that point
+ *   click                       move the playback cursor
+ *   ctrl/⌘ + wheel              zoom around the pointer; wheel/shift+wheel pans
+ * Keyboard (view focused): space plays/pauses, ←/→ nudge the selection, +/− zoom.
+ */
+import { logMelSpectrogram } from './mfcc.js';
+import { t } from './i18n.js';
+
+const WAVE_COLOR = '#8b5cf6';
+const SELECTION_COLOR = 'rgba(139, 92, 246, 0.18)';
+const WAVE_HEIGHT = 0.45; // Share of the view taken by the waveform, spectrogram below
+
+// Spectrogram resolution: enough columns for a full-width view, cheap on long clips
+const SPECTROGRAM_OPTIONS = { fftSize: 512, nMels: 64 };
+const SPECTROGRAM_MAX_FRAMES = 2000;
+const SPECTROGRAM_MIN_HOP = 128;
+
+const EDGE_GRAB_PX = 8;
+const DRAG_THRESHOLD_PX = 3;
+const MIN_VIEW_SECONDS = 0.5;
+const ZOOM_STEP = 2;
+
+// Magma-like colour stops for the spectrogram (0 = floor, 1 = loudest)
+const COLORMAP = [
+    [0, [10, 10, 10]],
+    [0.35, [59, 15, 112]],
+    [0.6, [140, 41, 129]],
+    [0.8, [222, 73, 104]],
+    [1, [252, 253, 191]]
+];
+
+/**
+ * @param {number} value - 0..1
+ * @returns {number[]} [r, g, b]
+ */
+function colorAt(value) {
+    for (let i = 1; i < COLORMAP.length; i++) {
+        const [stop, color] = COLORMAP[i];
+        if (value <= stop) {
+            const [prevStop, prevColor] = COLORMAP[i - 1];
+            const t = (value - prevStop) / (stop - prevStop);
+            return prevColor.map((channel, c) => Math.round(channel + (color[c] - channel) * t));
+        }
+    }
+    return COLORMAP[COLORMAP.length - 1][1];
+}
+
+/**
+ * Render the log-mel spectrogram into a canvas of one pixel per frame and mel band
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{canvas: HTMLCanvasElement, secondsPerFrame: number}}
+ */
+function renderSpectrogram(samples, sampleRate) {
+    const hopLength = Math.max(SPECTROGRAM_MIN_HOP, Math.ceil(samples.length / SPECTROGRAM_MAX_FRAMES));
+    const frames = logMelSpectrogram(samples, { ...SPECTROGRAM_OPTIONS, sampleRate, hopLength });
+    const { nMels } = SPECTROGRAM_OPTIONS;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const frame of frames) {
+        for (let m = 0; m < nMels; m++) {
+            if (frame[m] < min) min = frame[m];
+            if (frame[m] > max) max = frame[m];
+        }
+    }
+    const range = max - min || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, frames.length);
+    canvas.height = nMels;
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    const image = ctx.createImageData(canvas.width, nMels);
+    frames.forEach((frame, x) => {
+        for (let m = 0; m < nMels; m++) {
+            const [r, g, b] = colorAt((frame[m] - min) / range);
+            // Low frequencies at the bottom
+            const offset = ((nMels - 1 - m) * canvas.width + x) * 4;
+            image.data[offset] = r;
+            image.data[offset + 1] = g;
+            image.data[offset + 2] = b;
+            image.data[offset + 3] = 255;
+        }
+    });
+    ctx.putImageData(image, 0, 0);
+
+    return { canvas, secondsPerFrame: hopLength / sampleRate };
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Selection lengths allowed for a clip: multiples of the window and the whole clip
+ * @param {number} length - Requested length (seconds)
+ * @param {number} windowSeconds
+ * @param {number} duration
+ * @returns {number}
+ */
+export function snapSelectionLength(length, windowSeconds, duration) {
+    if (duration <= windowSeconds) return duration;
+    const multiples = Math.max(1, Math.round(length / windowSeconds));
+    const snapped = Math.min(multiples * windowSeconds, duration);
+    // Between the last whole multiple and the end of the clip, the clip wins when closer
+    const lastMultiple = Math.floor(duration / windowSeconds) * windowSeconds;
+    if (snapped >= lastMultiple && Math.abs(length - duration) < Math.abs(length - lastMultiple)) {
+        return duration;
+    }
+    return snapped;
+}
+
+/**
+ * @typedef {Object} Selection
+ * @property {number} start - Seconds
+ * @property {number} end - Seconds
+ * @property {boolean} full - Covers the whole clip
+ */
+
+/**
+ * Create an editor inside `container` (its content is replaced)
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {number} [options.windowSeconds=3] - Model window the selection length snaps to
+ * @param {(selection: Selection) => void} [options.onSelectionChange]
+ * @param {(playing: boolean) => void} [options.onPlaybackChange]
+ * @param {(view: {start: number, duration: number, zoom: number}) => void} [options.onViewChange]
+ */
+export function createWaveformEditor(container, options = {}) {
+    const {
+        windowSeconds = 3,
+        onSelectionChange = () => {},
+        onPlaybackChange = () => {},
+        onViewChange = () => {}
+    } = options;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'absolute inset-0 w-full h-full';
+    const selectionBox = document.createElement('div');
+    selectionBox.className = 'absolute inset-y-0 border-x-2 border-violet-400 pointer-events-none';
+    selectionBox.style.background = SELECTION_COLOR;
+    const selectionLabel = document.createElement('span');
+    selectionLabel.className = 'absolute top-1 left-1 px-1 rounded bg-black/60 text-[10px] text-violet-200 tabular-nums whitespace-nowrap';
+    selectionBox.append(selectionLabel);
+    const cursor = document.createElement('div');
+    cursor.className = 'absolute inset-y-0 w-px bg-white pointer-events-none';
+
+    container.replaceChildren(canvas, selectionBox, cursor);
+    container.tabIndex = 0;
+    container.style.touchAction = 'pan-y';
+
+    /** @type {Float32Array|null} */
+    let samples = null;
+    let sampleRate = 16000;
+    let duration = 0;
+    /** @type {{canvas: HTMLCanvasElement, secondsPerFrame: number}|null} */
+    let spectrogram = null;
+    let spectrogramTimer = 0;
+
+    const view = { start: 0, duration: 0 };
+    const selection = { start: 0, end: 0 };
+    let cursorTime = 0;
+
+    /** @type {AudioContext|null} */
+    let audioContext = null;
+    /** @type {AudioBuffer|null} */
+    let audioBuffer = null;
+    /** @type {AudioBufferSourceNode|null} */
+    let playback = null;
+    let playbackFrame = 0;
+
+    // ---- Coordinates ----
+    function timeAt(clientX) {
+        const rect = container.getBoundingClientRect();
+        return clamp(view.start + ((clientX - rect.left) / rect.width) * view.duration, 0, duration);
+    }
+
+    function xOf(time) {
+        return ((time - view.start) / view.duration) * container.clientWidth;
+    }
+
+    // ---- Drawing ----
+    function drawWaveform(ctx, width, height) {
+        if (!samples) return;
+        const first = Math.floor(view.start * sampleRate);
+        const perPixel = (view.duration * sampleRate) / width;
+        const mid = height / 2;
+
+        ctx.strokeStyle = WAVE_COLOR;
+        ctx.lineWidth = Math.max(1, window.devicePixelRatio || 1);
+        ctx.beginPath();
+        for (let x = 0; x < width; x++) {
+            const from = first + Math.floor(x * perPixel);
+            const to = Math.min(samples.length, Math.max(from + 1, first + Math.floor((x + 1) * perPixel)));
+            if (from >= samples.length) break;
+
+            // Plain loop: spreading large slices into Math.min/max overflows the stack
+            let min = 1;
+            let max = -1;
+            for (let i = from; i < to; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+            ctx.moveTo(x + 0.5, mid - max * mid);
+            ctx.lineTo(x + 0.5, mid - min * mid + 1);
+        }
+        ctx.stroke();
+    }
+
+    function draw() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(container.clientWidth * ratio));
+        const height = Math.max(1, Math.round(container.clientHeight * ratio));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+        ctx.clearRect(0, 0, width, height);
+        if (!samples || view.duration <= 0) return;
+
+        const waveHeight = Math.round(height * WAVE_HEIGHT);
+        drawWaveform(ctx, width, waveHeight);
+
+        if (spectrogram) {
+            const { canvas: image, secondsPerFrame } = spectrogram;
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(
+                image,
+                view.start / secondsPerFrame, 0, view.duration / secondsPerFrame, image.height,
+                0, waveHeight, width, height - waveHeight
+            );
+        }
+
+        drawOverlay();
+    }
+
+    // Selection and cursor are DOM elements, so dragging does not redraw the canvas
+    function drawOverlay() {
+        if (!samples) return;
+        const left = xOf(selection.start);
+        const right = xOf(selection.end);
+        selectionBox.style.left = `${left}px`;
+        selectionBox.style.width = `${Math.max(0, right - left)}px`;
+        const length = selection.end - selection.start;
+        const windows = Math.round(length / windowSeconds);
+        selectionLabel.textContent = Math.abs(windows * windowSeconds - length) < 1e-6
+            ? `${windows} × ${windowSeconds} s`
+            : t('clip completo · {seconds} s', { seconds: length.toFixed(1) });
+
+        selectionLabel.hidden = right - left < 40;
+
+        const cursorX = xOf(cursorTime);
+        cursor.style.left = `${cursorX}px`;
+        cursor.hidden = cursorX < 0 || cursorX > container.clientWidth;
+    }
+
+    // ---- View ----
+    function setView(start, length) {
+        view.duration = clamp(length, Math.min(MIN_VIEW_SECONDS, duration), duration);
+        view.start = clamp(start, 0, duration - view.duration);
+        draw();
+        onViewChange({ start: view.start, duration: view.duration, zoom: duration / view.duration });
+    }
+
+    /**
+     * Zoom by `factor` (>1 zooms in) keeping `anchor` (seconds) in place
+     * @param {number} factor
+     * @param {number} [anchor] - Defaults to the centre of the view
+     */
+    function zoom(factor, anchor = view.start + view.duration / 2) {
+        if (!samples) return;
+        const length = view.duration / factor;
+        const ratio = (anchor - view.start) / view.duration;
+        setView(anchor - ratio * length, length);
+    }
+
+    // Keep the cursor visible while playing
+    function follow(time) {
+        if (time < view.start || time > view.start + view.duration) {
+            setView(time - view.duration * 0.1, view.duration);
+        }
+    }
+
+    // ---- Selection ----
+    function setSelection(start, end, notify = true) {
+        const length = snapSelectionLength(Math.abs(end - start), windowSeconds, duration);
+        const from = clamp(Math.min(start, end), 0, duration - length);
+        selection.start = from;
+        selection.end = from + length;
+        drawOverlay();
+        if (notify) onSelectionChange(getSelection());
+    }
+
+    /**
+     * Resize from a fixed edge towards `time`
+     * @param {number} anchor
+     * @param {number} time
+     */
+    function extendFrom(anchor, time) {
+        const length = snapSelectionLength(Math.abs(time - anchor), windowSeconds, duration);
+        if (time < anchor) setSelection(anchor - length, anchor, false);
+        else setSelection(anchor, anchor + length, false);
+    }
+
+    /**
+     * @returns {Selection|null}
+     */
+    function getSelection() {
+        if (!samples) return null;
+        return {
+            start: selection.start,
+            end: selection.end,
+            full: selection.start <= 0 && selection.end >= duration
+        };
+    }
+
+    // ---- Playback ----
+    function stopPlayback(notify = true) {
+        cancelAnimationFrame(playbackFrame);
+        if (playback) {
+            playback.onended = null;
+            try {
+                playback.stop();
+            } catch {
+                // Already stopped
+            }
+            playback = null;
+            if (notify) onPlaybackChange(false);
+        }
+    }
+
+    async function play() {
+        if (!samples || playback) return;
+        if (!audioContext) audioContext = new AudioContext();
+        if (audioContext.state === 'suspended') await audioContext.resume();
+        if (!audioBuffer) {
+            audioBuffer = audioContext.createBuffer(1, samples.length, sampleRate);
+            audioBuffer.copyToChannel(/** @type {Float32Array<ArrayBuffer>} */ (samples), 0);
+        }
+
+        // Play the selection, from the cursor when it is inside it
+        const from = cursorTime >= selection.start && cursorTime < selection.end ? cursorTime : selection.start;
+        const source = audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(audioContext.destination);
+        const startedAt = audioContext.currentTime;
+        source.start(0, from, selection.end - from);
+        source.onended = () => {
+            stopPlayback();
+            cursorTime = selection.start;
+            drawOverlay();
+        };
+        playback = source;
+        onPlaybackChange(true);
+
+        const tick = () => {
+            if (!playback || !audioContext) return;
+            cursorTime = Math.min(selection.end, from + audioContext.currentTime - startedAt);
+            follow(cursorTime);
+            drawOverlay();
+            playbackFrame = requestAnimationFrame(tick);
+        };
+        playbackFrame = requestAnimationFrame(tick);
+    }
+
+    function pause() {
+        stopPlayback();
+    }
+
+    function togglePlayback() {
+        if (playback) pause();
+        else play();
+    }
+
+    // ---- Pointer ----
+    /** @type {{mode: 'pending'|'create'|'move'|'resize', pointerId: number, x: number, time: number, anchor: number, start: number}|null} */
+    let drag = null;
+
+    container.addEventListener('pointerdown', (event) => {
+        if (!samples || event.button !== 0) return;
+        const time = timeAt(event.clientX);
+        const rect = container.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const left = xOf(selection.start);
+        const right = xOf(selection.end);
+
+        let mode = /** @type {'pending'|'move'|'resize'} */ ('pending');
+        let anchor = time;
+        if (Math.abs(x - left) <= EDGE_GRAB_PX) {
+            mode = 'resize';
+            anchor = selection.end;
+        } else if (Math.abs(x - right) <= EDGE_GRAB_PX) {
+            mode = 'resize';
+            anchor = selection.start;
+        } else if (x > left && x < right) {
+            mode = 'move';
+        }
+
+        drag = { mode, pointerId: event.pointerId, x: event.clientX, time, anchor, start: selection.start };
+        container.setPointerCapture(event.pointerId);
+        container.focus({ preventScroll: true });
+    });
+
+    container.addEventListener('pointermove', (event) => {
+        if (!samples) return;
+        if (!drag) {
+            const x = event.clientX - container.getBoundingClientRect().left;
+            const nearEdge = Math.abs(x - xOf(selection.start)) <= EDGE_GRAB_PX ||
+                Math.abs(x - xOf(selection.end)) <= EDGE_GRAB_PX;
+            container.style.cursor = nearEdge ? 'ew-resize' : 'crosshair';
+            return;
+        }
+        if (event.pointerId !== drag.pointerId) return;
+
+        const moved = Math.abs(event.clientX - drag.x) > DRAG_THRESHOLD_PX;
+        if (drag.mode === 'pending' && !moved) return;
+        if (drag.mode === 'pending') drag.mode = 'create';
+        if (drag.mode === 'move' && !moved) return;
+
+        const time = timeAt(event.clientX);
+        if (drag.mode === 'move') {
+            const length = selection.end - selection.start;
+            setSelection(drag.start + time - drag.time, drag.start + time - drag.time + length, false);
+        } else {
+            extendFrom(drag.anchor, time);
+        }
+    });
+
+    function endDrag(event) {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        const clicked = Math.abs(event.clientX - drag.x) <= DRAG_THRESHOLD_PX && drag.mode !== 'resize';
+        drag = null;
+
+        if (clicked) {
+            const wasPlaying = !!playback;
+            stopPlayback(false);
+            cursorTime = timeAt(event.clientX);
+            drawOverlay();
+            if (wasPlaying) {
+                onPlaybackChange(false);
+                play();
+            }
+        } else {
+            onSelectionChange(/** @type {Selection} */ (getSelection()));
+        }
+    }
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
+
+    container.addEventListener('wheel', (event) => {
+        if (!samples) return;
+        if (event.ctrlKey || event.metaKey) {
+            event.preventDefault();
+            zoom(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, timeAt(event.clientX));
+            return;
+        }
+        const delta = event.shiftKey ? event.deltaY : event.deltaX;
+        if (delta !== 0 && view.duration < duration) {
+            event.preventDefault();
+            setView(view.start + (delta / container.clientWidth) * view.duration, view.duration);
+        }
+    }, { passive: false });
+
+    container.addEventListener('keydown', (event) => {
+        if (!samples) return;
+        const step = event.shiftKey ? windowSeconds : windowSeconds / 10;
+        const length = selection.end - selection.start;
+        if (event.key === ' ') {
+            togglePlayback();
+        } else if (event.key === 'ArrowLeft') {
+            setSelection(selection.start - step, selection.start - step + length);
+        } else if (event.key === 'ArrowRight') {
+            setSelection(selection.start + step, selection.start + step + length);
+        } else if (event.key === '+' || event.key === '=') {
+            zoom(ZOOM_STEP);
+        } else if (event.key === '-') {
+            zoom(1 / ZOOM_STEP);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    const resizeObserver = new ResizeObserver(() => draw());
+    resizeObserver.observe(container);
+
+    // ---- Public API ----
+    /**
+     * Show a clip; the selection starts as the whole clip
+     * @param {Float32Array} clip - Mono samples
+     * @param {number} rate
+     */
+    function load(clip, rate) {
+        stopPlayback();
+        clearTimeout(spectrogramTimer);
+        samples = clip;
+        sampleRate = rate;
+        duration = clip.length / rate;
+        audioBuffer = null;
+        spectrogram = null;
+        cursorTime = 0;
+        selection.start = 0;
+        selection.end = duration;
+        setView(0, duration);
+        onSelectionChange(/** @type {Selection} */ (getSelection()));
+
+        // The spectrogram is the slow part: let the waveform paint first
+        spectrogramTimer = window.setTimeout(() => {
+            if (samples !== clip) return;
+            spectrogram = renderSpectrogram(clip, rate);
+            draw();
+        }, 0);
+    }
+
+    function clear() {
+        stopPlayback();
+        clearTimeout(spectrogramTimer);
+        samples = null;
+        spectrogram = null;
+        audioBuffer = null;
+        duration = 0;
+        view.start = 0;
+        view.duration = 0;
+        selectionBox.style.width = '0px';
+        cursor.hidden = true;
+        draw();
+    }
+
+    function destroy() {
+        clear();
+        resizeObserver.disconnect();
+        audioContext?.close();
+        container.replaceChildren();
+    }
+
+    return {
+        load,
+        clear,
+        destroy,
+        getSelection,
+        /**
+         * @param {number} start
+         * @param {number} end
+         */
+        setSelection: (start, end) => samples && setSelection(start, end),
+        zoomIn: () => zoom(ZOOM_STEP),
+        zoomOut: () => zoom(1 / ZOOM_STEP),
+        // Zoom out to the whole clip
+        zoomReset: () => samples && setView(0, duration),
+        play,
+        pause,
+        togglePlayback,
+        get duration() {
+            return duration;
+        },
+        get playing() {
+            return !!playback;
+        }
+    };
+}
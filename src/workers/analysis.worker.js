@@ -0,0 +1,125 @@
+/**
+ * 🧵 Analysis Worker for EpigrafIA
+ * Runs feature extraction, model loading/inference and waveform rendering
+ * off the UI thread. Protocol (all messages carry the job `id`):
+ *
+ *   → { type: 'preload', id }
+ *   → { type: 'set-model-versions', id, versions: { [kind]: version } }
+ *   → { type: 'analyze', id, samples: Float32Array, segmentation?, robust? }
+ *   → { type: 'explain', id, samples: Float32Array }      spoofing saliency of one clip
+ *   → { type: 'memory', id }                               tf.memory() of the worker
+ *   → { type: 'cancel', id }
+ *   → { type: 'waveform', id, samples: Float32Array, canvas?: OffscreenCanvas, canvasId, options }
+ *
+ *   ← { type: 'progress', id, stage, progress, detail? }
+ *   ← { type: 'result', id, result }
+ *   ← { type: 'error', id, name, message }
+ */
+import { memory } from '@tensorflow/tfjs';
+import { loadModels, setModelVersions, withModels } from '../utils/modelLoader.js';
+import { predictLocal, predictSegments } from '../utils/localInference.js';
+import { explainSpoofing } from '../utils/saliency.js';
+import { drawWaveform } from '../utils/audioProcessing.js';
+
+// Running analyses and explanations, keyed by job id
+const jobs = new Map();
+
+// Canvases transferred from the page (a canvas can only be transferred once)
+const canvases = new Map();
+
+function postError(id, error) {
+    self.postMessage({
+        type: 'error',
+        id,
+        name: error?.name || 'Error',
+        message: error?.message || String(error)
+    });
+}
+
+/**
+ * Run a cancellable job that reports progress
+ * @param {number} id
+ * @param {(options: {signal: AbortSignal, onProgress: Function}) => Promise<any>} run
+ */
+async function handleJob(id, run) {
+    const controller = new AbortController();
+    jobs.set(id, controller);
+
+    const options = {
+        signal: controller.signal,
+        onProgress: (stage, progress, detail) => {
+            self.postMessage({ type: 'progress', id, stage, progress, detail });
+        }
+    };
+
+    try {
+        // A version switch meanwhile must not dispose the models this job uses
+        const result = await withModels(() => run(options));
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        postError(id, error);
+    } finally {
+        jobs.delete(id);
+    }
+}
+
+self.onmessage = async (event) => {
+    const { type, id } = event.data;
+
+    switch (type) {
+        case 'preload':
+            try {
+                await loadModels();
+                self.postMessage({ type: 'result', id, result: true });
+            } catch (error) {
+                postError(id, error);
+            }
+            break;
+
+        case 'set-model-versions':
+            try {
+                await setModelVersions(event.data.versions);
+                self.postMessage({ type: 'result', id, result: true });
+            } catch (error) {
+                postError(id, error);
+            }
+            break;
+
+        case 'analyze': {
+            const { samples, segmentation, robust } = event.data;
+            // With segmentation options the whole recording is judged window by window
+            await handleJob(id, (options) => (segmentation
+                ? predictSegments(samples, { ...options, segmentation, robust })
+                : predictLocal(samples, { ...options, robust })));
+            break;
+        }
+
+        case 'explain':
+            await handleJob(id, (options) => explainSpoofing(event.data.samples, options));
+            break;
+
+        case 'memory': {
+            const { numTensors, numBytes, numDataBuffers } = memory();
+            self.postMessage({ type: 'result', id, result: { numTensors, numBytes, numDataBuffers } });
+            break;
+        }
+
+        case 'cancel':
+            jobs.get(id)?.abort();
+            break;
+
+        case 'waveform': {
+            const { canvasId, canvas, samples, options } = event.data;
+            if (canvas) canvases.set(canvasId, canvas);
+            const target = canvases.get(canvasId);
+            if (target) {
+                drawWaveform(samples, target, options);
+            }
+            self.postMessage({ type: 'result', id, result: Boolean(target) });
+            break;
+        }
+
+        default:
+            postError(id, new Error(`Mensaje desconocido: ${type}`));
+    }
+};
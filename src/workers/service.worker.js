@@ -0,0 +1,199 @@
+/**
+ * 📦 Service worker for EpigrafIA
+ * Precaches the app shell and the default version of every model so in-browser
+ * analysis keeps working with no connectivity.
+ *
+ * Not served as is: src/integrations/serviceWorker.mjs prepends `PRECACHE` at build time
+ *   { build, shell: string[], models: {kind, version, hash, precache, files: string[]}[] }
+ * `build` hashes the shell and the manifest, so any new deploy (new models included)
+ * changes sw.js and goes through the update prompt in src/utils/pwa.js.
+ *
+ * Caches:
+ *   epigrafia-shell-<build>            HTML, /_astro assets, icons, models/manifest.json
+ *   epigrafia-model-<kind>-<version>-<hash>
+ *                                      model.json, weight shards, labels, config — kept across
+ *                                      deploys while the files are unchanged. `hash` covers
+ *                                      their contents, so new weights under the same version
+ *                                      go to a new cache instead of failing the integrity check
+ *   epigrafia-fonts                    Google Fonts, stale-while-revalidate
+ */
+
+/* global PRECACHE */
+
+const sw = /** @type {any} */ (self);
+
+const CACHE_PREFIX = 'epigrafia-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${PRECACHE.build}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+const MANIFEST_PATH = '/models/manifest.json';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * @param {{kind: string, version: string, hash: string}} model - PRECACHE.models entry
+ */
+function modelCacheName({ kind, version, hash }) {
+    return `${CACHE_PREFIX}model-${kind}-${version}-${hash}`;
+}
+
+// Path → cache of every file of every model version in the manifest
+const MODEL_FILES = new Map();
+for (const model of PRECACHE.models) {
+    for (const path of model.files) {
+        MODEL_FILES.set(path, modelCacheName(model));
+    }
+}
+
+/**
+ * "/" and "/index.html" (or "/eval/" and "/eval") are the same page
+ * @param {string} pathname
+ */
+function normalizePath(pathname) {
+    const path = pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, '');
+    return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+const SHELL_PATHS = new Map(PRECACHE.shell.map((path) => [normalizePath(path), path]));
+
+/**
+ * Add the files a cache does not hold yet (model caches survive deploys, so a
+ * shell-only update downloads nothing from /models)
+ * @param {string} cacheName
+ * @param {string[]} paths
+ */
+async function fillCache(cacheName, paths) {
+    const cache = await caches.open(cacheName);
+    const missing = [];
+    for (const path of paths) {
+        if (!(await cache.match(path))) missing.push(path);
+    }
+    await cache.addAll(missing.map((path) => new Request(path, { cache: 'reload' })));
+}
+
+sw.addEventListener('install', (/** @type {any} */ event) => {
+    event.waitUntil(Promise.all([
+        fillCache(SHELL_CACHE, PRECACHE.shell),
+        ...PRECACHE.models
+            .filter((model) => model.precache)
+            .map((model) => fillCache(modelCacheName(model), model.files))
+    ]));
+});
+
+sw.addEventListener('activate', (/** @type {any} */ event) => {
+    const keep = new Set([
+        SHELL_CACHE,
+        FONT_CACHE,
+        ...PRECACHE.models.map((model) => modelCacheName(model))
+    ]);
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && !keep.has(name))
+            .map((name) => caches.delete(name)));
+        await sw.clients.claim();
+    })());
+});
+
+sw.addEventListener('message', (/** @type {any} */ event) => {
+    const { type } = event.data || {};
+    if (type === 'skip-waiting') {
+        sw.skipWaiting();
+    } else if (type === 'info') {
+        event.ports[0]?.postMessage({
+            build: PRECACHE.build,
+            models: Object.fromEntries(PRECACHE.models
+                .filter((model) => model.precache)
+                .map((model) => [model.kind, model.version]))
+        });
+    }
+});
+
+/**
+ * Cache first; misses go to the network and are stored when `store` is set
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {{store?: boolean, key?: string}} [options]
+ */
+async function cacheFirst(request, cacheName, { store = false, key } = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key ?? request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (store && response.ok) cache.put(key ?? request, response.clone());
+    return response;
+}
+
+/**
+ * Network first so a new deploy is seen straight away; the cache covers offline use
+ * @param {Request} request
+ * @param {string} cacheName
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * @param {Request} request
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
+
+/**
+ * Pages come from the precache; unknown pages fall back to the home page offline
+ * @param {Request} request
+ * @param {string} pathname
+ */
+async function navigate(request, pathname) {
+    const shellPath = SHELL_PATHS.get(normalizePath(pathname));
+    if (shellPath) return cacheFirst(request, SHELL_CACHE, { key: shellPath });
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const home = await caches.match(SHELL_PATHS.get('/') ?? '/');
+        if (home) return home;
+        throw error;
+    }
+}
+
+sw.addEventListener('fetch', (/** @type {any} */ event) => {
+    /** @type {Request} */
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    if (url.origin !== sw.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (url.pathname === MANIFEST_PATH) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (MODEL_FILES.has(url.pathname)) {
+        // Versions that were not precached are stored on first use
+        event.respondWith(cacheFirst(request, MODEL_FILES.get(url.pathname), { store: true, key: url.pathname }));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(navigate(request, url.pathname));
+    } else if (SHELL_PATHS.has(normalizePath(url.pathname))) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE, { key: SHELL_PATHS.get(normalizePath(url.pathname)) }));
+    }
+});
@@ -0,0 +1,67 @@
+/**
+ * 🎙️ Recorder AudioWorklet for EpigrafIA
+ * Captures the first input channel on the audio thread and posts it to the
+ * page in blocks, together with the block's RMS and peak level.
+ *
+ *   ← { type: 'chunk', samples: Float32Array, rms, peak }
+ *   → { type: 'flush' }   posts whatever is buffered, then { type: 'flushed' }
+ */
+
+// ~43 ms at 48 kHz: smooth enough for a level meter, cheap to post
+const BLOCK_SIZE = 2048;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffer = new Float32Array(BLOCK_SIZE);
+        this.filled = 0;
+
+        this.port.onmessage = (event) => {
+            if (event.data?.type === 'flush') {
+                this.postBlock();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    postBlock() {
+        if (this.filled === 0) return;
+
+        const samples = this.buffer.slice(0, this.filled);
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const value = samples[i];
+            sumSquares += value * value;
+            const abs = Math.abs(value);
+            if (abs > peak) peak = abs;
+        }
+
+        this.port.postMessage({
+            type: 'chunk',
+            samples,
+            rms: Math.sqrt(sumSquares / samples.length),
+            peak
+        }, [samples.buffer]);
+
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0]?.[0];
+        if (channel) {
+            let offset = 0;
+            while (offset < channel.length) {
+                const count = Math.min(channel.length - offset, BLOCK_SIZE - this.filled);
+                this.buffer.set(channel.subarray(offset, offset + count), this.filled);
+                this.filled += count;
+                offset += count;
+                if (this.filled === BLOCK_SIZE) this.postBlock();
+            }
+        }
+        // Keep the processor alive until the node is disconnected
+        return true;
+    }
+}
+
+registerProcessor('epigrafia-recorder', RecorderProcessor);
@@ -0,0 +1,54 @@
+/**
+ * 🎲 Check that every test-time augmentation variant changes the model features
+ * A variant whose features match the original's is a copy: it adds nothing to the
+ * robust mode and makes the reported spread smaller than it is.
+ * Usage: npm run verify:augmentation
+ */
+import { createVariants, ROBUST_DEFAULTS } from '../../src/utils/augmentation.js';
+import { computeFeatures, CONFIG } from '../../src/utils/audioProcessing.js';
+
+// Smallest max absolute difference (standardised features) that counts as a change
+const MIN_DIFFERENCE = 1e-2;
+
+/**
+ * 5 s of a voiced-like signal: a gliding harmonic tone with a syllable envelope and a little noise
+ */
+function testSignal(sampleRate) {
+    const samples = new Float32Array(sampleRate * 5);
+    let phase = 0;
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / sampleRate;
+        phase += 2 * Math.PI * (140 + 40 * Math.sin(2 * Math.PI * 0.7 * time)) / sampleRate;
+        const envelope = 0.5 + 0.5 * Math.sin(2 * Math.PI * 3 * time);
+        let voiced = 0;
+        for (let harmonic = 1; harmonic <= 8; harmonic++) voiced += Math.sin(harmonic * phase) / harmonic;
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        samples[i] = 0.3 * envelope * voiced + 0.01 * (seed / 2147483648 - 0.5);
+    }
+    return samples;
+}
+
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+    return max;
+}
+
+const { sampleRate, duration } = CONFIG;
+const source = testSignal(sampleRate);
+const variants = createVariants(source, sampleRate, sampleRate * duration, sampleRate, ROBUST_DEFAULTS);
+const original = computeFeatures(variants[0].samples);
+
+let ok = true;
+for (const variant of variants.slice(1)) {
+    const features = computeFeatures(variant.samples);
+    for (const kind of ['language', 'spoofing']) {
+        const difference = maxDifference(features[kind], original[kind]);
+        const changed = difference > MIN_DIFFERENCE;
+        console.log(`${changed ? '✅' : '❌'} ${variant.name} ${kind}: max difference ${difference.toExponential(2)}`);
+        if (!changed) ok = false;
+    }
+}
+
+process.exit(ok ? 0 : 1);
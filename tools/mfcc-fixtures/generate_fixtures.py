@@ -0,0 +1,113 @@
+"""
+🎼 Reference MFCC fixtures for EpigrafIA
+Generates librosa outputs that src/utils/mfcc.js must reproduce.
+
+Usage (needs numpy + librosa, same versions as the training environment):
+    pip install numpy librosa
+    python tools/mfcc-fixtures/generate_fixtures.py
+
+Fallback, only where librosa cannot be installed:
+    python tools/mfcc-fixtures/generate_fixtures.py --reference-port
+uses librosa_reference.py (a numpy + scipy port of librosa's code) instead. Fixtures
+from the port only show that mfcc.js agrees with that port, not with librosa, so
+verify.mjs flags them. Each fixture records what produced it in "generator".
+
+Writes one JSON file per test signal into tools/mfcc-fixtures/fixtures/.
+Check them afterwards with: npm run verify:mfcc
+"""
+import argparse
+import base64
+import json
+import sys
+from pathlib import Path
+
+import numpy as np
+
+try:
+    import librosa
+except ImportError:
+    librosa = None
+
+SR = 16000
+DURATION = 3
+N_FFT = 2048
+HOP = 512
+N_MELS = 128
+N_MFCC = 40
+
+OUT_DIR = Path(__file__).parent / "fixtures"
+
+
+def signals():
+    t = np.arange(SR * DURATION) / SR
+    rng = np.random.default_rng(2024)
+    yield "two_tones", 0.5 * np.sin(2 * np.pi * 440 * t) + 0.1 * np.sin(2 * np.pi * 3000 * t)
+    yield "chirp", 0.6 * np.sin(2 * np.pi * (100 * t + (7900 - 100) / (2 * DURATION) * t ** 2))
+    yield "white_noise", 0.2 * rng.standard_normal(t.size)
+    yield "short_burst", np.concatenate([0.8 * rng.standard_normal(SR // 2), np.zeros(SR * DURATION - SR // 2)])
+    # 5 frames: fewer than the delta width, see delta_width()
+    yield "tiny_clip", 0.4 * np.sin(2 * np.pi * 660 * t[: 4 * HOP])
+
+
+def delta_width(frames):
+    """Widest odd delta window up to 9 that fits the clip (as mfcc.js delta() does)"""
+    return min(9, frames if frames % 2 else frames - 1)
+
+
+def features(y, reference_port):
+    if not reference_port:
+        mfcc = librosa.feature.mfcc(
+            y=y, sr=SR, n_mfcc=N_MFCC, n_fft=N_FFT, hop_length=HOP, n_mels=N_MELS
+        )
+        width = delta_width(mfcc.shape[1])
+        return mfcc, librosa.feature.delta(mfcc, width=width), librosa.feature.delta(mfcc, width=width, order=2)
+    import librosa_reference
+
+    mfcc = librosa_reference.mfcc(y, sr=SR, n_mfcc=N_MFCC, n_fft=N_FFT, hop_length=HOP, n_mels=N_MELS)
+    width = delta_width(mfcc.shape[1])
+    return mfcc, librosa_reference.delta(mfcc, width=width), librosa_reference.delta(mfcc, width=width, order=2)
+
+
+def generator(reference_port):
+    if not reference_port:
+        return f"librosa {librosa.__version__}"
+    import scipy
+
+    return f"librosa_reference.py (numpy {np.__version__}, scipy {scipy.__version__})"
+
+
+def encode(array):
+    return base64.b64encode(np.asarray(array, dtype="<f4").tobytes()).decode("ascii")
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Generate the reference MFCC fixtures")
+    parser.add_argument("--reference-port", action="store_true",
+                        help="use librosa_reference.py instead of librosa (fallback, see above)")
+    args = parser.parse_args()
+    if librosa is None and not args.reference_port:
+        sys.exit("❌ librosa is not installed (pip install librosa), or pass --reference-port for the numpy fallback")
+
+    OUT_DIR.mkdir(parents=True, exist_ok=True)
+    for name, y in signals():
+        y = y.astype(np.float32)
+        mfcc, delta, delta2 = features(y, args.reference_port)
+
+        fixture = {
+            "name": name,
+            "generator": generator(args.reference_port),
+            "sampleRate": SR,
+            "frames": int(mfcc.shape[1]),
+            # Float32 little-endian, base64. Matrices are stored [time][coeff].
+            "signal": encode(y),
+            "mfcc": encode(mfcc.T),
+            "delta": encode(delta.T),
+            "delta2": encode(delta2.T),
+        }
+        path = OUT_DIR / f"{name}.json"
+        path.write_text(json.dumps(fixture))
+        print(f"✅ {path} ({mfcc.shape[1]} frames)")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,77 @@
+"""
+🎼 numpy/scipy port of the librosa 0.10 feature chain
+Fallback for generate_fixtures.py --reference-port, where librosa itself cannot be
+installed. Fixtures made with it only tie mfcc.js to this port, so regenerate them with
+librosa whenever it is available. It follows
+librosa's code path step by step, in float32 like librosa does for float32 input:
+
+    stft(center=True, pad_mode="constant", window="hann") → |·|² → filters.mel(htk=False,
+    norm="slaney") → power_to_db(ref=1.0, amin=1e-10, top_db=80) → dct(type=2, norm="ortho")
+    delta: savgol_filter(width, deriv=order, polyorder=order, mode="interp")
+"""
+import numpy as np
+import scipy.fft
+import scipy.signal
+
+
+def hz_to_mel(freqs):
+    freqs = np.atleast_1d(np.asarray(freqs, dtype=np.float64))
+    f_sp = 200.0 / 3
+    mels = freqs / f_sp
+    min_log_hz = 1000.0
+    min_log_mel = min_log_hz / f_sp
+    logstep = np.log(6.4) / 27.0
+    log_t = freqs >= min_log_hz
+    mels[log_t] = min_log_mel + np.log(freqs[log_t] / min_log_hz) / logstep
+    return mels
+
+
+def mel_to_hz(mels):
+    mels = np.atleast_1d(np.asarray(mels, dtype=np.float64))
+    f_sp = 200.0 / 3
+    freqs = f_sp * mels
+    min_log_hz = 1000.0
+    min_log_mel = min_log_hz / f_sp
+    logstep = np.log(6.4) / 27.0
+    log_t = mels >= min_log_mel
+    freqs[log_t] = min_log_hz * np.exp(logstep * (mels[log_t] - min_log_mel))
+    return freqs
+
+
+def mel_filters(sr, n_fft, n_mels):
+    """librosa.filters.mel(sr=sr, n_fft=n_fft, n_mels=n_mels), float32 weights"""
+    weights = np.zeros((n_mels, 1 + n_fft // 2), dtype=np.float32)
+    fftfreqs = np.fft.rfftfreq(n=n_fft, d=1.0 / sr)
+    mel_f = mel_to_hz(np.linspace(hz_to_mel(0.0)[0], hz_to_mel(sr / 2.0)[0], n_mels + 2))
+    fdiff = np.diff(mel_f)
+    ramps = np.subtract.outer(mel_f, fftfreqs)
+    for i in range(n_mels):
+        lower = -ramps[i] / fdiff[i]
+        upper = ramps[i + 2] / fdiff[i + 1]
+        weights[i] = np.maximum(0, np.minimum(lower, upper))
+    enorm = 2.0 / (mel_f[2 : n_mels + 2] - mel_f[:n_mels])
+    weights *= enorm[:, np.newaxis]
+    return weights
+
+
+def power_spectrogram(y, n_fft, hop_length):
+    """np.abs(librosa.stft(y, n_fft=n_fft, hop_length=hop_length)) ** 2"""
+    window = scipy.signal.get_window("hann", n_fft, fftbins=True).astype(np.float32)
+    padded = np.pad(y, n_fft // 2, mode="constant")
+    n_frames = 1 + (len(padded) - n_fft) // hop_length
+    frames = np.lib.stride_tricks.sliding_window_view(padded, n_fft)[::hop_length][:n_frames]
+    spectrum = np.fft.rfft(frames * window, axis=-1).astype(np.complex64).T
+    return np.abs(spectrum) ** 2
+
+
+def mfcc(y, sr, n_mfcc, n_fft, hop_length, n_mels):
+    """librosa.feature.mfcc with the given parameters (other arguments at their defaults)"""
+    mel = mel_filters(sr, n_fft, n_mels) @ power_spectrogram(y, n_fft, hop_length)
+    log_spec = 10.0 * np.log10(np.maximum(1e-10, mel))
+    log_spec = np.maximum(log_spec, log_spec.max() - 80.0)
+    return scipy.fft.dct(log_spec, axis=-2, type=2, norm="ortho")[:n_mfcc]
+
+
+def delta(data, width=9, order=1):
+    """librosa.feature.delta(data, width=width, order=order)"""
+    return scipy.signal.savgol_filter(data, width, deriv=order, polyorder=order, axis=-1, mode="interp")
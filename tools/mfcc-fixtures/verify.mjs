@@ -0,0 +1,85 @@
+/**
+ * 🎼 Compare src/utils/mfcc.js against the librosa reference fixtures
+ * Usage: npm run verify:mfcc
+ * Fixtures produced by the numpy port (generate_fixtures.py --reference-port) are
+ * compared too, but flagged: they do not show agreement with librosa itself.
+ */
+import { readdir, readFile } from 'node:fs/promises';
+import { mfcc, delta } from '../../src/utils/mfcc.js';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+// librosa computes in float32, so allow a small absolute/relative error
+const TOLERANCE = {
+    mfcc: { abs: 1e-2, rel: 1e-3 },
+    delta: { abs: 1e-2, rel: 1e-3 },
+    delta2: { abs: 1e-2, rel: 1e-3 }
+};
+
+function decode(base64) {
+    const bytes = Buffer.from(base64, 'base64');
+    return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+}
+
+function compare(name, actualFrames, expectedFlat, { abs, rel }) {
+    const numCoeffs = actualFrames[0].length;
+    let maxError = 0;
+    let failures = 0;
+
+    if (actualFrames.length * numCoeffs !== expectedFlat.length) {
+        throw new Error(`${name}: forma distinta (${actualFrames.length}x${numCoeffs} vs ${expectedFlat.length} valores)`);
+    }
+
+    actualFrames.forEach((frame, t) => {
+        for (let c = 0; c < numCoeffs; c++) {
+            const expected = expectedFlat[t * numCoeffs + c];
+            const error = Math.abs(frame[c] - expected);
+            maxError = Math.max(maxError, error);
+            if (error > abs + rel * Math.abs(expected)) failures++;
+        }
+    });
+
+    return { maxError, failures };
+}
+
+async function main() {
+    let files;
+    try {
+        files = (await readdir(FIXTURES_DIR)).filter((file) => file.endsWith('.json'));
+    } catch {
+        files = [];
+    }
+    if (files.length === 0) {
+        console.error('⚠️ No hay fixtures. Genéralos con: python tools/mfcc-fixtures/generate_fixtures.py');
+        process.exit(1);
+    }
+
+    let ok = true;
+    const notLibrosa = [];
+    for (const file of files) {
+        const fixture = JSON.parse(await readFile(new URL(file, FIXTURES_DIR), 'utf8'));
+        const signal = decode(fixture.signal);
+        const generator = fixture.generator ?? `librosa ${fixture.librosa}`;
+        console.log(`📄 ${fixture.name}: ${generator}`);
+        if (!generator.startsWith('librosa ')) notLibrosa.push(fixture.name);
+
+        const base = mfcc(signal, { sampleRate: fixture.sampleRate });
+        const outputs = { mfcc: base, delta: delta(base, 1), delta2: delta(base, 2) };
+
+        for (const [key, frames] of Object.entries(outputs)) {
+            const { maxError, failures } = compare(`${fixture.name}.${key}`, frames, decode(fixture[key]), TOLERANCE[key]);
+            const status = failures === 0 ? '✅' : '❌';
+            console.log(`${status} ${fixture.name} ${key}: max error ${maxError.toExponential(2)}, ${failures} fuera de tolerancia`);
+            if (failures > 0) ok = false;
+        }
+    }
+
+    if (notLibrosa.length > 0) {
+        console.warn(`⚠️ ${notLibrosa.join(', ')}: generados con el port de numpy, no con librosa; ` +
+            'regenéralos con librosa instalado: python tools/mfcc-fixtures/generate_fixtures.py');
+    }
+
+    process.exit(ok ? 0 : 1);
+}
+
+main();
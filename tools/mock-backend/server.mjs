@@ -0,0 +1,358 @@
+/**
+ * 🧪 Mock backend for EpigrafIA
+ * Local stand-in for the Python API with the same contract (GET /api/health,
+ * POST /api/analyze with an `audio` form field), so the front end can be developed
+ * offline and its error paths exercised on purpose.
+ *
+ * Usage: npm run mock:api -- [options]
+ *   --port 8000              The page talks to localhost:8000 when served from localhost
+ *   --engine fixtures        fixtures: canned responses from fixtures.json (default)
+ *                            models: run the TF.js models in public/models on the upload (WAV only,
+ *                            which is what the page sends for any clip the browser could decode;
+ *                            uses @tensorflow/tfjs-node when installed, else the pure JS backend)
+ *   --fixture <name>         Always answer this fixture (default: the fixture named in the uploaded
+ *                            file name, e.g. "english-spoof.wav", else each fixture in turn)
+ *   --latency 300|200-1500   Delay before every answer, in ms (fixed or random range)
+ *   --cold-start 20000       Answer 503 for this long after start, like a sleeping free-tier host
+ *   --error-rate 0.2         Share of analyses that fail with --error-status
+ *   --error-status 500,502   Statuses picked from for those failures (default 500)
+ *   --malformed-rate 0.2     Share of analyses answered 200 with a payload the client must reject
+ *
+ * The settings can also be read and changed while it runs:
+ *   curl localhost:8000/mock/config
+ *   curl -X POST localhost:8000/mock/config -d '{"errorRate": 1, "errorStatus": [503]}'
+ *   curl -X POST localhost:8000/mock/config -d '{"coldStart": 15000}'    (restarts the cold start)
+ * Changes go through the same checks as the options; an invalid one answers 400 and
+ * nothing is applied. The port and engine are fixed at start.
+ */
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const FIXTURES_URL = new URL('./fixtures.json', import.meta.url);
+const PUBLIC_DIR = new URL('../../public/', import.meta.url);
+
+// Payloads the client's validation has to turn into an ApiSchemaError
+const MALFORMED = {
+    'not-json': () => ({ contentType: 'text/html', body: '<html><body>Internal proxy page</body></html>' }),
+    'missing-language': (fixture) => json({ ...fixture, language_prediction: undefined }),
+    'confidence-out-of-range': (fixture) => json({ ...fixture, language_confidence: 1.7 }),
+    'bad-distribution': (fixture) => json({ ...fixture, language_probabilities: ['alta', 0.2] }),
+    'bad-spoofing': (fixture) => json({ ...fixture, spoofing: { is_genuine: 'no', spoof_probability: 'alta' } })
+};
+
+function json(value) {
+    return { contentType: 'application/json', body: JSON.stringify(value) };
+}
+
+// ========== Options ==========
+
+function parseLatency(value, name = '--latency') {
+    // GET /mock/config answers {min, max}; accept it back as well as "300" or "200-1500"
+    const [min, max = min] = typeof value === 'object' && value !== null
+        ? [value.min, value.max].map(Number)
+        : String(value).split('-').map(Number);
+    if (!(min >= 0) || !(max >= min)) throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+    return { min, max };
+}
+
+function parseNumber(value, name, max = Infinity) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !(number >= 0 && number <= max)) {
+        throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected a number from 0${max === Infinity ? '' : ` to ${max}`})`);
+    }
+    return number;
+}
+
+function parseStatuses(value, name) {
+    const statuses = (Array.isArray(value) ? value : String(value).split(',')).map(Number);
+    if (statuses.length === 0 || !statuses.every((status) => Number.isInteger(status) && status >= 400 && status <= 599)) {
+        throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected HTTP error statuses, e.g. 500,502)`);
+    }
+    return statuses;
+}
+
+// Settings that can change while the server runs: config key → [command-line flag, parser]
+const SETTINGS = {
+    fixture: ['fixture', (value, name, fixtureNames) => {
+        if (value === null) return null;
+        if (!fixtureNames.includes(value)) {
+            throw new Error(`Unknown ${name}: ${JSON.stringify(value)} (available: ${fixtureNames.join(', ')})`);
+        }
+        return value;
+    }],
+    latency: ['latency', parseLatency],
+    coldStart: ['cold-start', (value, name) => parseNumber(value, name)],
+    errorRate: ['error-rate', (value, name) => parseNumber(value, name, 1)],
+    errorStatus: ['error-status', parseStatuses],
+    malformedRate: ['malformed-rate', (value, name) => parseNumber(value, name, 1)]
+};
+
+/**
+ * Validate settings keyed like the config, for the command line and POST /mock/config alike
+ * Throws on the first invalid or unknown one, so nothing is applied from a bad request.
+ * @param {Object} values
+ * @param {string[]} fixtureNames
+ * @param {(key: string) => string} label - Name of a setting in error messages
+ * @returns {Object}
+ */
+function parseSettings(values, fixtureNames, label) {
+    const settings = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (!SETTINGS[key]) throw new Error(`Unknown or read-only setting: ${key}`);
+        settings[key] = SETTINGS[key][1](value, label(key), fixtureNames);
+    }
+    return settings;
+}
+
+function readOptions(fixtureNames) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8000' },
+            engine: { type: 'string', default: 'fixtures' },
+            fixture: { type: 'string' },
+            latency: { type: 'string', default: '0' },
+            'cold-start': { type: 'string', default: '0' },
+            'error-rate': { type: 'string', default: '0' },
+            'error-status': { type: 'string', default: '500' },
+            'malformed-rate': { type: 'string', default: '0' }
+        }
+    });
+    if (!['fixtures', 'models'].includes(values.engine)) {
+        throw new Error(`--engine must be "fixtures" or "models" (got "${values.engine}")`);
+    }
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid --port: ${values.port}`);
+
+    const flags = Object.fromEntries(Object.entries(SETTINGS).map(([key, [flag]]) => [key, values[flag]]));
+    return {
+        port,
+        engine: values.engine,
+        fixture: null,
+        ...parseSettings(flags, fixtureNames, (key) => `--${SETTINGS[key][0]}`)
+    };
+}
+
+// ========== Models engine ==========
+
+/**
+ * Mono samples of a PCM or float WAV file
+ * @param {Buffer} buffer
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+function parseWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('The "models" engine only accepts WAV');
+    }
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            let code = buffer.readUInt16LE(body);
+            // WAVE_FORMAT_EXTENSIBLE: the real format is the start of the sub-format GUID
+            if (code === 0xFFFE) code = buffer.readUInt16LE(body + 24);
+            format = {
+                code,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bits: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data' && format) {
+            const { code, channels, sampleRate, bits } = format;
+            const bytes = bits / 8;
+            const end = Math.min(body + size, buffer.length);
+            const frames = Math.floor((end - body) / (bytes * channels));
+            const read = code === 3 && bits === 32 ? (at) => buffer.readFloatLE(at)
+                : code === 1 && bits === 16 ? (at) => buffer.readInt16LE(at) / 0x8000
+                : code === 1 && bits === 24 ? (at) => buffer.readIntLE(at, 3) / 0x800000
+                : code === 1 && bits === 32 ? (at) => buffer.readInt32LE(at) / 0x80000000
+                : code === 1 && bits === 8 ? (at) => (buffer.readUInt8(at) - 128) / 128
+                : null;
+            if (!read) throw new Error(`Unsupported WAV (format ${code}, ${bits} bits)`);
+
+            const samples = new Float32Array(frames);
+            for (let frame = 0; frame < frames; frame++) {
+                let sum = 0;
+                for (let channel = 0; channel < channels; channel++) {
+                    sum += read(body + (frame * channels + channel) * bytes);
+                }
+                samples[frame] = sum / channels;
+            }
+            return { samples, sampleRate };
+        }
+        offset = body + size + (size % 2);
+    }
+    throw new Error('WAV without a data chunk');
+}
+
+/**
+ * Serve /models/* from public/ to the browser model loader (Node's fetch has no origin)
+ */
+function servePublicFiles() {
+    const networkFetch = globalThis.fetch;
+    globalThis.fetch = async (input, init) => {
+        if (typeof input === 'string' && input.startsWith('/')) {
+            try {
+                return new Response(await readFile(new URL(`.${input}`, PUBLIC_DIR)));
+            } catch {
+                return new Response(null, { status: 404 });
+            }
+        }
+        return networkFetch(input, init);
+    };
+}
+
+/**
+ * The browser inference code, run on the uploaded clip
+ * @returns {Promise<(audio: Buffer) => Promise<Object>>}
+ */
+async function createModelEngine() {
+    try {
+        await import('@tensorflow/tfjs-node');
+        console.log('🧠 Using @tensorflow/tfjs-node');
+    } catch {
+        console.log('🧠 @tensorflow/tfjs-node not installed, using the pure JS backend (slower)');
+    }
+    servePublicFiles();
+    const { predictLocal } = await import('../../src/utils/localInference.js');
+    const { loadModels } = await import('../../src/utils/modelLoader.js');
+    const { resampleSinc, padOrTrim, TARGET_SAMPLE_RATE } = await import('../../src/utils/resample.js');
+    const { CONFIG } = await import('../../src/utils/audioProcessing.js');
+    await loadModels();
+
+    return async (audio) => {
+        const { samples, sampleRate } = parseWav(audio);
+        const resampled = sampleRate === TARGET_SAMPLE_RATE
+            ? samples
+            : resampleSinc(samples, sampleRate, TARGET_SAMPLE_RATE);
+        const { engine, ...result } = await predictLocal(padOrTrim(resampled, TARGET_SAMPLE_RATE * CONFIG.duration));
+        return result;
+    };
+}
+
+// ========== Server ==========
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function chance(rate) {
+    return Math.random() < rate;
+}
+
+function pick(values) {
+    return values[Math.floor(Math.random() * values.length)];
+}
+
+async function main() {
+    const fixtures = JSON.parse(await readFile(FIXTURES_URL, 'utf8'));
+    const fixtureNames = Object.keys(fixtures);
+    const options = readOptions(fixtureNames);
+    const runModels = options.engine === 'models' ? await createModelEngine() : null;
+
+    let startedAt = Date.now();
+    let nextFixture = 0;
+
+    function fixtureFor(filename) {
+        if (options.fixture) return fixtures[options.fixture];
+        const named = fixtureNames.find((name) => filename.includes(name));
+        if (named) return fixtures[named];
+        return fixtures[fixtureNames[nextFixture++ % fixtureNames.length]];
+    }
+
+    async function analyze(request) {
+        // Node parses multipart bodies through the fetch Request class
+        const form = await new Request('http://mock/api/analyze', {
+            method: 'POST',
+            headers: { 'content-type': request.headers['content-type'] ?? '' },
+            body: await readBody(request)
+        }).formData();
+        const audio = form.get('audio');
+        if (!(audio instanceof Blob)) {
+            return { status: 422, ...json({ detail: 'Missing "audio" field' }) };
+        }
+
+        if (chance(options.errorRate)) {
+            const status = pick(options.errorStatus);
+            return { status, ...json({ detail: `Simulated error (${status})` }) };
+        }
+
+        const fixture = fixtureFor(audio.name ?? '');
+        if (chance(options.malformedRate)) {
+            const kind = pick(Object.keys(MALFORMED));
+            console.log(`   ↳ malformed payload: ${kind}`);
+            return { status: 200, ...MALFORMED[kind](fixture) };
+        }
+
+        const result = runModels ? await runModels(Buffer.from(await audio.arrayBuffer())) : fixture;
+        return { status: 200, ...json({ ...result, model_version: runModels ? result.model_version : 'mock' }) };
+    }
+
+    async function handle(request) {
+        const url = new URL(request.url, 'http://localhost');
+        const route = `${request.method} ${url.pathname}`;
+
+        if (route === 'GET /mock/config') return { status: 200, ...json(options) };
+        if (route === 'POST /mock/config') {
+            const body = JSON.parse((await readBody(request)).toString() || '{}');
+            if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+                throw new Error('Expected a JSON object of settings');
+            }
+            const changes = parseSettings(body, fixtureNames, (key) => key);
+            if (changes.coldStart !== undefined) startedAt = Date.now();
+            Object.assign(options, changes);
+            return { status: 200, ...json(options) };
+        }
+
+        await delay(options.latency.min + Math.random() * (options.latency.max - options.latency.min));
+
+        // A sleeping host: the gateway answers 503 until the instance has booted
+        if (Date.now() - startedAt < options.coldStart && url.pathname.startsWith('/api/')) {
+            return { status: 503, contentType: 'text/plain', body: 'Service Unavailable (cold start)' };
+        }
+        if (route === 'GET /api/health') return { status: 200, ...json({ status: 'healthy', models_loaded: true }) };
+        if (route === 'POST /api/analyze') return analyze(request);
+        return { status: 404, ...json({ detail: 'Not Found' }) };
+    }
+
+    const server = createServer(async (request, response) => {
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        };
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, headers).end();
+            return;
+        }
+
+        let answer;
+        try {
+            answer = await handle(request);
+        } catch (error) {
+            answer = { status: 400, ...json({ detail: error.message }) };
+        }
+        console.log(`${answer.status} ${request.method} ${request.url}`);
+        response.writeHead(answer.status, { ...headers, 'Content-Type': answer.contentType }).end(answer.body);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`🧪 Mock backend (${options.engine}) on http://localhost:${options.port}`);
+        if (options.coldStart > 0) console.log(`   cold start: 503 for the first ${options.coldStart} ms`);
+    });
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});